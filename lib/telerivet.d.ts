@@ -0,0 +1,172 @@
+import APICursor = require('./telerivet/apicursor');
+import Query = require('./telerivet/query');
+import RetryPolicy = require('./telerivet/retry');
+import RequestScheduler = require('./telerivet/scheduler');
+import HttpTransport = require('./telerivet/transport');
+import Cassette = require('./telerivet/cassette');
+import IdentityMap = require('./telerivet/identitymap');
+import PhoneNumber = require('./telerivet/phonenumber');
+import MessageAnalysis = require('./telerivet/messageanalysis');
+import Entity = require('./telerivet/entity');
+import Project = require('./telerivet/project');
+
+/**
+ * A client handle to the Telerivet REST API.
+ */
+export class API {
+    constructor(apiKey: string, options?: APIOptions | string);
+
+    apiKey: string;
+    apiUrl: string;
+    /** Number of API requests sent by this client */
+    numRequests: number;
+    transport: HttpTransport.Transport;
+    retryPolicy: RetryPolicy;
+    scheduler: RequestScheduler;
+    requestOptions: RequestOptions;
+    /** Identity map used by this client, or null */
+    identityMap: IdentityMap | null;
+
+    /**
+     * Returns a view of this API client that uses different options for each request. The view
+     * shares the API key, rate limits and connections with the original client.
+     */
+    withRequestOptions(options: RequestOptions): this;
+
+    /** Returns a view of this API client (a session) that uses a new identity map. */
+    withIdentityMap(): this;
+
+    /** Registers a function that is called before every API request made by this client. */
+    addHook(type: 'beforeRequest', fn: (request: HookRequest) => any): void;
+    /** Registers a function that is called after every successful API response. */
+    addHook(type: 'afterResponse', fn: (response: HookResponse, request: HookRequest) => any): void;
+    /** Registers a function that is called when an API request fails. */
+    addHook(type: 'error', fn: (err: Error, request: HookRequest) => any): void;
+
+    /** Removes a function previously registered with addHook. */
+    removeHook(type: HookType, fn: (...args: any[]) => any): void;
+
+    cursor<T extends Entity>(itemCls: new (api: API, data: any, isLoaded?: boolean) => T, path: string,
+        params?: {[name: string]: any} | Query): APICursor<T>;
+
+    /** Creates a cursor that continues a query from a state returned by cursor.getState(). */
+    resumeCursor(state: APICursor.State | string): APICursor<any>;
+
+    /** Creates an entity (e.g. a Contact or Message) from the result of entity.toJSON(). */
+    fromJSON<T extends Entity = Entity>(json: Entity.JSON | string): T;
+
+    doRequest(method: string, path: string, params?: {[name: string]: any} | null): Promise<any>;
+    doRequest(method: string, path: string, params: {[name: string]: any} | null | undefined,
+        callback: Entity.Callback<any>): void;
+
+    /** Retrieves the Telerivet project with the given ID. */
+    getProjectById(id: string): Promise<Project>;
+    getProjectById(id: string, callback: Entity.Callback<Project>): void;
+
+    /** Initializes the Telerivet project with the given ID without making an API request. */
+    initProjectById(id: string): Project;
+
+    /** Queries projects accessible to the current user account. */
+    queryProjects(options?: QueryProjectsOptions | Query): APICursor<Project>;
+}
+
+export interface APIOptions {
+    /** Base URL of the Telerivet REST API (default https://api.telerivet.com:443/v1) */
+    apiUrl?: string;
+    /** Policy for automatically retrying failed requests, or false to disable retries */
+    retry?: RetryPolicy.Options | false;
+    /** Limits on the request rate and number of concurrent requests */
+    rateLimit?: RequestScheduler.Options;
+    /** Number of milliseconds to wait for each API request to complete (default 60000) */
+    timeout?: number;
+    /** Object used to send HTTP requests (default new HttpTransport()) */
+    transport?: HttpTransport.Transport;
+    /** Records requests and responses to a fixture file, or replays responses from a fixture file */
+    cassette?: Cassette.Options;
+    /** If true, entities are kept in an identity map, and requests to load the same entity are shared */
+    identityMap?: boolean;
+}
+
+export interface RequestOptions {
+    /** Number of milliseconds to wait for each request to complete */
+    timeout?: number;
+    /** Signal used to cancel requests */
+    signal?: AbortSignal | null;
+}
+
+export type HookType = 'beforeRequest' | 'afterResponse' | 'error';
+
+export interface HookRequest {
+    method: string;
+    path: string;
+    params: {[name: string]: any} | null;
+    headers: {[name: string]: string};
+}
+
+export interface HookResponse {
+    status: number;
+    headers: {[name: string]: any};
+    body: string;
+    /** The parsed response, which may be modified or replaced */
+    data: any;
+}
+
+export interface QueryProjectsOptions {
+    /** Filter projects by name */
+    name?: Query.Filter<string, 'ne' | 'prefix' | 'not_prefix' | 'gte' | 'gt' | 'lt' | 'lte'>;
+    /** Sort the results based on a field */
+    sort?: 'default' | 'name';
+    /** Sort the results in ascending or descending order */
+    sort_dir?: 'asc' | 'desc';
+    /** Number of results returned per page (max 200) */
+    page_size?: number;
+    /** Number of items to skip from beginning of result set */
+    offset?: number;
+}
+
+export {
+    RetryPolicy,
+    RequestScheduler,
+    HttpTransport,
+    Cassette,
+    Query,
+    IdentityMap,
+    PhoneNumber,
+    MessageAnalysis,
+    Project
+};
+export import FakeServer = require('./telerivet/fakeserver');
+export import Contact = require('./telerivet/contact');
+export import Message = require('./telerivet/message');
+export import Group = require('./telerivet/group');
+export import Label = require('./telerivet/label');
+export import DataTable = require('./telerivet/datatable');
+export import DataRow = require('./telerivet/datarow');
+export import Phone = require('./telerivet/phone');
+export import Route = require('./telerivet/route');
+export import Service = require('./telerivet/service');
+export import ContactServiceState = require('./telerivet/contactservicestate');
+export import ScheduledMessage = require('./telerivet/scheduledmessage');
+export import MobileMoneyReceipt = require('./telerivet/mobilemoneyreceipt');
+export {
+    TelerivetError,
+    APIError,
+    AuthenticationError,
+    PermissionError,
+    NotFoundError,
+    InvalidParameterError,
+    RateLimitError,
+    ServerError,
+    InvalidResponseError,
+    NetworkError,
+    TimeoutError,
+    AbortError,
+    InvalidQueryError,
+    InvalidPhoneNumberError,
+    MessagePartLimitError,
+    CassetteError
+} from './telerivet/errors';
+
+// classes that are not exported at runtime, but are used in the types above
+export type { APICursor, Entity };
+export type ChainedCursor<T> = import('./telerivet/chainedcursor')<T>;
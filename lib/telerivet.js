@@ -1,8 +1,16 @@
-var URL = require('url'),
-    fs = require('fs'), 
-    https = require('https'),
-    APICursor = require('./telerivet/apicursor'),
-    http = require('http');
+var APICursor = require('./telerivet/apicursor'),
+    RetryPolicy = require('./telerivet/retry'),
+    RequestScheduler = require('./telerivet/scheduler'),
+    errors = require('./telerivet/errors'),
+    HttpTransport = require('./telerivet/transport'),
+    FakeServer = require('./telerivet/fakeserver'),
+    Cassette = require('./telerivet/cassette'),
+    Query = require('./telerivet/query'),
+    Entity = require('./telerivet/entity'),
+    IdentityMap = require('./telerivet/identitymap'),
+    PhoneNumber = require('./telerivet/phonenumber'),
+    MessageAnalysis = require('./telerivet/messageanalysis'),
+    util = require('./telerivet/util');
     
 var CLIENT_VERSION = '1.1.0';
 
@@ -19,31 +27,276 @@ var CLIENT_VERSION = '1.1.0';
     Arguments:
       - api_key (Your Telerivet API key; see <https://telerivet.com/dashboard/api>)
           * Required
+
+      - options (associative array, or string containing the API URL)
+
+        - apiUrl
+            * Base URL of the Telerivet REST API
+            * Default: https://api.telerivet.com:443/v1
+
+        - retry (associative array, or false to disable retries)
+            * Policy for automatically retrying failed requests; see RetryPolicy in
+                lib/telerivet/retry.js for available options
+            * Default: retry GET, PUT and DELETE requests up to 3 attempts
+
+        - rateLimit (associative array)
+            * Limits on the request rate and number of concurrent requests (requestsPerSecond,
+                burst, maxConcurrent); see RequestScheduler in lib/telerivet/scheduler.js
+            * Default: no limits
+
+        - timeout (int)
+            * Number of milliseconds to wait for each API request to complete before failing
+                with a TimeoutError
+            * Default: 60000
+
+        - transport
+            * Object used to send HTTP requests; see HttpTransport in
+                lib/telerivet/transport.js for the interface
+            * Default: new HttpTransport()
+
+        - cassette (associative array)
+            * Records requests and responses to a fixture file, or replays responses from
+                a fixture file instead of sending requests (options path and mode, which is
+                'record' or 'replay'); see Cassette in lib/telerivet/cassette.js
+            * Default: requests are sent normally
+
+        - identityMap (bool)
+            * If true, entities retrieved via this client are kept in an identity map, and
+                requests to load the same entity are shared; see IdentityMap in
+                lib/telerivet/identitymap.js and tr.withIdentityMap
+            * Default: false
  */
-var API = function(apiKey, apiUrl)
+var API = function(apiKey, options)
 {
+    if (typeof options === 'string')
+    {
+        options = {apiUrl: options};
+    }
+    options = options || {};
+
     this.apiKey = apiKey;
-    this.apiUrl = apiUrl || 'https://api.telerivet.com:443/v1';    
+    this.apiUrl = options.apiUrl || 'https://api.telerivet.com:443/v1';
     this.numRequests = 0;
-    this.agent = null;
+    this.transport = options.transport || new HttpTransport();
+    if (options.cassette)
+    {
+        this.transport = new Cassette(util.extend({
+            transport: this.transport,
+            apiKey: apiKey
+        }, options.cassette));
+    }
+    this.retryPolicy = new RetryPolicy(options.retry);
+    this.scheduler = new RequestScheduler(options.rateLimit);
+    this.requestOptions = {
+        timeout: options.timeout === undefined ? 60000 : options.timeout,
+        signal: null
+    };
+    this.hooks = {
+        beforeRequest: [],
+        afterResponse: [],
+        error: []
+    };
+    this.identityMap = options.identityMap ? new IdentityMap() : null;
 };
 
 API.prototype = {
     
+    /*
+        tr.withRequestOptions(options)
+        
+        Returns a view of this API client that uses different options for each request.
+        The view shares the API key, rate limits and connections with the original client.
+        Entities and cursors retrieved via the view also use its request options.
+        
+        Arguments:
+          - options (associative array)
+            
+            - timeout (int)
+                * Number of milliseconds to wait for each request to complete
+            
+            - signal (AbortSignal)
+                * Signal used to cancel requests; when it is aborted, requests in progress fail
+                    with an error (name AbortError) and no further requests are sent
+        
+        Returns:
+            API
+     */
+    withRequestOptions: function(options)
+    {
+        var parent = this,
+            view = Object.create(this);
+        
+        // keep the request count on the original client
+        Object.defineProperty(view, 'numRequests', {
+            get: function() { return parent.numRequests; },
+            set: function(value) { parent.numRequests = value; }
+        });
+        
+        view.requestOptions = util.extend(util.extend({}, this.requestOptions), options);
+        return view;
+    },
+    
+    /*
+        tr.withIdentityMap()
+        
+        Returns a view of this API client (a session) that uses a new identity map: while
+        using the view, each entity is represented by a single instance, and requests to load
+        the same entity are shared. Entities stay in the identity map until it is cleared
+        via view.identityMap.clear(), so a new view should generally be created for each
+        task, e.g. for each page rendered by a web server.
+        
+        Returns:
+            API
+     */
+    withIdentityMap: function()
+    {
+        var view = this.withRequestOptions({});
+        view.identityMap = new IdentityMap();
+        return view;
+    },
+    
+    /*
+        tr.addHook(type, fn)
+        
+        Registers a function that is called for every API request made by this client
+        (including views returned by withRequestOptions). Hooks of the same type are called
+        in the order they were added. A hook may return a Promise to delay the request until
+        the Promise is resolved; if a hook throws an error or returns a rejected Promise,
+        the request fails with that error.
+        
+        Arguments:
+          - type
+              * Allowed values: beforeRequest, afterResponse, error
+              * Required
+          
+          - fn
+              * beforeRequest: function(request), called once before the request is sent
+                  (not repeated when the request is retried). The method, path, params and
+                  headers properties of 'request' may be modified.
+              * afterResponse: function(response, request), called after a successful
+                  response. 'response' has the properties status, headers, body and data (the
+                  parsed response, which may be modified or replaced).
+              * error: function(err, request), called when the request fails.
+              * Required
+     */
+    addHook: function(type, fn)
+    {
+        if (!this.hooks[type])
+        {
+            throw new Error("Unknown hook type " + type);
+        }
+        this.hooks[type].push(fn);
+    },
+    
+    /*
+        tr.removeHook(type, fn)
+        
+        Removes a function previously registered with addHook.
+     */
+    removeHook: function(type, fn)
+    {
+        var hooks = this.hooks[type] || [];
+        var index = hooks.indexOf(fn);
+        if (index != -1)
+        {
+            hooks.splice(index, 1);
+        }
+    },
+    
     cursor: function(itemCls, path, params)
     {
         return new APICursor(this, itemCls, path, params);
     },
     
-    wrapCallback: function(itemCls, callback)
+    /*
+        tr.resumeCursor(state)
+        
+        Creates a cursor that continues a query from a state returned by cursor.getState(),
+        for example after the process that created the original cursor was restarted.
+        
+        Arguments:
+          - state (associative array, or JSON string)
+              * Required
+        
+        Returns:
+            APICursor
+     */
+    resumeCursor: function(state)
     {
-        if (!callback)
+        if (typeof state === 'string')
+        {
+            state = JSON.parse(state);
+        }
+        
+        if (!state || !state.path)
         {
-            throw new Error("Missing callback");
+            throw new Error("Invalid cursor state");
         }
         
+        var itemCls = getEntityClass(state.itemClass);
+        return this.cursor(itemCls, state.path, state.params)._resume(state);
+    },
+    
+    /*
+        tr.fromJSON(json)
+        
+        Creates an entity (e.g. a Contact or Message) from the result of entity.toJSON(),
+        for example after retrieving an entity from a cache or job queue. The entity uses
+        this API client for any further requests, and keeps any unsaved changes.
+        
+        Arguments:
+          - json (associative array, or JSON string)
+              * Required
+        
+        Returns:
+            Entity of the class in json.itemClass
+     */
+    fromJSON: function(json)
+    {
+        if (typeof json === 'string')
+        {
+            json = JSON.parse(json);
+        }
+        
+        if (!json || !json.data)
+        {
+            throw new Error("Invalid entity JSON");
+        }
+        
+        var itemCls = getEntityClass(json.itemClass);
+        var data = util.extend({}, json.data);
+        data.vars = util.extend({}, json.vars);
+        
+        var entity = new itemCls(this, data, json.isLoaded !== false);
+        
+        var changes = json.changes || {};
+        for (var name in changes)
+        {
+            if (name != 'vars')
+            {
+                entity.set(name, changes[name]);
+            }
+        }
+        for (var varName in changes.vars)
+        {
+            if (changes.vars[varName] === null)
+            {
+                delete entity.vars[varName];
+            }
+            else
+            {
+                entity.vars[varName] = changes.vars[varName];
+            }
+        }
+        return entity;
+    },
+    
+    wrapCallback: function(itemCls, callback)
+    {
+        callback = util.promiseCallback(callback);
+        
         var self = this;
-        return function(err, res) {
+        var wrapper = function(err, res) {
             if (err)
             {
                 callback(err);
@@ -53,118 +306,236 @@ API.prototype = {
                 callback(null, new itemCls(self, res));
             }
         };
+        wrapper.promise = callback.promise;
+        return wrapper;
     },
     
     doRequest: function(method, path, params, callback)
     {       
-        if (!callback)
+        callback = util.promiseCallback(callback);
+        
+        var self = this,
+            request = {method: method, path: path, params: params, headers: {}},
+            requestOptions = this.requestOptions,
+            signal = requestOptions.signal,
+            attempt = 0,
+            retryTimer = null,
+            queuedTask = null,
+            removeAbortListener = null;
+        
+        var finish = function(err, response) {
+            if (removeAbortListener)
+            {
+                removeAbortListener();
+            }
+            
+            if (err)
+            {
+                util.runHooks(self.hooks.error, [err, request], function(hookErr) {
+                    callback(hookErr || err, null);
+                });
+            }
+            else
+            {
+                util.runHooks(self.hooks.afterResponse, [response, request], function(hookErr) {
+                    callback(hookErr || null, hookErr ? null : response.data);
+                });
+            }
+        };
+        
+        var tryRequest = function() {
+            retryTimer = null;
+            if (signal && signal.aborted)
+            {
+                return finish(new errors.AbortError("Request cancelled"));
+            }
+            queuedTask = function(done) {
+                queuedTask = null;
+                attempt++;
+                self.sendRequest(request, requestOptions, function(err, response) {
+                    done();
+                    if (err && !(signal && signal.aborted) && self.retryPolicy.shouldRetry(err, request.method, attempt))
+                    {
+                        retryTimer = setTimeout(tryRequest, self.retryPolicy.getDelay(err, attempt));
+                    }
+                    else
+                    {
+                        finish(err, response);
+                    }
+                });
+            };
+            self.scheduler.schedule(queuedTask);
+        };
+        
+        if (signal)
         {
-            throw new Error("Missing callback");
-        }    
+            // stop waiting for a retry or for the scheduler to start the request; requests in
+            // progress are aborted by sendRequest
+            removeAbortListener = util.addAbortListener(signal, function() {
+                if (retryTimer)
+                {
+                    clearTimeout(retryTimer);
+                    retryTimer = null;
+                    finish(new errors.AbortError("Request cancelled"));
+                }
+                else if (queuedTask && self.scheduler.cancel(queuedTask))
+                {
+                    queuedTask = null;
+                    finish(new errors.AbortError("Request cancelled"));
+                }
+            });
+        }
+        
+        try
+        {
+            request.params = util.convertDates(params, null);
+        }
+        catch (e)
+        {
+            finish(e);
+            return callback.promise;
+        }
+        
+        util.runHooks(this.hooks.beforeRequest, [request], function(err) {
+            if (err)
+            {
+                finish(err);
+            }
+            else
+            {
+                tryRequest();
+            }
+        });
+        
+        return callback.promise;
+    },
     
+    sendRequest: function(request, options, callback)
+    {
+        var method = request.method,
+            path = request.path,
+            params = request.params,
+            signal = options.signal;
+        
+        if (signal && signal.aborted)
+        {
+            return callback(new errors.AbortError("Request cancelled"), null);
+        }
+        
         var hasParams = params && Object.keys(params).length > 0;
         var hasPostData = (method == 'POST' || method == 'PUT') && hasParams;
 
         var url = this.apiUrl + path;
         
-        if (!callback)
-        {
-            callback = function(e, res){ if (e) { throw e; } };
-        }
-        
         if (!hasPostData && hasParams)
         {
             url += '?' + encodeParams(params);
         }
         
-        var parsedUrl = URL.parse(url);
-         
-        var httpType = parsedUrl.protocol == 'https:' ? https : http;
-         
-        if (!this.agent)
-        {        
-            this.agent = new httpType.Agent({
-                hostname: parsedUrl.hostname,
-                port: parsedUrl.port
-            });
-        }
-                
-        var requestOptions = {
-            method: method,
-            hostname: parsedUrl.hostname,
-            port: parsedUrl.port,
-            path: parsedUrl.path,
-            auth: this.apiKey + ':',
-            headers: {
-                'User-Agent': "Telerivet Node.JS Client/" +CLIENT_VERSION+ " Node.JS/" + process.version + " OS/" + process.platform
-            },
-            agent: this.agent
-        };
+        var headers = util.extend({
+            'Authorization': "Basic " + base64Encode(this.apiKey + ':'),
+            'User-Agent': "Telerivet Node.JS Client/" +CLIENT_VERSION+ " Node.JS/" + process.version + " OS/" + process.platform
+        }, request.headers);
                     
         if (hasPostData)
         {
-            requestOptions.headers['Content-Type'] = "application/json";
+            headers['Content-Type'] = "application/json";
         }
             
         this.numRequests += 1;
 
-        var req = httpType.request(requestOptions, function(res) {        
-            var responseJson = '';
-            res.on('data', function (chunk) {
-                responseJson += chunk;
-            });
+        var handle = null, 
+            timer = null,
+            removeAbortListener = null,
+            finished = false;
         
-            res.on('end', function(){
-                var responseData;
-                try
-                {
-                    responseData = JSON.parse(responseJson);
-                }
-                catch (e)
-                {
-                    callback(e, null);
-                    return;
-                }
-                
-                if (responseData.error)
-                {
-                    var error = responseData.error;
-                    var errorCode = error.code;           
-
-                    var errorObj = new Error(error.message);
-                    
-                    if (errorCode == 'invalid_param')
-                    {
-                        errorObj.name = 'InvalidParameterError';
-                        errorObj.param = error.param;                    
-                    }
-                    else if (errorCode == 'not_found')
-                    {
-                        errorObj.name = 'NotFoundError';                        
-                    }
-                    else
-                    {
-                        errorObj.name = 'APIError';                    
-                    }
-                    callback(errorObj, null);                    
-                }
-                else
-                {
-                    callback(null, responseData);
-                }
-            });        
-        });
+        var _callback = callback;
+        callback = function(err, res) {
+            if (finished)
+            {
+                return;
+            }
+            finished = true;
+            
+            if (timer)
+            {
+                clearTimeout(timer);
+            }
+            if (removeAbortListener)
+            {
+                removeAbortListener();
+            }
+            _callback(err, res);
+        };
         
-        req.on("error", function(e) {
-            callback(e, null);
-        });
+        var abort = function(err) {
+            callback(err, null);
+            if (handle && handle.abort)
+            {
+                handle.abort();
+            }
+        };
         
-        if (hasPostData)
+        if (options.timeout)
         {
-            req.write(JSON.stringify(params));
+            timer = setTimeout(function() {
+                abort(new errors.TimeoutError("Request timed out after " + options.timeout + " ms", {
+                    code: 'ETIMEDOUT',
+                    method: method,
+                    path: path
+                }));
+            }, options.timeout);
         }
         
-        req.end();
+        if (signal)
+        {
+            removeAbortListener = util.addAbortListener(signal, function() {
+                abort(new errors.AbortError("Request cancelled"));
+            });
+        }
+
+        handle = this.transport.request({
+            method: method,
+            url: url,
+            path: path,
+            params: params,
+            headers: headers,
+            body: hasPostData ? JSON.stringify(params) : null
+        }, function(err, res) {
+            if (err)
+            {
+                return callback(err instanceof errors.TelerivetError ? err : errors.fromNetworkError({method: method, path: path}, err), null);
+            }
+            
+            var responseData;
+            try
+            {
+                responseData = JSON.parse(res.body);
+            }
+            catch (e)
+            {
+                responseData = undefined;
+            }
+            
+            var responseErr = errors.fromResponse({method: method, path: path}, {
+                status: res.status,
+                headers: res.headers,
+                body: res.body,
+                data: responseData
+            });
+            
+            if (responseErr)
+            {
+                return callback(responseErr, null);
+            }
+            
+            callback(null, {
+                status: res.status,
+                headers: res.headers,
+                body: res.body,
+                data: responseData
+            });
+        });
     }
 };
 
@@ -179,11 +550,11 @@ API.prototype = {
           * Required
       
       - callback : function(err, project)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 API.prototype.getProjectById = function(id, callback)
 {
-    this.doRequest("GET", this.getBaseApiPath() + "/projects/" + id, null, this.wrapCallback(require('./telerivet/project'), callback));
+    return this.doRequest("GET", this.getBaseApiPath() + "/projects/" + id, null, this.wrapCallback(require('./telerivet/project'), callback));
 };
 
 /**
@@ -249,6 +620,19 @@ API.prototype.getBaseApiPath = function()
     return "";
 };
 
+/*
+ * Returns the entity class with the given name, e.g. 'Contact'.
+ */
+function getEntityClass(className)
+{
+    var cls = module.exports.hasOwnProperty(className) ? module.exports[className] : null;
+    if (!cls || !(cls.prototype instanceof Entity))
+    {
+        throw new Error("Unknown entity class " + className);
+    }
+    return cls;
+}
+
 function encodeParamsRec(paramName, value, paramArr)
 {        
     if (value === null || value === undefined)
@@ -281,6 +665,11 @@ function encodeParamsRec(paramName, value, paramArr)
     }
 }
 
+function base64Encode(str)
+{
+    return (Buffer.from ? Buffer.from(str) : new Buffer(str)).toString('base64');
+}
+
 function encodeParams(params) {
     var paramArr = [];            
     for (var name in params)
@@ -292,5 +681,43 @@ function encodeParams(params) {
 
 
 module.exports = {
-    API: API
+    API: API,
+    RetryPolicy: RetryPolicy,
+    RequestScheduler: RequestScheduler,
+    HttpTransport: HttpTransport,
+    FakeServer: FakeServer,
+    Cassette: Cassette,
+    Query: Query,
+    IdentityMap: IdentityMap,
+    PhoneNumber: PhoneNumber,
+    MessageAnalysis: MessageAnalysis,
+    Project: require('./telerivet/project'),
+    Contact: require('./telerivet/contact'),
+    Message: require('./telerivet/message'),
+    Group: require('./telerivet/group'),
+    Label: require('./telerivet/label'),
+    DataTable: require('./telerivet/datatable'),
+    DataRow: require('./telerivet/datarow'),
+    Phone: require('./telerivet/phone'),
+    Route: require('./telerivet/route'),
+    Service: require('./telerivet/service'),
+    ContactServiceState: require('./telerivet/contactservicestate'),
+    ScheduledMessage: require('./telerivet/scheduledmessage'),
+    MobileMoneyReceipt: require('./telerivet/mobilemoneyreceipt'),
+    TelerivetError: errors.TelerivetError,
+    APIError: errors.APIError,
+    AuthenticationError: errors.AuthenticationError,
+    PermissionError: errors.PermissionError,
+    NotFoundError: errors.NotFoundError,
+    InvalidParameterError: errors.InvalidParameterError,
+    RateLimitError: errors.RateLimitError,
+    ServerError: errors.ServerError,
+    InvalidResponseError: errors.InvalidResponseError,
+    NetworkError: errors.NetworkError,
+    TimeoutError: errors.TimeoutError,
+    AbortError: errors.AbortError,
+    InvalidQueryError: errors.InvalidQueryError,
+    InvalidPhoneNumberError: errors.InvalidPhoneNumberError,
+    MessagePartLimitError: errors.MessagePartLimitError,
+    CassetteError: errors.CassetteError
 };
\ No newline at end of file
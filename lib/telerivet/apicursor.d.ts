@@ -0,0 +1,93 @@
+import { Readable } from 'stream';
+import API = require('../telerivet');
+import Entity = require('./entity');
+import ChainedCursor = require('./chainedcursor');
+import Query = require('./query');
+
+/**
+ * An easy-to-use interface for interacting with API methods that return collections of objects
+ * that may be split into multiple pages of results.
+ */
+declare class APICursor<T extends Entity> implements AsyncIterable<T> {
+    constructor(api: API.API, itemCls: new (api: API.API, data: any, isLoaded?: boolean) => T, path: string,
+        params?: {[name: string]: any} | Query);
+
+    /** Retrieves the count of all items matching this query. */
+    count(): Promise<number>;
+    count(callback: Entity.Callback<number>): void;
+
+    /** Limits the maximum number of entities fetched by this query. */
+    limit(limit: number): this;
+
+    /** Fetches up to numPages pages of results in advance (0 to disable). */
+    prefetch(numPages: number): this;
+
+    /** Sets options for the API requests made by this cursor, and by entities retrieved from it. */
+    withRequestOptions(options: API.RequestOptions): this;
+
+    /** Returns the query and the current position of this cursor, for tr.resumeCursor. */
+    getState(): APICursor.State;
+    toJSON(): APICursor.State;
+
+    /** Retrieves all items from the cursor. */
+    all(): Promise<T[]>;
+    all(callback: Entity.Callback<T[]>): void;
+
+    /**
+     * Calls a callback function for each item in the cursor, in order. When the iteration is
+     * complete, the callback function is called once with item == null.
+     */
+    each(callback: (err: Error | null, item: T | null) => void): void;
+
+    /** Retrieves the next item from the cursor (or null if there are no more items). */
+    next(): Promise<T | null>;
+    next(callback: Entity.Callback<T | null>): void;
+
+    /** Returns a Readable stream (in object mode) of the items in the cursor. */
+    stream(options?: APICursor.StreamOptions): Readable;
+
+    map<U>(fn: (item: T, index: number) => U | PromiseLike<U>): ChainedCursor<U>;
+    filter(fn: (item: T, index: number) => any): ChainedCursor<T>;
+    skip(count: number): ChainedCursor<T>;
+    take(count: number): ChainedCursor<T>;
+    batch(size: number): ChainedCursor<T[]>;
+
+    reduce<U>(fn: (accumulator: U, item: T, index: number) => U | PromiseLike<U>, initialValue: U): Promise<U>;
+    reduce<U>(fn: (accumulator: U, item: T, index: number) => U | PromiseLike<U>, initialValue: U,
+        callback: Entity.Callback<U>): void;
+
+    forEach(fn: (item: T, index: number) => any, options?: ChainedCursor.ForEachOptions): Promise<void>;
+    forEach(fn: (item: T, index: number) => any, callback: (err: Error | null) => void): void;
+    forEach(fn: (item: T, index: number) => any, options: ChainedCursor.ForEachOptions | null | undefined,
+        callback: (err: Error | null) => void): void;
+
+    [Symbol.asyncIterator](): AsyncIterator<T>;
+}
+
+declare namespace APICursor {
+    interface StreamOptions {
+        /** If true, the stream contains the raw data returned by the API for each item */
+        raw?: boolean;
+        /** Maximum number of items buffered by the stream (default 16) */
+        highWaterMark?: number;
+    }
+
+    interface State {
+        /** Class name of items in the cursor, e.g. 'Message' */
+        itemClass: string;
+        /** API path of the query */
+        path: string;
+        /** Query parameters */
+        params: {[name: string]: any};
+        /** Limit set by cursor.limit(), or null */
+        limit: number | null;
+        /** Marker of the current page of results, or null for the first page */
+        marker: string | null;
+        /** Number of items already retrieved from the current page */
+        pos: number;
+        /** Total number of items already retrieved */
+        offset: number;
+    }
+}
+
+export = APICursor;
@@ -1,4 +1,7 @@
-var util = require('./util');
+var util = require('./util'),
+    errors = require('./errors'),
+    ChainedCursor = require('./chainedcursor'),
+    Query = require('./query');
 
 /*
     APICursor
@@ -15,6 +18,16 @@ function APICursor(api, itemCls, path, params)
     {
         params = {};
     }
+    
+    if (params instanceof Query)
+    {
+        var className = itemCls.prototype.getClassName();
+        if (params.itemClass != className)
+        {
+            throw new errors.InvalidQueryError("Cannot use " + params.itemClass + " query to query " + className + " objects");
+        }
+        params = params.build();
+    }
 
     if (params.count)
     {
@@ -26,6 +39,9 @@ function APICursor(api, itemCls, path, params)
     this.path = path;
     this.params = params;
     this._limit = null;
+    this._resumePos = 0;
+    this._prefetch = 0;
+    this._prefetched = [];
     this.offset = 0;
     this.data = null;
 }    
@@ -38,10 +54,12 @@ APICursor.prototype = {
         passes it to the callback function.
         
         - callback : function(err, count)
-            * Required
+            * Optional (a Promise is returned if omitted)
      */
     count: function(callback)
     {
+        callback = util.promiseCallback(callback);
+        
         var params = util.extend({count:1}, this.params);        
         this.api.doRequest("GET", this.path, params, function(err, res) {
             if (err)
@@ -50,6 +68,8 @@ APICursor.prototype = {
             }                    
             callback(null, res.count);
         });
+        
+        return callback.promise;
     },
     
     /* 
@@ -76,6 +96,110 @@ APICursor.prototype = {
         return this;
     },
     
+    /* 
+        cursor.prefetch(numPages)
+        
+        Fetches up to numPages pages of results in advance, while the items in the current
+        page are being processed, instead of waiting to fetch each page until the previous
+        page has been processed. This can make iterating over many pages of results much
+        faster, at the cost of memory for the buffered pages.
+        
+        Pages are still requested one at a time (each page's next_marker is needed to
+        request the following page). Prefetching stops at the limit set by cursor.limit().
+        
+        Arguments:
+          - numPages (int)
+              * Maximum number of pages to buffer ahead of the current page (0 to disable)
+              * Required
+        
+        Returns:
+            APICursor
+     */
+    prefetch: function(numPages)
+    {
+        this._prefetch = numPages;
+        this._prefetchMarker = this.nextMarker;
+        this._prefetchDone = this.data != null && !this.truncated;
+        this._prefetchFailed = false;
+        this._numPrefetched = this.data ? this.offset + this.data.length - this.pos : 0;
+        return this;
+    },
+    
+    /* 
+        cursor.withRequestOptions(options)
+        
+        Sets options for the API requests made by this cursor, and by entities retrieved
+        from it; see tr.withRequestOptions.
+        
+        For example, pass an AbortSignal as the 'signal' option to stop iterating when the
+        signal is aborted. each() and all() then call their callback with an error
+        (name AbortError), and no further pages are requested.
+        
+        Arguments:
+          - options (associative array)
+              * Required
+        
+        Returns:
+            APICursor
+     */
+    withRequestOptions: function(options)
+    {
+        this.api = this.api.withRequestOptions(options);
+        return this;
+    },
+    
+    /* 
+        cursor.getState()
+        
+        Returns the query and the current position of this cursor, as an associative array
+        that can be serialized as JSON (e.g. to save progress while exporting a large
+        number of items). Pass the state to tr.resumeCursor to create a new cursor that
+        continues after the last item retrieved from this cursor.
+        
+        JSON.stringify(cursor) returns the same state.
+        
+        Returns:
+            associative array
+              - itemClass: class name of items in the cursor, e.g. 'Message'
+              - path: API path of the query
+              - params: query parameters (with Date values converted to UNIX timestamps)
+              - limit: limit set by cursor.limit(), or null
+              - marker: marker of the current page of results, or null for the first page
+              - pos: number of items already retrieved from the current page
+              - offset: total number of items already retrieved
+     */
+    getState: function()
+    {
+        var marker = this.pageMarker || null,
+            pos = this.data ? this.pos : this._resumePos;
+        
+        if (this.data == null)
+        {
+            marker = this.nextMarker || null;
+        }
+        else if (this.pos >= this.data.length && this.truncated)
+        {
+            // current page is finished, so resume from the next page
+            marker = this.nextMarker;
+            pos = 0;
+        }
+        
+        return {
+            itemClass: this.itemCls.prototype.getClassName(),
+            path: this.path,
+            params: util.convertDates(this.params, null),
+            limit: this._limit,
+            marker: marker,
+            pos: pos,
+            offset: this.offset
+        };
+    },
+    
+    toJSON: function()
+    {
+        return this.getState();
+    },
+    
     /* 
         cursor.all(callback)
         
@@ -83,10 +207,12 @@ APICursor.prototype = {
         to the callback function.
         
         - callback : function(err, items)
-            * Required
+            * Optional (a Promise is returned if omitted)
      */
     all: function(callback)
     {
+        callback = util.promiseCallback(callback);
+        
         var self = this, items = [];
         
         var append = function(err, item) {
@@ -106,6 +232,8 @@ APICursor.prototype = {
         };
         
         this.next(append);
+        
+        return callback.promise;
     },
     
     /* 
@@ -121,6 +249,11 @@ APICursor.prototype = {
      */
     each: function(callback)
     {
+        if (!callback)
+        {
+            throw new Error("Missing callback");
+        }
+        
         var self = this;
         
         var wrapper = function(err, item) {
@@ -145,10 +278,221 @@ APICursor.prototype = {
         Retrieves the next item from the cursor and passes it to the callback function.
         
         - callback : function(err, item)
-            * Required
+            * Optional (a Promise is returned if omitted)
      */
     next: function(callback)
     {
+        callback = util.promiseCallback(callback);
+        
+        var self = this;
+        this._nextData(function(err, itemData) {
+            if (err)
+            {
+                return callback(err);
+            }
+            
+            var cls = self.itemCls;
+            callback(null, itemData ? new cls(self.api, itemData, true) : null);
+        });
+        
+        return callback.promise;
+    },
+    
+    /* 
+        cursor.stream(options)
+        
+        Returns a Readable stream (in object mode) of the items in the cursor, which can be
+        piped to other streams. Each page of results is only fetched when the stream's
+        consumer is ready to read more items. If a request fails, the stream emits an
+        'error' event.
+        
+        Arguments:
+          - options (associative array)
+            
+            - raw (bool)
+                * If true, the stream contains the raw data returned by the API for each
+                    item (associative arrays), instead of entity objects
+                * Default: false
+            
+            - highWaterMark (int)
+                * Maximum number of items buffered by the stream
+                * Default: 16
+        
+        Returns:
+            stream.Readable
+     */
+    stream: function(options)
+    {
+        options = options || {};
+        
+        var Readable = require('stream').Readable;
+        
+        var self = this,
+            reading = false,
+            cls = this.itemCls;
+        
+        var stream = new Readable({
+            objectMode: true,
+            highWaterMark: options.highWaterMark || 16,
+            read: function()
+            {
+                if (reading)
+                {
+                    return;
+                }
+                reading = true;
+                
+                self._nextData(function(err, itemData) {
+                    reading = false;
+                    if (err)
+                    {
+                        stream.destroy(err);
+                    }
+                    else if (!itemData)
+                    {
+                        stream.push(null);
+                    }
+                    else
+                    {
+                        stream.push(options.raw ? itemData : new cls(self.api, itemData, true));
+                    }
+                });
+            },
+            destroy: function(err, callback)
+            {
+                self._release();
+                callback(err);
+            }
+        });
+        
+        return stream;
+    },
+    
+    loadNextPage: function(callback)
+    {
+        var self = this;
+        this._takePage(function(err, response, marker) {
+            if (err)
+            {
+                return callback(err);
+            }
+            
+            self.data = response.data;
+            self.truncated = response.truncated;
+            self.pageMarker = marker || null;
+            self.nextMarker = response.next_marker;
+            self.pos = 0;
+            
+            if (self._resumePos)
+            {
+                self.pos = Math.min(self._resumePos, self.data.length);
+                self._resumePos = 0;
+            }
+            callback(null, self);
+        });
+    },
+    
+    _fetchPage: function(marker, callback)
+    {
+        var requestParams = util.extend({}, this.params);
+                
+        if (marker)
+        {
+            requestParams.marker = marker;
+        }
+        
+        if (this._limit != null && !requestParams.page_size)
+        {
+            requestParams.page_size = Math.min(this._limit, 200);
+        }
+        
+        this.api.doRequest("GET", this.path, requestParams, function(err, response) {
+            callback(err, response, marker);
+        });
+    },
+    
+    _takePage: function(callback)
+    {
+        if (!this._prefetch)
+        {
+            return this._fetchPage(this.nextMarker, callback);
+        }
+        
+        if (this._prefetched.length > 0)
+        {
+            var page = this._prefetched.shift();
+            this._prefetchPages();
+            process.nextTick(function() {
+                callback(page.err, page.response, page.marker);
+            });
+        }
+        else
+        {
+            this._waitingForPage = callback;
+            this._prefetchPages();
+        }
+    },
+    
+    _prefetchPages: function()
+    {
+        // after a failed request, wait until a page is needed before requesting it again
+        if (!this._prefetch || this._prefetching || this._prefetchDone || 
+            ((this._prefetched.length >= this._prefetch || this._prefetchFailed) && !this._waitingForPage))
+        {
+            return;
+        }
+        
+        var self = this;
+        this._prefetching = true;
+        this._prefetchFailed = false;
+        this._fetchPage(this._prefetchMarker, function(err, response, marker) {
+            self._prefetching = false;
+            
+            if (!self._prefetch)
+            {
+                // cursor was released
+                return;
+            }
+            
+            if (err)
+            {
+                // keep _prefetchMarker so that the failed page is requested again
+                self._prefetchFailed = true;
+            }
+            else
+            {
+                self._prefetchMarker = response.next_marker;
+                self._numPrefetched += response.data.length;
+                if (!response.truncated || (self._limit != null && self._numPrefetched >= self._limit))
+                {
+                    self._prefetchDone = true;
+                }
+            }
+            
+            var page = {err: err, response: response, marker: marker};
+            if (self._waitingForPage)
+            {
+                var callback = self._waitingForPage;
+                self._waitingForPage = null;
+                callback(page.err, page.response, page.marker);
+            }
+            else
+            {
+                self._prefetched.push(page);
+            }
+            
+            self._prefetchPages();
+        });
+    },
+    
+    _nextData: function(callback)
+    {
+        var signal = this.api.requestOptions.signal;
+        if (signal && signal.aborted)
+        {
+            return callback(new errors.AbortError("Request cancelled"));
+        }
+        
         if (this._limit != null && this.offset >= this._limit)
         {
             return callback(null, null);
@@ -167,8 +511,7 @@ APICursor.prototype = {
                 var itemData = self.data[self.pos];
                 self.pos++;
                 self.offset++;
-                var cls = self.itemCls;
-                callback(null, new cls(self.api, itemData, true));
+                callback(null, itemData);
             }
             else
             {
@@ -186,34 +529,57 @@ APICursor.prototype = {
         }
     },
     
-    loadNextPage: function(callback)
+    _resume: function(state)
     {
-        var requestParams = util.extend({}, this.params);
-                
-        if (this.nextMarker)
-        {
-            requestParams.marker = this.nextMarker;
-        }
-        
-        if (this._limit != null && !requestParams.page_size)
-        {
-            requestParams.page_size = Math.min(this._limit, 200);
-        }
-        
-        var self = this;        
-        this.api.doRequest("GET", this.path, requestParams, function(err, response) {        
-            if (err)
-            {
-                return callback(err);
-            }
-            
-            self.data = response.data;
-            self.truncated = response.truncated;
-            self.nextMarker = response.next_marker;
-            self.pos = 0;
-            callback(null, self);
+        this._limit = state.limit != null ? state.limit : null;
+        this.nextMarker = state.marker || null;
+        this._resumePos = state.pos || 0;
+        this.offset = state.offset || 0;
+        return this;
+    },
+    
+    _read: function(callback)
+    {
+        this.next(function(err, item) {
+            callback(err, item ? {value: item} : null);
         });
-    }    
+    },
+    
+    _release: function()
+    {
+        // drop the current page and stop requesting further pages
+        this.data = [];
+        this.pos = 0;
+        this.truncated = false;
+        this.nextMarker = null;
+        this._prefetch = 0;
+        this._prefetched = [];
+    }
 };
 
+/* 
+    cursor.map(fn), cursor.filter(fn), cursor.skip(count), cursor.take(count), cursor.batch(size)
+    
+    Return a ChainedCursor that transforms the items of this cursor as they are retrieved.
+    
+    cursor.reduce(fn, initialValue, callback), cursor.forEach(fn, options, callback)
+    
+    Process all items in the cursor.
+    
+    See lib/telerivet/chainedcursor.js for details.
+ */
+util.extend(APICursor.prototype, ChainedCursor.operations);
+
+/* 
+    for await (var item of cursor)
+    
+    Iterates over the items in the cursor, fetching each page of results when
+    it is needed. Exiting the loop early (e.g. with break) releases the cursor, and no
+    further pages are requested.
+ */
+if (typeof Symbol !== 'undefined' && Symbol.asyncIterator)
+{
+    APICursor.prototype[Symbol.asyncIterator] = ChainedCursor.asyncIterator;
+}
+
 module.exports = APICursor;
\ No newline at end of file
@@ -0,0 +1,191 @@
+var util = require('./util'),
+    errors = require('./errors');
+
+var MAX_CHUNK_SIZE = 500;
+
+/*
+    sendBulkMessages(project, options, bulkOptions, callback)
+
+    Sends an SMS message to any number of phone numbers, by splitting the numbers into chunks
+    of up to 500 numbers and sending each chunk the same way as project.sendMessages. Used by
+    project.sendBulkMessages.
+
+    Chunks are sent concurrently (up to bulkOptions.concurrency at a time). If a chunk fails,
+    the remaining chunks are still sent; the callback is called after all chunks have been
+    sent or have failed, with an associative array describing the result:
+
+      - numChunks (int)
+          * Number of chunks the phone numbers were split into
+
+      - numQueued (int)
+          * Total number of messages queued to send (sum of count_queued for each chunk)
+
+      - results (array)
+          * Result returned by project.sendMessages for each chunk, in order (null for chunks
+              that failed or were not sent)
+
+      - failedChunks (array)
+          * Chunks that could not be sent, each with the properties index, toNumbers and error
+              (including chunks that were not sent because onProgress threw an error)
+
+      - failedNumbers (array)
+          * All phone numbers in failed chunks, which can be passed as to_numbers to retry
+              sending to those numbers
+
+    The callback is only called with an error if the arguments are invalid, if the content
+    has more SMS parts than allowed by project.setMessagePartLimit (with the 'reject' action),
+    or if bulkOptions.onProgress throws an error. In the last case, no further chunks are
+    sent, and the result is available as err.bulkResult, with the chunks that were not sent
+    in failedChunks and failedNumbers (so that sending to them can be retried).
+*/
+function sendBulkMessages(project, options, bulkOptions, callback)
+{
+    callback = util.promiseCallback(callback);
+
+    var toNumbers = options && options.to_numbers;
+    if (!Array.isArray(toNumbers) || options.group_id)
+    {
+        process.nextTick(function() {
+            callback(new errors.InvalidParameterError(
+                "sendBulkMessages requires to_numbers (use sendMessages to send to a group)", {param: 'to_numbers'}));
+        });
+        return callback.promise;
+    }
+
+    try
+    {
+        // checked once for all chunks, rather than once per chunk by sendMessages
+        project._checkMessageParts(options);
+    }
+    catch (e)
+    {
+        process.nextTick(function() {
+            callback(e);
+        });
+        return callback.promise;
+    }
+
+    var chunkSize = Math.min(bulkOptions.chunkSize || MAX_CHUNK_SIZE, MAX_CHUNK_SIZE),
+        concurrency = bulkOptions.concurrency || 2,
+        onProgress = bulkOptions.onProgress;
+
+    var chunks = [];
+    for (var i = 0; i < toNumbers.length; i += chunkSize)
+    {
+        chunks.push(toNumbers.slice(i, i + chunkSize));
+    }
+
+    var result = {
+        numChunks: chunks.length,
+        numQueued: 0,
+        results: chunks.map(function() { return null; }),
+        failedChunks: [],
+        failedNumbers: []
+    };
+
+    var path = project.getBaseApiPath() + "/messages/send_batch",
+        nextIndex = 0,
+        numActive = 0,
+        numCompleted = 0,
+        progressError = null;
+
+    var finish = function() {
+        if (progressError)
+        {
+            for (var i = nextIndex; i < chunks.length; i++)
+            {
+                result.failedChunks.push({
+                    index: i,
+                    toNumbers: chunks[i],
+                    error: new errors.TelerivetError("Chunk was not sent because onProgress threw an error",
+                        {cause: progressError})
+                });
+            }
+        }
+
+        result.failedChunks.sort(function(a, b) { return a.index - b.index; });
+        result.failedChunks.forEach(function(chunk) {
+            result.failedNumbers = result.failedNumbers.concat(chunk.toNumbers);
+        });
+
+        if (progressError)
+        {
+            progressError.bulkResult = result;
+            callback(progressError);
+        }
+        else
+        {
+            callback(null, result);
+        }
+    };
+
+    var sendNext = function() {
+        if (nextIndex >= chunks.length || progressError)
+        {
+            return;
+        }
+
+        var index = nextIndex++,
+            chunk = chunks[index];
+
+        var chunkOptions = util.extend(util.extend({}, options), {to_numbers: chunk});
+        numActive++;
+        project._requestWithChecks("POST", path, chunkOptions, {phoneNumbers: ['to_numbers']}, function(err, res) {
+            numActive--;
+            numCompleted++;
+
+            if (err)
+            {
+                result.failedChunks.push({index: index, toNumbers: chunk, error: err});
+            }
+            else
+            {
+                result.results[index] = res;
+                if (res && typeof res.count_queued === 'number')
+                {
+                    result.numQueued += res.count_queued;
+                }
+            }
+
+            if (onProgress && !progressError)
+            {
+                try
+                {
+                    onProgress({
+                        numChunks: chunks.length,
+                        numCompleted: numCompleted,
+                        numFailed: result.failedChunks.length,
+                        numQueued: result.numQueued
+                    });
+                }
+                catch (e)
+                {
+                    // stop sending chunks, and pass the error to the callback after the
+                    // chunks already being sent have completed
+                    progressError = e;
+                }
+            }
+
+            sendNext();
+
+            if (numActive == 0)
+            {
+                finish();
+            }
+        });
+    };
+
+    if (chunks.length == 0)
+    {
+        process.nextTick(finish);
+    }
+
+    for (var j = 0; j < concurrency; j++)
+    {
+        sendNext();
+    }
+
+    return callback.promise;
+}
+
+module.exports = sendBulkMessages;
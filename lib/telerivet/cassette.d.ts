@@ -0,0 +1,51 @@
+import HttpTransport = require('./transport');
+
+/**
+ * A transport that records API requests and responses to a JSON fixture file, or replays previously
+ * recorded responses without sending any requests.
+ */
+declare class Cassette implements HttpTransport.Transport {
+    constructor(options: Cassette.Options);
+
+    path: string;
+    mode: 'record' | 'replay';
+    interactions: Cassette.Interaction[];
+
+    request(request: HttpTransport.Request, callback: HttpTransport.Callback): HttpTransport.Abortable | void;
+
+    /** Returns the recorded interactions that have not been replayed yet. */
+    getUnplayedInteractions(): Cassette.Interaction[];
+}
+
+declare namespace Cassette {
+    interface Options {
+        /** Path of the fixture file */
+        path: string;
+        /** Whether to record or replay requests (default replay) */
+        mode?: 'record' | 'replay';
+        /** Transport used to send requests in record mode */
+        transport?: HttpTransport.Transport;
+        /** API key to redact from recorded responses (set automatically by telerivet.API) */
+        apiKey?: string;
+        /** If true, recorded interactions may be replayed any number of times (default false) */
+        allowRepeats?: boolean;
+    }
+
+    interface Interaction {
+        request: {
+            method: string;
+            path: string;
+            params: {[name: string]: any};
+        };
+        response: {
+            status: number;
+            headers: {[name: string]: any};
+            /** Parsed JSON body of the response */
+            data?: any;
+            /** Raw body of the response, if it is not valid JSON */
+            body?: string;
+        };
+    }
+}
+
+export = Cassette;
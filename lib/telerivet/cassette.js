@@ -0,0 +1,269 @@
+var fs = require('fs'),
+    util = require('./util'),
+    errors = require('./errors');
+
+var REDACTED = '[REDACTED]';
+
+/*
+    Cassette
+
+    A transport that records API requests and responses to a JSON fixture file, or replays
+    previously recorded responses without sending any requests. This allows capturing real
+    interactions with the Telerivet API once, then running deterministic tests of code that
+    uses this library.
+
+    A cassette is normally created via the 'cassette' option of telerivet.API:
+
+        var tr = new telerivet.API(API_KEY, {
+            cassette: {path: 'test/fixtures/send_message.json', mode: 'replay'}
+        });
+
+    In record mode, each request is sent with the wrapped transport, and the request
+    (method, path and params) and response (status, headers and body) are appended to the
+    fixture file. The API key is never written to the file.
+
+    In replay mode, each request is matched against the recorded interactions by method,
+    path and params. Each recorded interaction is replayed at most once, in the order they
+    were recorded. A request that doesn't match any remaining interaction fails with a
+    CassetteError.
+
+    Options:
+      - path
+          * Path of the fixture file
+          * Required
+
+      - mode
+          * Allowed values: record, replay
+          * Default: replay
+
+      - transport
+          * Transport used to send requests in record mode
+          * Default: the transport passed to telerivet.API, or a new HttpTransport
+
+      - apiKey
+          * API key to redact from recorded responses (set automatically by telerivet.API)
+
+      - allowRepeats (bool)
+          * If true, recorded interactions may be replayed any number of times
+          * Default: false
+*/
+function Cassette(options)
+{
+    options = util.extend({
+        path: null,
+        mode: 'replay',
+        transport: null,
+        apiKey: null,
+        allowRepeats: false
+    }, options || {});
+
+    if (!options.path)
+    {
+        throw new errors.CassetteError("Cassette path is required");
+    }
+    if (options.mode != 'record' && options.mode != 'replay')
+    {
+        throw new errors.CassetteError("Invalid cassette mode " + options.mode);
+    }
+
+    this.path = options.path;
+    this.mode = options.mode;
+    this.apiKey = options.apiKey;
+    this.allowRepeats = options.allowRepeats;
+
+    if (this.mode == 'record')
+    {
+        var HttpTransport = require('./transport');
+        this.transport = options.transport || new HttpTransport();
+        this.interactions = [];
+    }
+    else
+    {
+        this.transport = null;
+        this.interactions = this._load();
+    }
+
+    this.played = this.interactions.map(function() { return false; });
+}
+
+Cassette.prototype = {
+
+    request: function(request, callback)
+    {
+        if (this.mode == 'record')
+        {
+            return this._record(request, callback);
+        }
+
+        var index = this._findInteraction(request);
+        if (index == -1)
+        {
+            var err = new errors.CassetteError("No recorded response in " + this.path + " for " +
+                request.method + " " + request.path + " " + JSON.stringify(normalizeParams(request.params)), {
+                method: request.method,
+                path: request.path
+            });
+            process.nextTick(function() {
+                callback(err, null);
+            });
+            return;
+        }
+
+        this.played[index] = true;
+
+        var response = this.interactions[index].response;
+        process.nextTick(function() {
+            callback(null, {
+                status: response.status,
+                headers: util.extend({}, response.headers),
+                body: response.data !== undefined ? JSON.stringify(response.data) : response.body
+            });
+        });
+    },
+
+    /*
+        cassette.getUnplayedInteractions()
+
+        Returns the recorded interactions that have not been replayed yet, e.g. to check at
+        the end of a test that all expected requests were made.
+
+        Returns:
+            array
+     */
+    getUnplayedInteractions: function()
+    {
+        var played = this.played;
+        return this.interactions.filter(function(interaction, index) {
+            return !played[index];
+        });
+    },
+
+    _findInteraction: function(request)
+    {
+        var key = getRequestKey(request);
+
+        for (var i = 0; i < this.interactions.length; i++)
+        {
+            if ((this.allowRepeats || !this.played[i]) && getRequestKey(this.interactions[i].request) == key)
+            {
+                return i;
+            }
+        }
+        return -1;
+    },
+
+    _record: function(request, callback)
+    {
+        var self = this;
+
+        return this.transport.request(request, function(err, res) {
+            if (!err)
+            {
+                try
+                {
+                    self._save(request, res);
+                }
+                catch (e)
+                {
+                    err = new errors.CassetteError("Could not write cassette " + self.path + ": " + e.message, {
+                        cause: e
+                    });
+                }
+            }
+            callback(err, err ? null : res);
+        });
+    },
+
+    _save: function(request, res)
+    {
+        var response = {
+            status: res.status,
+            headers: this._redact(res.headers || {})
+        };
+
+        var body = this._redact(res.body);
+        try
+        {
+            response.data = JSON.parse(body);
+        }
+        catch (e)
+        {
+            response.body = body;
+        }
+
+        this.interactions.push({
+            request: {
+                method: request.method,
+                path: request.path,
+                params: this._redact(normalizeParams(request.params))
+            },
+            response: response
+        });
+        this.played.push(true);
+
+        fs.writeFileSync(this.path, JSON.stringify({interactions: this.interactions}, null, 2) + "\n");
+    },
+
+    _load: function()
+    {
+        var fixture;
+        try
+        {
+            fixture = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+        }
+        catch (e)
+        {
+            throw new errors.CassetteError("Could not read cassette " + this.path + ": " + e.message, {
+                cause: e
+            });
+        }
+        return fixture.interactions || [];
+    },
+
+    _redact: function(value)
+    {
+        var apiKey = this.apiKey;
+        if (!apiKey || value == null)
+        {
+            return value;
+        }
+
+        if (typeof value === 'string')
+        {
+            return value.split(apiKey).join(REDACTED);
+        }
+
+        return JSON.parse(JSON.stringify(value).split(JSON.stringify(apiKey).slice(1, -1)).join(REDACTED));
+    }
+};
+
+/*
+ * Returns a copy of request params as they would be sent to the API, without
+ * undefined values.
+ */
+function normalizeParams(params)
+{
+    return params ? JSON.parse(JSON.stringify(params)) : {};
+}
+
+function stableStringify(value)
+{
+    if (Array.isArray(value))
+    {
+        return '[' + value.map(stableStringify).join(',') + ']';
+    }
+    if (value && typeof value === 'object')
+    {
+        return '{' + Object.keys(value).sort().map(function(key) {
+            return JSON.stringify(key) + ':' + stableStringify(value[key]);
+        }).join(',') + '}';
+    }
+    return JSON.stringify(value);
+}
+
+function getRequestKey(request)
+{
+    return request.method + ' ' + request.path + ' ' + stableStringify(normalizeParams(request.params));
+}
+
+module.exports = Cassette;
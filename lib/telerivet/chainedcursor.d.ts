@@ -0,0 +1,58 @@
+import Entity = require('./entity');
+
+/**
+ * A cursor returned by the map, filter, skip, take and batch methods of APICursor (or of another
+ * ChainedCursor), which transforms the items of its source cursor as they are retrieved.
+ */
+declare class ChainedCursor<T> implements AsyncIterable<T> {
+    /** Retrieves the next item from the cursor (or null if there are no more items). */
+    next(): Promise<T | null>;
+    next(callback: Entity.Callback<T | null>): void;
+
+    /** Retrieves all items from the cursor. */
+    all(): Promise<T[]>;
+    all(callback: Entity.Callback<T[]>): void;
+
+    /**
+     * Calls a callback function for each item in the cursor, in order. When the iteration is
+     * complete, the callback function is called once with item == null.
+     */
+    each(callback: (err: Error | null, item: T | null) => void): void;
+
+    /** Returns a cursor of the values returned by fn(item, index) for each item. */
+    map<U>(fn: (item: T, index: number) => U | PromiseLike<U>): ChainedCursor<U>;
+
+    /** Returns a cursor of the items for which fn(item, index) returns a truthy value. */
+    filter(fn: (item: T, index: number) => any): ChainedCursor<T>;
+
+    /** Returns a cursor that skips the first 'count' items. */
+    skip(count: number): ChainedCursor<T>;
+
+    /** Returns a cursor of at most the first 'count' items. */
+    take(count: number): ChainedCursor<T>;
+
+    /** Returns a cursor of arrays containing 'size' consecutive items each. */
+    batch(size: number): ChainedCursor<T[]>;
+
+    /** Calls fn(accumulator, item, index) for each item in order, and returns the final value. */
+    reduce<U>(fn: (accumulator: U, item: T, index: number) => U | PromiseLike<U>, initialValue: U): Promise<U>;
+    reduce<U>(fn: (accumulator: U, item: T, index: number) => U | PromiseLike<U>, initialValue: U,
+        callback: Entity.Callback<U>): void;
+
+    /** Calls fn(item, index) for each item, waiting for any Promise returned by fn. */
+    forEach(fn: (item: T, index: number) => any, options?: ChainedCursor.ForEachOptions): Promise<void>;
+    forEach(fn: (item: T, index: number) => any, callback: (err: Error | null) => void): void;
+    forEach(fn: (item: T, index: number) => any, options: ChainedCursor.ForEachOptions | null | undefined,
+        callback: (err: Error | null) => void): void;
+
+    [Symbol.asyncIterator](): AsyncIterator<T>;
+}
+
+declare namespace ChainedCursor {
+    interface ForEachOptions {
+        /** Maximum number of items processed at the same time (default 1) */
+        concurrency?: number;
+    }
+}
+
+export = ChainedCursor;
@@ -0,0 +1,495 @@
+var util = require('./util');
+
+/*
+    ChainedCursor
+
+    A cursor returned by the map, filter, skip, take and batch methods of APICursor (or of
+    another ChainedCursor), which transforms the items of its source cursor as they are
+    retrieved. Nothing is requested from the API until items are retrieved from the cursor,
+    and pages of results are only fetched when more items are needed.
+
+    A ChainedCursor supports the same methods as APICursor for retrieving items (next, all,
+    each and for await), as well as further chained operations.
+
+    Functions passed to map, filter, reduce and forEach are called with the item and its
+    index (starting from 0), and may return a Promise.
+*/
+function ChainedCursor(source, read)
+{
+    this.source = source;
+    this._read = read;
+}
+
+var operations = {
+
+    /*
+        cursor.map(fn)
+
+        Returns a cursor of the values returned by fn(item, index) for each item.
+
+        Returns:
+            ChainedCursor
+     */
+    map: function(fn)
+    {
+        var source = this,
+            index = 0;
+
+        return new ChainedCursor(this, function(callback) {
+            source._read(function(err, result) {
+                if (err || !result)
+                {
+                    return callback(err, null);
+                }
+
+                util.callAsync(fn, [result.value, index++], function(err, value) {
+                    callback(err, err ? null : {value: value});
+                });
+            });
+        });
+    },
+
+    /*
+        cursor.filter(fn)
+
+        Returns a cursor of the items for which fn(item, index) returns a truthy value.
+
+        Returns:
+            ChainedCursor
+     */
+    filter: function(fn)
+    {
+        var source = this,
+            index = 0;
+
+        var read = function(callback) {
+            source._read(function(err, result) {
+                if (err || !result)
+                {
+                    return callback(err, null);
+                }
+
+                util.callAsync(fn, [result.value, index++], function(err, matches) {
+                    if (err)
+                    {
+                        callback(err, null);
+                    }
+                    else if (matches)
+                    {
+                        callback(null, result);
+                    }
+                    else
+                    {
+                        read(callback);
+                    }
+                });
+            });
+        };
+
+        return new ChainedCursor(this, read);
+    },
+
+    /*
+        cursor.skip(count)
+
+        Returns a cursor that skips the first 'count' items.
+
+        To skip items without fetching them from the API, use the 'offset' parameter of the
+        query method instead.
+
+        Returns:
+            ChainedCursor
+     */
+    skip: function(count)
+    {
+        var source = this,
+            numSkipped = 0;
+
+        var read = function(callback) {
+            source._read(function(err, result) {
+                if (err || !result || numSkipped >= count)
+                {
+                    return callback(err, result);
+                }
+
+                numSkipped++;
+                read(callback);
+            });
+        };
+
+        return new ChainedCursor(this, read);
+    },
+
+    /*
+        cursor.take(count)
+
+        Returns a cursor of at most the first 'count' items. After 'count' items have been
+        retrieved, the source cursor is released and no further pages are requested.
+
+        Returns:
+            ChainedCursor
+     */
+    take: function(count)
+    {
+        var source = this,
+            numTaken = 0;
+
+        return new ChainedCursor(this, function(callback) {
+            if (numTaken >= count)
+            {
+                source._release();
+                return process.nextTick(function() {
+                    callback(null, null);
+                });
+            }
+
+            numTaken++;
+            source._read(callback);
+        });
+    },
+
+    /*
+        cursor.batch(size)
+
+        Returns a cursor of arrays containing 'size' consecutive items each (the last array
+        may contain fewer items).
+
+        Returns:
+            ChainedCursor
+     */
+    batch: function(size)
+    {
+        var source = this;
+
+        return new ChainedCursor(this, function(callback) {
+            var items = [];
+
+            var read = function() {
+                source._read(function(err, result) {
+                    if (err)
+                    {
+                        return callback(err, null);
+                    }
+
+                    if (result)
+                    {
+                        items.push(result.value);
+                    }
+
+                    if (result && items.length < size)
+                    {
+                        read();
+                    }
+                    else
+                    {
+                        callback(null, items.length > 0 ? {value: items} : null);
+                    }
+                });
+            };
+            read();
+        });
+    },
+
+    /*
+        cursor.reduce(fn, initialValue, callback)
+
+        Calls fn(accumulator, item, index) for each item in order, where accumulator is
+        initialValue for the first item, and the value returned by fn for the previous item
+        after that. Passes the final value to the callback function.
+
+        - callback : function(err, value)
+            * Optional (a Promise is returned if omitted)
+     */
+    reduce: function(fn, initialValue, callback)
+    {
+        callback = util.promiseCallback(callback);
+
+        var self = this,
+            value = initialValue,
+            index = 0;
+
+        var step = function() {
+            self._read(function(err, result) {
+                if (err)
+                {
+                    return callback(err);
+                }
+                if (!result)
+                {
+                    return callback(null, value);
+                }
+
+                util.callAsync(fn, [value, result.value, index++], function(err, res) {
+                    if (err)
+                    {
+                        return callback(err);
+                    }
+                    value = res;
+                    step();
+                });
+            });
+        };
+        step();
+
+        return callback.promise;
+    },
+
+    /*
+        cursor.forEach(fn, options, callback)
+
+        Calls fn(item, index) for each item. If fn returns a Promise, the next item is not
+        processed until the Promise is resolved, unless the concurrency option is greater
+        than 1. If fn throws an error or returns a rejected Promise, no more items are
+        processed and the error is passed to the callback function.
+
+        Arguments:
+          - fn : function(item, index)
+              * Required
+
+          - options (associative array)
+
+            - concurrency (int)
+                * Maximum number of items processed at the same time
+                * Default: 1
+
+          - callback : function(err)
+              * Called after all items have been processed
+              * Optional (a Promise is returned if omitted)
+     */
+    forEach: function(fn, options, callback)
+    {
+        if (typeof options === 'function')
+        {
+            callback = options;
+            options = null;
+        }
+
+        callback = util.promiseCallback(callback);
+
+        var self = this,
+            concurrency = (options && options.concurrency) || 1,
+            index = 0,
+            numActive = 0,
+            reading = false,
+            done = false,
+            finished = false;
+
+        var finish = function(err) {
+            if (finished)
+            {
+                return;
+            }
+            if (err)
+            {
+                finished = true;
+                self._release();
+                callback(err);
+            }
+            else if (done && numActive == 0)
+            {
+                finished = true;
+                callback(null);
+            }
+        };
+
+        var readNext = function() {
+            if (finished || done || reading || numActive >= concurrency)
+            {
+                return;
+            }
+
+            reading = true;
+            self._read(function(err, result) {
+                reading = false;
+                if (finished)
+                {
+                    // fn failed while this item was being read
+                    return;
+                }
+                if (err)
+                {
+                    return finish(err);
+                }
+                if (!result)
+                {
+                    done = true;
+                    return finish(null);
+                }
+
+                numActive++;
+                util.callAsync(fn, [result.value, index++], function(err) {
+                    numActive--;
+                    finish(err);
+                    readNext();
+                });
+                readNext();
+            });
+        };
+        readNext();
+
+        return callback.promise;
+    }
+};
+
+ChainedCursor.prototype = util.extend({
+
+    /*
+        cursor.next(callback)
+
+        Retrieves the next item from the cursor and passes it to the callback function
+        (or null if there are no more items).
+
+        - callback : function(err, item)
+            * Optional (a Promise is returned if omitted)
+     */
+    next: function(callback)
+    {
+        callback = util.promiseCallback(callback);
+
+        this._read(function(err, result) {
+            callback(err, result ? result.value : null);
+        });
+
+        return callback.promise;
+    },
+
+    /*
+        cursor.all(callback)
+
+        Retrieves all items from the cursor, and passes an array of the items
+        to the callback function.
+
+        - callback : function(err, items)
+            * Optional (a Promise is returned if omitted)
+     */
+    all: function(callback)
+    {
+        callback = util.promiseCallback(callback);
+
+        var self = this, items = [];
+
+        var append = function(err, result) {
+            if (err)
+            {
+                return callback(err);
+            }
+            if (result)
+            {
+                items.push(result.value);
+                self._read(append);
+            }
+            else
+            {
+                callback(null, items);
+            }
+        };
+
+        this._read(append);
+
+        return callback.promise;
+    },
+
+    /*
+        cursor.each(callback)
+
+        Calls a callback function for each item in the cursor, in order.
+
+        - callback : function(err, item)
+            * Required
+            * Called once for each item in the cursor.
+            * NOTE: When the iteration is complete, the callback function
+                will be called once with item == null.
+     */
+    each: function(callback)
+    {
+        if (!callback)
+        {
+            throw new Error("Missing callback");
+        }
+
+        var self = this;
+
+        var wrapper = function(err, result) {
+            if (err)
+            {
+                return callback(err);
+            }
+
+            callback(null, result ? result.value : null);
+            if (result)
+            {
+                self._read(wrapper);
+            }
+        };
+
+        this._read(wrapper);
+    },
+
+    _release: function()
+    {
+        this.source._release();
+    }
+}, operations);
+
+/*
+ * Returns an async iterator over the items of a cursor (used as the
+ * Symbol.asyncIterator method of APICursor and ChainedCursor). Calling
+ * return() (e.g. when exiting a for await loop early) releases the cursor.
+ */
+function asyncIterator()
+{
+    var cursor = this,
+        done = false;
+
+    var finish = function()
+    {
+        done = true;
+        return {value: undefined, done: true};
+    };
+
+    var iterator = {
+        next: function()
+        {
+            if (done)
+            {
+                return Promise.resolve(finish());
+            }
+
+            return new Promise(function(resolve, reject) {
+                cursor._read(function(err, result) {
+                    if (err)
+                    {
+                        done = true;
+                        reject(err);
+                    }
+                    else
+                    {
+                        resolve(result ? {value: result.value, done: false} : finish());
+                    }
+                });
+            });
+        },
+
+        return: function()
+        {
+            if (!done)
+            {
+                cursor._release();
+            }
+            return Promise.resolve(finish());
+        }
+    };
+
+    iterator[Symbol.asyncIterator] = function() { return this; };
+    return iterator;
+}
+
+if (typeof Symbol !== 'undefined' && Symbol.asyncIterator)
+{
+    ChainedCursor.prototype[Symbol.asyncIterator] = asyncIterator;
+}
+
+ChainedCursor.operations = operations;
+ChainedCursor.asyncIterator = asyncIterator;
+
+module.exports = ChainedCursor;
@@ -0,0 +1,186 @@
+import Entity = require('./entity');
+import APICursor = require('./apicursor');
+import Query = require('./query');
+import ContactServiceState = require('./contactservicestate');
+import DataRow = require('./datarow');
+import Group = require('./group');
+import Message = require('./message');
+import ScheduledMessage = require('./scheduledmessage');
+
+declare class Contact extends Entity {
+    /** ID of the contact */
+    readonly id: string;
+    /** Name of the contact */
+    name: string;
+    /** Phone number of the contact */
+    phone_number: string;
+    /** Time the contact was added in Telerivet */
+    readonly time_created: number;
+    /** time_created as a Date (null if not set) */
+    readonly time_created_date: Date | null;
+    /**
+     * Last time the contact sent or received a message (null if no messages have been sent or
+     * received)
+     */
+    readonly last_message_time: number;
+    /** last_message_time as a Date (null if not set) */
+    readonly last_message_time_date: Date | null;
+    /**
+     * ID of the last message sent or received by this contact (null if no messages have been sent
+     * or received)
+     */
+    readonly last_message_id: string;
+    /**
+     * ID of the phone or route that Telerivet will use by default to send messages to this contact
+     * (null if using project default route)
+     */
+    default_route_id: string;
+    /** List of IDs of groups that this contact belongs to */
+    readonly group_ids: string[];
+    /** ID of the project this contact belongs to */
+    readonly project_id: string;
+
+    /** Returns true if this contact is in a particular group, false otherwise. */
+    isInGroup(group: Group): boolean;
+
+    /** Adds this contact to a group. */
+    addToGroup(group: Group): Promise<void>;
+    addToGroup(group: Group, callback: Entity.Callback<void>): void;
+
+    /** Removes this contact from a group. */
+    removeFromGroup(group: Group): Promise<void>;
+    removeFromGroup(group: Group, callback: Entity.Callback<void>): void;
+
+    /** Queries messages sent or received by this contact. */
+    queryMessages(options?: Contact.QueryMessagesOptions | Query): APICursor<Message>;
+
+    /** Queries groups for which this contact is a member. */
+    queryGroups(options?: Contact.QueryGroupsOptions | Query): APICursor<Group>;
+
+    /**
+     * Queries messages scheduled to this contact (not including messages scheduled to groups that
+     * this contact is a member of)
+     */
+    queryScheduledMessages(options?: Contact.QueryScheduledMessagesOptions | Query): APICursor<ScheduledMessage>;
+
+    /** Queries data rows associated with this contact (in any data table). */
+    queryDataRows(options?: Contact.QueryDataRowsOptions | Query): APICursor<DataRow>;
+
+    /** Queries this contact's current states for any service */
+    queryServiceStates(options?: Contact.QueryServiceStatesOptions | Query): APICursor<ContactServiceState>;
+
+    /**
+     * Retrieves the last message sent or received by this contact (null if no messages have been
+     * sent or received).
+     */
+    getLastMessage(): Promise<Message | null>;
+    getLastMessage(callback: Entity.Callback<Message | null>): void;
+
+    /**
+     * Initializes the last message sent or received by this contact without making an API request
+     * (null if no messages have been sent or received).
+     */
+    initLastMessage(): Message | null;
+
+    /** Saves any fields or custom variables that have changed for this contact. */
+    save(): Promise<this>;
+    save(callback: Entity.Callback<this>): void;
+
+    /** Deletes this contact. */
+    delete(): Promise<void>;
+    delete(callback: Entity.Callback<void>): void;
+}
+
+declare namespace Contact {
+    interface QueryMessagesOptions {
+        /** Filter messages by direction */
+        direction?: 'incoming' | 'outgoing';
+        /** Filter messages by message_type */
+        message_type?: 'sms' | 'mms' | 'ussd' | 'call';
+        /** Filter messages by source */
+        source?: 'phone' | 'provider' | 'web' | 'api' | 'service' | 'webhook' | 'scheduled';
+        /** Filter messages by starred/unstarred */
+        starred?: boolean;
+        /** Filter messages by status */
+        status?: 'ignored' | 'processing' | 'received' | 'sent' | 'queued' | 'failed' | 'failed_queued' | 'cancelled' | 'delivered' | 'not_delivered';
+        /**
+         * min: Filter messages created on or after a particular time; max: Filter messages created
+         * before a particular time
+         */
+        time_created?: {min?: number | Date; max?: number | Date;};
+        /** ID of the contact who sent/received the message */
+        contact_id?: string;
+        /** ID of the phone that sent/received the message */
+        phone_id?: string;
+        /** Sort the results based on a field */
+        sort?: 'default';
+        /** Sort the results in ascending or descending order */
+        sort_dir?: 'asc' | 'desc';
+        /** Number of results returned per page (max 200) */
+        page_size?: number;
+        /** Number of items to skip from beginning of result set */
+        offset?: number;
+    }
+
+    interface QueryGroupsOptions {
+        /** Filter groups by name */
+        name?: Query.Filter<string, 'ne' | 'prefix' | 'not_prefix' | 'gte' | 'gt' | 'lt' | 'lte'>;
+        /** Sort the results based on a field */
+        sort?: 'default' | 'name';
+        /** Sort the results in ascending or descending order */
+        sort_dir?: 'asc' | 'desc';
+        /** Number of results returned per page (max 200) */
+        page_size?: number;
+        /** Number of items to skip from beginning of result set */
+        offset?: number;
+    }
+
+    interface QueryScheduledMessagesOptions {
+        /** Filter scheduled messages by message_type */
+        message_type?: 'sms' | 'mms' | 'ussd' | 'call';
+        /** Filter scheduled messages by time_created */
+        time_created?: Query.Filter<number | Date, 'ne' | 'min' | 'max'>;
+        /** Filter scheduled messages by next_time */
+        next_time?: Query.Filter<number | Date, 'exists' | 'ne' | 'min' | 'max'>;
+        /** Sort the results based on a field */
+        sort?: 'default' | 'name';
+        /** Sort the results in ascending or descending order */
+        sort_dir?: 'asc' | 'desc';
+        /** Number of results returned per page (max 200) */
+        page_size?: number;
+        /** Number of items to skip from beginning of result set */
+        offset?: number;
+    }
+
+    interface QueryDataRowsOptions {
+        /** Filter data rows by the time they were created */
+        time_created?: Query.Filter<number | Date, 'ne' | 'min' | 'max'>;
+        /** Filter data rows by value of a custom variable (e.g. vars[q1], vars[foo], etc.) */
+        vars?: {[name: string]: Query.Filter<string | number | boolean | Date, 'exists' | 'ne' | 'prefix' | 'not_prefix' | 'gte' | 'gt' | 'lt' | 'lte' | 'min' | 'max'>};
+        /** Sort the results based on a field */
+        sort?: 'default';
+        /** Sort the results in ascending or descending order */
+        sort_dir?: 'asc' | 'desc';
+        /** Number of results returned per page (max 200) */
+        page_size?: number;
+        /** Number of items to skip from beginning of result set */
+        offset?: number;
+    }
+
+    interface QueryServiceStatesOptions {
+        /** Filter states by id */
+        id?: Query.Filter<string, 'ne' | 'prefix' | 'not_prefix' | 'gte' | 'gt' | 'lt' | 'lte'>;
+        /** Filter states by value of a custom variable (e.g. vars[email], vars[foo], etc.) */
+        vars?: {[name: string]: Query.Filter<string | number | boolean | Date, 'exists' | 'ne' | 'prefix' | 'not_prefix' | 'gte' | 'gt' | 'lt' | 'lte' | 'min' | 'max'>};
+        /** Sort the results based on a field */
+        sort?: 'default';
+        /** Sort the results in ascending or descending order */
+        sort_dir?: 'asc' | 'desc';
+        /** Number of results returned per page (max 200) */
+        page_size?: number;
+        /** Number of items to skip from beginning of result set */
+        offset?: number;
+    }
+}
+
+export = Contact;
@@ -83,10 +83,12 @@ Contact.prototype.isInGroup = function(group)
           * Required
       
       - callback : function(err)
-          * Required
+          * Optional (a Promise is returned if omitted)
  */
 Contact.prototype.addToGroup = function(group, callback)
 {
+    callback = util.promiseCallback(callback);
+    
     var self = this;
     this.api.doRequest("PUT", group.getBaseApiPath() + "/contacts/" + this.get('id'), null, function(err, res) {
         if (!err)
@@ -95,6 +97,8 @@ Contact.prototype.addToGroup = function(group, callback)
         }
         callback(err, res);
     });    
+    
+    return callback.promise;
 };
     
 /**
@@ -107,10 +111,12 @@ Contact.prototype.addToGroup = function(group, callback)
           * Required
       
       - callback : function(err)
-          * Required
+          * Optional (a Promise is returned if omitted)
  */
 Contact.prototype.removeFromGroup = function(group, callback)
 {
+    callback = util.promiseCallback(callback);
+    
     var self = this;
     this.api.doRequest("DELETE", group.getBaseApiPath() + "/contacts/" + this.get('id'), null, function(err, res) {
         if (!err)
@@ -119,6 +125,8 @@ Contact.prototype.removeFromGroup = function(group, callback)
         }
         callback(err, res);
     });    
+    
+    return callback.promise;
 };    
       
 /**
@@ -363,17 +371,46 @@ Contact.prototype.queryServiceStates = function(options)
     return this.api.cursor(require('./contactservicestate'), this.getBaseApiPath() + "/states", options);
 };
 
+/**
+    contact.getLastMessage(callback)
+    
+    Retrieves the last message sent or received by this contact (null if no messages have been
+    sent or received).
+    
+    Arguments:
+      - callback : function(err, message)
+          * Optional (a Promise is returned if omitted)
+    */
+Contact.prototype.getLastMessage = function(callback)
+{
+    return this._getRelated('last_message_id', 'getMessageById', callback);
+};
+
+/**
+    contact.initLastMessage()
+    
+    Initializes the last message sent or received by this contact without making an API request
+    (null if no messages have been sent or received).
+    
+    Returns:
+        Message
+    */
+Contact.prototype.initLastMessage = function()
+{
+    return this._initRelated('last_message_id', 'initMessageById');
+};
+
 /**
     contact.save(callback)
     
     Saves any fields or custom variables that have changed for this contact.
     
       - callback : function(err)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 Contact.prototype.save = function(callback)
 {
-    Entity.prototype.save.call(this, callback);
+    return Entity.prototype.save.call(this, callback);
 };
 
 /**
@@ -382,66 +419,69 @@ Contact.prototype.save = function(callback)
     Deletes this contact.
     
       - callback : function(err)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 Contact.prototype.delete = function(callback)
 {
-    this.api.doRequest("DELETE", this.getBaseApiPath(), null, callback);
+    return this.api.doRequest("DELETE", this.getBaseApiPath(), null, callback);
 };
 
-Object.defineProperty(Contact.prototype, 'id', {
-    enumerable: true,
-    get: function() { return this.get('id'); },
-    set: function(value) { throw new Error('id is not writable'); }
-});    
-
-Object.defineProperty(Contact.prototype, 'name', {
-    enumerable: true,
-    get: function() { return this.get('name'); },
-    set: function(value) { this.set('name', value); }
-});    
-
-Object.defineProperty(Contact.prototype, 'phone_number', {
-    enumerable: true,
-    get: function() { return this.get('phone_number'); },
-    set: function(value) { this.set('phone_number', value); }
-});    
-
-Object.defineProperty(Contact.prototype, 'time_created', {
-    enumerable: true,
-    get: function() { return this.get('time_created'); },
-    set: function(value) { throw new Error('time_created is not writable'); }
-});    
-
-Object.defineProperty(Contact.prototype, 'last_message_time', {
-    enumerable: true,
-    get: function() { return this.get('last_message_time'); },
-    set: function(value) { throw new Error('last_message_time is not writable'); }
-});    
-
-Object.defineProperty(Contact.prototype, 'last_message_id', {
-    enumerable: true,
-    get: function() { return this.get('last_message_id'); },
-    set: function(value) { throw new Error('last_message_id is not writable'); }
-});    
-
-Object.defineProperty(Contact.prototype, 'default_route_id', {
-    enumerable: true,
-    get: function() { return this.get('default_route_id'); },
-    set: function(value) { this.set('default_route_id', value); }
-});    
-
-Object.defineProperty(Contact.prototype, 'group_ids', {
-    enumerable: true,
-    get: function() { return this.get('group_ids'); },
-    set: function(value) { throw new Error('group_ids is not writable'); }
-});    
-
-Object.defineProperty(Contact.prototype, 'project_id', {
-    enumerable: true,
-    get: function() { return this.get('project_id'); },
-    set: function(value) { throw new Error('project_id is not writable'); }
-});    
+Entity.defineFields(Contact, {
+    id: {
+        type: 'string',
+        maxLength: 34,
+        updatable: false,
+        description: "ID of the contact"
+    },
+    name: {
+        type: 'string',
+        updatable: true,
+        description: "Name of the contact"
+    },
+    phone_number: {
+        type: 'string',
+        updatable: true,
+        description: "Phone number of the contact"
+    },
+    time_created: {
+        type: 'timestamp',
+        updatable: false,
+        description: "Time the contact was added in Telerivet"
+    },
+    last_message_time: {
+        type: 'timestamp',
+        updatable: false,
+        description: "Last time the contact sent or received a message (null if no messages have " +
+            "been sent or received)"
+    },
+    last_message_id: {
+        type: 'string',
+        updatable: false,
+        description: "ID of the last message sent or received by this contact (null if no messages " +
+            "have been sent or received)"
+    },
+    default_route_id: {
+        type: 'string',
+        updatable: true,
+        description: "ID of the phone or route that Telerivet will use by default to send messages " +
+            "to this contact (null if using project default route)"
+    },
+    group_ids: {
+        type: 'array',
+        updatable: false,
+        description: "List of IDs of groups that this contact belongs to"
+    },
+    vars: {
+        type: 'object',
+        updatable: true,
+        description: "Custom variables stored for this contact"
+    },
+    project_id: {
+        type: 'string',
+        updatable: false,
+        description: "ID of the project this contact belongs to"
+    }
+});
 
 Contact.prototype.getBaseApiPath = function()
 {
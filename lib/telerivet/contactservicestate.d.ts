@@ -0,0 +1,69 @@
+import Entity = require('./entity');
+import Contact = require('./contact');
+import Service = require('./service');
+
+/**
+ * Represents the current state of a particular contact for a particular Telerivet service. Some
+ * automated services (including polls) are 'stateful'. For polls, Telerivet needs to keep track of
+ * which question the contact is currently answering, and stores store the ID of each contact's
+ * current question (e.g. 'q1' or 'q2') as the ID of the contact's state for the poll service. Any
+ * type of conversation-like service will also need to store state for each contact. For this type
+ * of entity, the 'id' field is NOT a read-only unique ID (unlike all other types of entities).
+ * Instead it is an arbitrary string that identifies the contact's current state within your
+ * poll/conversation; many contacts may have the same state ID, and it may change over time.
+ * Additional custom fields may be stored in the 'vars'. Initially, the state 'id' for any contact
+ * is null. When saving the state, setting the 'id' to null is equivalent to resetting the state (so
+ * all 'vars' will be deleted); if you want to save custom variables, the state 'id' must be
+ * non-null. Many Telerivet services are stateless, such as auto-replies or keyword-based services
+ * where the behavior only depends on the current message, and not any previous messages sent by the
+ * same contact. Telerivet doesn't store any state for contacts that interact with stateless
+ * services.
+ */
+declare class ContactServiceState extends Entity {
+    /**
+     * Arbitrary string representing the contact's current state for this service, e.g. 'q1', 'q2',
+     * etc.
+     */
+    id: string;
+    /** ID of the contact */
+    readonly contact_id: string;
+    /** ID of the service */
+    readonly service_id: string;
+    /** Time the state was first created in Telerivet */
+    readonly time_created: number;
+    /** time_created as a Date (null if not set) */
+    readonly time_created_date: Date | null;
+    /** Time the state was last updated in Telerivet */
+    readonly time_updated: number;
+    /** time_updated as a Date (null if not set) */
+    readonly time_updated_date: Date | null;
+    /** ID of the project this contact/service state belongs to */
+    readonly project_id: string;
+
+    /** Retrieves the contact this state is for. */
+    getContact(): Promise<Contact>;
+    getContact(callback: Entity.Callback<Contact>): void;
+
+    /** Initializes the contact this state is for without making an API request. */
+    initContact(): Contact;
+
+    /** Retrieves the service this state is for. */
+    getService(): Promise<Service>;
+    getService(callback: Entity.Callback<Service>): void;
+
+    /** Initializes the service this state is for without making an API request. */
+    initService(): Service;
+
+    /**
+     * Saves the state id and any custom variables for this contact. If the state id is null, this
+     * is equivalent to calling reset().
+     */
+    save(): Promise<this>;
+    save(callback: Entity.Callback<this>): void;
+
+    /** Resets the state for this contact for this service. */
+    reset(): Promise<void>;
+    reset(callback: Entity.Callback<void>): void;
+}
+
+export = ContactServiceState;
@@ -60,6 +60,60 @@ var util = require('./util'),
  
 var ContactServiceState = util.makeClass('ContactServiceState', Entity);
 
+/**
+    state.getContact(callback)
+    
+    Retrieves the contact this state is for.
+    
+    Arguments:
+      - callback : function(err, contact)
+          * Optional (a Promise is returned if omitted)
+    */
+ContactServiceState.prototype.getContact = function(callback)
+{
+    return this._getRelated('contact_id', 'getContactById', callback);
+};
+
+/**
+    state.initContact()
+    
+    Initializes the contact this state is for without making an API request.
+    
+    Returns:
+        Contact
+    */
+ContactServiceState.prototype.initContact = function()
+{
+    return this._initRelated('contact_id', 'initContactById');
+};
+
+/**
+    state.getService(callback)
+    
+    Retrieves the service this state is for.
+    
+    Arguments:
+      - callback : function(err, service)
+          * Optional (a Promise is returned if omitted)
+    */
+ContactServiceState.prototype.getService = function(callback)
+{
+    return this._getRelated('service_id', 'getServiceById', callback);
+};
+
+/**
+    state.initService()
+    
+    Initializes the service this state is for without making an API request.
+    
+    Returns:
+        Service
+    */
+ContactServiceState.prototype.initService = function()
+{
+    return this._initRelated('service_id', 'initServiceById');
+};
+
 /**
     state.save(callback)
     
@@ -67,11 +121,11 @@ var ContactServiceState = util.makeClass('ContactServiceState', Entity);
     is equivalent to calling reset().
     
       - callback : function(err)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 ContactServiceState.prototype.save = function(callback)
 {
-    Entity.prototype.save.call(this, callback);
+    return Entity.prototype.save.call(this, callback);
 };
 
 /**
@@ -80,48 +134,52 @@ ContactServiceState.prototype.save = function(callback)
     Resets the state for this contact for this service.
     
       - callback : function(err)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 ContactServiceState.prototype.reset = function(callback)
 {
-    this.api.doRequest("DELETE", this.getBaseApiPath(), null, callback);
+    return this.api.doRequest("DELETE", this.getBaseApiPath(), null, callback);
 };
 
-Object.defineProperty(ContactServiceState.prototype, 'id', {
-    enumerable: true,
-    get: function() { return this.get('id'); },
-    set: function(value) { this.set('id', value); }
-});    
-
-Object.defineProperty(ContactServiceState.prototype, 'contact_id', {
-    enumerable: true,
-    get: function() { return this.get('contact_id'); },
-    set: function(value) { throw new Error('contact_id is not writable'); }
-});    
-
-Object.defineProperty(ContactServiceState.prototype, 'service_id', {
-    enumerable: true,
-    get: function() { return this.get('service_id'); },
-    set: function(value) { throw new Error('service_id is not writable'); }
-});    
-
-Object.defineProperty(ContactServiceState.prototype, 'time_created', {
-    enumerable: true,
-    get: function() { return this.get('time_created'); },
-    set: function(value) { throw new Error('time_created is not writable'); }
-});    
-
-Object.defineProperty(ContactServiceState.prototype, 'time_updated', {
-    enumerable: true,
-    get: function() { return this.get('time_updated'); },
-    set: function(value) { throw new Error('time_updated is not writable'); }
-});    
-
-Object.defineProperty(ContactServiceState.prototype, 'project_id', {
-    enumerable: true,
-    get: function() { return this.get('project_id'); },
-    set: function(value) { throw new Error('project_id is not writable'); }
-});    
+Entity.defineFields(ContactServiceState, {
+    id: {
+        type: 'string',
+        maxLength: 63,
+        updatable: true,
+        description: "Arbitrary string representing the contact's current state for this service, " +
+            "e.g. 'q1', 'q2', etc."
+    },
+    contact_id: {
+        type: 'string',
+        updatable: false,
+        description: "ID of the contact"
+    },
+    service_id: {
+        type: 'string',
+        updatable: false,
+        description: "ID of the service"
+    },
+    vars: {
+        type: 'object',
+        updatable: true,
+        description: "Custom variables stored for this contact/service state"
+    },
+    time_created: {
+        type: 'timestamp',
+        updatable: false,
+        description: "Time the state was first created in Telerivet"
+    },
+    time_updated: {
+        type: 'timestamp',
+        updatable: false,
+        description: "Time the state was last updated in Telerivet"
+    },
+    project_id: {
+        type: 'string',
+        updatable: false,
+        description: "ID of the project this contact/service state belongs to"
+    }
+});
 
 ContactServiceState.prototype.getBaseApiPath = function()
 {
@@ -0,0 +1,58 @@
+import Entity = require('./entity');
+import Contact = require('./contact');
+import DataTable = require('./datatable');
+
+/**
+ * Represents a row in a custom data table. For example, each response to a poll is stored as one
+ * row in a data table. If a poll has a question with ID 'q1', the verbatim response to that
+ * question would be stored in row.vars.q1, and the response code would be stored in
+ * row.vars.q1_code. Each custom variable name within a data row corresponds to a different
+ * column/field of the data table.
+ */
+declare class DataRow extends Entity {
+    /** ID of the data row */
+    readonly id: string;
+    /**
+     * ID of the contact this row is associated with (or null if not associated with any contact)
+     */
+    contact_id: string;
+    /**
+     * Phone number that this row is associated with (or null if not associated with any phone
+     * number)
+     */
+    from_number: string;
+    /** ID of the table this data row belongs to */
+    readonly table_id: string;
+    /** ID of the project this data row belongs to */
+    readonly project_id: string;
+
+    /**
+     * Retrieves the contact that this row is associated with (null if the row is not associated
+     * with a contact).
+     */
+    getContact(): Promise<Contact | null>;
+    getContact(callback: Entity.Callback<Contact | null>): void;
+
+    /**
+     * Initializes the contact that this row is associated with without making an API request (null
+     * if the row is not associated with a contact).
+     */
+    initContact(): Contact | null;
+
+    /** Retrieves the data table containing this row. */
+    getDataTable(): Promise<DataTable>;
+    getDataTable(callback: Entity.Callback<DataTable>): void;
+
+    /** Initializes the data table containing this row without making an API request. */
+    initDataTable(): DataTable;
+
+    /** Saves any fields or custom variables that have changed for this data row. */
+    save(): Promise<this>;
+    save(callback: Entity.Callback<this>): void;
+
+    /** Deletes this data row. */
+    delete(): Promise<void>;
+    delete(callback: Entity.Callback<void>): void;
+}
+
+export = DataRow;
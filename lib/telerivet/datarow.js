@@ -44,17 +44,73 @@ var util = require('./util'),
  
 var DataRow = util.makeClass('DataRow', Entity);
 
+/**
+    row.getContact(callback)
+    
+    Retrieves the contact that this row is associated with (null if the row is not associated
+    with a contact).
+    
+    Arguments:
+      - callback : function(err, contact)
+          * Optional (a Promise is returned if omitted)
+    */
+DataRow.prototype.getContact = function(callback)
+{
+    return this._getRelated('contact_id', 'getContactById', callback);
+};
+
+/**
+    row.initContact()
+    
+    Initializes the contact that this row is associated with without making an API request (null
+    if the row is not associated with a contact).
+    
+    Returns:
+        Contact
+    */
+DataRow.prototype.initContact = function()
+{
+    return this._initRelated('contact_id', 'initContactById');
+};
+
+/**
+    row.getDataTable(callback)
+    
+    Retrieves the data table containing this row.
+    
+    Arguments:
+      - callback : function(err, table)
+          * Optional (a Promise is returned if omitted)
+    */
+DataRow.prototype.getDataTable = function(callback)
+{
+    return this._getRelated('table_id', 'getDataTableById', callback);
+};
+
+/**
+    row.initDataTable()
+    
+    Initializes the data table containing this row without making an API request.
+    
+    Returns:
+        DataTable
+    */
+DataRow.prototype.initDataTable = function()
+{
+    return this._initRelated('table_id', 'initDataTableById');
+};
+
 /**
     row.save(callback)
     
     Saves any fields or custom variables that have changed for this data row.
     
       - callback : function(err)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 DataRow.prototype.save = function(callback)
 {
-    Entity.prototype.save.call(this, callback);
+    return Entity.prototype.save.call(this, callback);
 };
 
 /**
@@ -63,42 +119,48 @@ DataRow.prototype.save = function(callback)
     Deletes this data row.
     
       - callback : function(err)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 DataRow.prototype.delete = function(callback)
 {
-    this.api.doRequest("DELETE", this.getBaseApiPath(), null, callback);
+    return this.api.doRequest("DELETE", this.getBaseApiPath(), null, callback);
 };
 
-Object.defineProperty(DataRow.prototype, 'id', {
-    enumerable: true,
-    get: function() { return this.get('id'); },
-    set: function(value) { throw new Error('id is not writable'); }
-});    
-
-Object.defineProperty(DataRow.prototype, 'contact_id', {
-    enumerable: true,
-    get: function() { return this.get('contact_id'); },
-    set: function(value) { this.set('contact_id', value); }
-});    
-
-Object.defineProperty(DataRow.prototype, 'from_number', {
-    enumerable: true,
-    get: function() { return this.get('from_number'); },
-    set: function(value) { this.set('from_number', value); }
-});    
-
-Object.defineProperty(DataRow.prototype, 'table_id', {
-    enumerable: true,
-    get: function() { return this.get('table_id'); },
-    set: function(value) { throw new Error('table_id is not writable'); }
-});    
-
-Object.defineProperty(DataRow.prototype, 'project_id', {
-    enumerable: true,
-    get: function() { return this.get('project_id'); },
-    set: function(value) { throw new Error('project_id is not writable'); }
-});    
+Entity.defineFields(DataRow, {
+    id: {
+        type: 'string',
+        maxLength: 34,
+        updatable: false,
+        description: "ID of the data row"
+    },
+    contact_id: {
+        type: 'string',
+        updatable: true,
+        description: "ID of the contact this row is associated with (or null if not associated with " +
+            "any contact)"
+    },
+    from_number: {
+        type: 'string',
+        updatable: true,
+        description: "Phone number that this row is associated with (or null if not associated with " +
+            "any phone number)"
+    },
+    vars: {
+        type: 'object',
+        updatable: true,
+        description: "Custom variables stored for this data row"
+    },
+    table_id: {
+        type: 'string',
+        updatable: false,
+        description: "ID of the table this data row belongs to"
+    },
+    project_id: {
+        type: 'string',
+        updatable: false,
+        description: "ID of the project this data row belongs to"
+    }
+});
 
 DataRow.prototype.getBaseApiPath = function()
 {
@@ -0,0 +1,94 @@
+import Entity = require('./entity');
+import APICursor = require('./apicursor');
+import Query = require('./query');
+import DataRow = require('./datarow');
+
+/**
+ * Represents a custom data table that can store arbitrary rows. For example, poll services use data
+ * tables to store a row for each response. DataTables are schemaless -- each row simply stores
+ * custom variables. Each variable name is equivalent to a different "column" of the data table.
+ * Telerivet refers to these variables/columns as "fields", and automatically creates a new field
+ * for each variable name used in a row of the table.
+ */
+declare class DataTable extends Entity {
+    /** ID of the data table */
+    readonly id: string;
+    /** Name of the data table */
+    name: string;
+    /** Number of rows in the table */
+    readonly num_rows: number;
+    /** ID of the project this data table belongs to */
+    readonly project_id: string;
+
+    /** Queries rows in this data table. */
+    queryRows(options?: DataTable.QueryRowsOptions | Query): APICursor<DataRow>;
+
+    /** Adds a new row to this data table. */
+    createRow(options?: DataTable.CreateRowOptions): Promise<DataRow>;
+    createRow(options: DataTable.CreateRowOptions, callback: Entity.Callback<DataRow>): void;
+
+    /** Retrieves the row in the given table with the given ID. */
+    getRowById(id: string): Promise<DataRow>;
+    getRowById(id: string, callback: Entity.Callback<DataRow>): void;
+
+    /** Initializes the row in the given table with the given ID, without making an API request. */
+    initRowById(id: string): DataRow;
+
+    /**
+     * Gets a list of all fields (columns) defined for this data table. The return value is an array
+     * of objects with the properties 'name' and 'variable'. (Fields are automatically created any
+     * time a DataRow's 'vars' property is updated.)
+     */
+    getFields(): Promise<DataTable.Field[]>;
+    getFields(callback: Entity.Callback<DataTable.Field[]>): void;
+
+    /**
+     * Returns the number of rows for each value of a given variable. This can be used to get the
+     * total number of responses for each choice in a poll, without making a separate query for each
+     * response choice. The return value is an object mapping values to row counts, e.g.
+     * `{"yes":7,"no":3}`
+     */
+    countRowsByValue(variable: string): Promise<{[value: string]: number}>;
+    countRowsByValue(variable: string, callback: Entity.Callback<{[value: string]: number}>): void;
+
+    /** Saves any fields that have changed for this data table. */
+    save(): Promise<this>;
+    save(callback: Entity.Callback<this>): void;
+
+    /** Permanently deletes the given data table, including all its rows */
+    delete(): Promise<void>;
+    delete(callback: Entity.Callback<void>): void;
+}
+
+declare namespace DataTable {
+    interface QueryRowsOptions {
+        /** Filter data rows by the time they were created */
+        time_created?: Query.Filter<number | Date, 'ne' | 'min' | 'max'>;
+        /** Filter data rows by value of a custom variable (e.g. vars[q1], vars[foo], etc.) */
+        vars?: {[name: string]: Query.Filter<string | number | boolean | Date, 'exists' | 'ne' | 'prefix' | 'not_prefix' | 'gte' | 'gt' | 'lt' | 'lte' | 'min' | 'max'>};
+        /** Sort the results based on a field */
+        sort?: 'default';
+        /** Sort the results in ascending or descending order */
+        sort_dir?: 'asc' | 'desc';
+        /** Number of results returned per page (max 200) */
+        page_size?: number;
+        /** Number of items to skip from beginning of result set */
+        offset?: number;
+    }
+
+    interface CreateRowOptions {
+        /** ID of the contact that this row is associated with (if applicable) */
+        contact_id?: string;
+        /** Phone number that this row is associated with (if applicable) */
+        from_number?: string;
+        /** Custom variables and values to set for this data row */
+        vars?: {[name: string]: any};
+    }
+
+    interface Field {
+        name: string;
+        variable: string;
+    }
+}
+
+export = DataTable;
@@ -101,11 +101,11 @@ DataTable.prototype.queryRows = function(options)
             * Custom variables and values to set for this data row
       
       - callback : function(err, row)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 DataTable.prototype.createRow = function(options, callback)
 {
-    this.api.doRequest("POST", this.getBaseApiPath() + "/rows", options, this.api.wrapCallback(require('./datarow'), callback));
+    return this.api.doRequest("POST", this.getBaseApiPath() + "/rows", options, this.api.wrapCallback(require('./datarow'), callback));
 };
 
 /**
@@ -119,11 +119,11 @@ DataTable.prototype.createRow = function(options, callback)
           * Required
       
       - callback : function(err, row)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 DataTable.prototype.getRowById = function(id, callback)
 {
-    this.api.doRequest("GET", this.getBaseApiPath() + "/rows/" + id, null, this.api.wrapCallback(require('./datarow'), callback));
+    return this.api.doRequest("GET", this.getBaseApiPath() + "/rows/" + id, null, this.api.wrapCallback(require('./datarow'), callback));
 };
 
 /**
@@ -153,11 +153,11 @@ DataTable.prototype.initRowById = function(id)
     created any time a DataRow's 'vars' property is updated.)
     
       - callback : function(err, res)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 DataTable.prototype.getFields = function(callback)
 {
-    this.api.doRequest("GET", this.getBaseApiPath() + "/fields", null, callback);
+    return this.api.doRequest("GET", this.getBaseApiPath() + "/fields", null, callback);
 };
 
 /**
@@ -174,11 +174,11 @@ DataTable.prototype.getFields = function(callback)
           * Required
       
       - callback : function(err, res)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 DataTable.prototype.countRowsByValue = function(variable, callback)
 {
-    this.api.doRequest("GET", this.getBaseApiPath() + "/count_rows_by_value", {'variable': variable}, callback);
+    return this.api.doRequest("GET", this.getBaseApiPath() + "/count_rows_by_value", {'variable': variable}, callback);
 };
 
 /**
@@ -187,11 +187,11 @@ DataTable.prototype.countRowsByValue = function(variable, callback)
     Saves any fields that have changed for this data table.
     
       - callback : function(err)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 DataTable.prototype.save = function(callback)
 {
-    Entity.prototype.save.call(this, callback);
+    return Entity.prototype.save.call(this, callback);
 };
 
 /**
@@ -200,36 +200,41 @@ DataTable.prototype.save = function(callback)
     Permanently deletes the given data table, including all its rows
     
       - callback : function(err)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 DataTable.prototype.delete = function(callback)
 {
-    this.api.doRequest("DELETE", this.getBaseApiPath(), null, callback);
+    return this.api.doRequest("DELETE", this.getBaseApiPath(), null, callback);
 };
 
-Object.defineProperty(DataTable.prototype, 'id', {
-    enumerable: true,
-    get: function() { return this.get('id'); },
-    set: function(value) { throw new Error('id is not writable'); }
-});    
-
-Object.defineProperty(DataTable.prototype, 'name', {
-    enumerable: true,
-    get: function() { return this.get('name'); },
-    set: function(value) { this.set('name', value); }
-});    
-
-Object.defineProperty(DataTable.prototype, 'num_rows', {
-    enumerable: true,
-    get: function() { return this.get('num_rows'); },
-    set: function(value) { throw new Error('num_rows is not writable'); }
-});    
-
-Object.defineProperty(DataTable.prototype, 'project_id', {
-    enumerable: true,
-    get: function() { return this.get('project_id'); },
-    set: function(value) { throw new Error('project_id is not writable'); }
-});    
+Entity.defineFields(DataTable, {
+    id: {
+        type: 'string',
+        maxLength: 34,
+        updatable: false,
+        description: "ID of the data table"
+    },
+    name: {
+        type: 'string',
+        updatable: true,
+        description: "Name of the data table"
+    },
+    num_rows: {
+        type: 'int',
+        updatable: false,
+        description: "Number of rows in the table"
+    },
+    vars: {
+        type: 'object',
+        updatable: true,
+        description: "Custom variables stored for this data table"
+    },
+    project_id: {
+        type: 'string',
+        updatable: false,
+        description: "ID of the project this data table belongs to"
+    }
+});
 
 DataTable.prototype.getBaseApiPath = function()
 {
@@ -0,0 +1,98 @@
+import API = require('../telerivet');
+
+/**
+ * Base class of all Telerivet entities (projects, contacts, messages, etc.). Field values are
+ * available as properties of each entity, and custom variables as properties of entity.vars.
+ */
+declare class Entity {
+    constructor(api: API.API, data: {[name: string]: any}, isLoaded?: boolean);
+
+    api: API.API;
+    data: {[name: string]: any};
+    isLoaded: boolean;
+    /** Custom variables stored for this entity */
+    vars: {[name: string]: any};
+
+    /** Retrieves the data for this entity, if it was initialized without making an API request. */
+    load(): Promise<this>;
+    load(callback: Entity.Callback<this>): void;
+
+    get(name: string): any;
+    set(name: string, value: any): void;
+
+    /** Saves any fields or custom variables that have changed for this entity. */
+    save(): Promise<this>;
+    save(callback: Entity.Callback<this>): void;
+
+    /** Retrieves the latest data for this entity from the API, discarding unsaved changes. */
+    reload(): Promise<this>;
+    reload(callback: Entity.Callback<this>): void;
+
+    /**
+     * Returns the fields and custom variables that have changed since the entity was loaded or
+     * saved (the same parameters that save() would send to the API).
+     */
+    getChanges(): {[name: string]: any, vars?: {[name: string]: any}};
+
+    /** Returns true if any fields or custom variables have changed since the entity was loaded or saved. */
+    hasChanges(): boolean;
+
+    /** Discards changes to fields and custom variables that have not been saved. */
+    revert(): void;
+
+    /** Returns metadata for all fields of this entity, keyed by name. */
+    getFieldInfo(): {[name: string]: Entity.FieldInfo};
+    /** Returns metadata for a field of this entity, or null if there is no such field. */
+    getFieldInfo(name: string): Entity.FieldInfo | null;
+
+    /**
+     * Checks the fields and custom variables that have changed since the entity was loaded or saved
+     * against the field metadata, and returns an array of problems (empty if save() can be called).
+     */
+    validate(): Entity.ValidationProblem[];
+
+    /** Returns the data of this entity in a form that can be serialized as JSON; see tr.fromJSON. */
+    toJSON(): Entity.JSON;
+
+    getClassName(): string;
+    toString(): string;
+
+    /** Field metadata for each entity class, e.g. telerivet.Contact.fields */
+    static fields: {[name: string]: Entity.FieldInfo};
+}
+
+declare namespace Entity {
+    type Callback<T> = (err: Error | null, result: T) => void;
+
+    interface FieldInfo {
+        type: 'string' | 'int' | 'number' | 'bool' | 'timestamp' | 'object' | 'array';
+        /** true if the field can be changed and saved via the API */
+        updatable: boolean;
+        description: string;
+        /** Maximum length of the value (for some string fields) */
+        maxLength?: number;
+        /** Allowed values (for some string fields) */
+        values?: string[];
+    }
+
+    interface JSON {
+        /** Class name of the entity, e.g. 'Contact' */
+        itemClass: string;
+        /** Fields of the entity, as last loaded or saved */
+        data: {[name: string]: any};
+        /** Custom variables, as last loaded or saved */
+        vars: {[name: string]: any};
+        /** false if the entity was initialized without making an API request */
+        isLoaded: boolean;
+        /** Unsaved changes, as returned by entity.getChanges() */
+        changes?: {[name: string]: any};
+    }
+
+    interface ValidationProblem {
+        /** Name of the field, or 'vars.' followed by the name of a custom variable */
+        field: string;
+        message: string;
+    }
+}
+
+export = Entity;
@@ -11,25 +11,37 @@ var Entity = util.makeClass('Entity', null, {
         this.vars = null;
         this.data = {};
         this.setData(data);
+        
+        if (api && api.identityMap)
+        {
+            return api.identityMap.add(this);
+        }
     },
     
     setData: function(data)
     {
         this.data = data;        
+        this.originalValues = {};
         this.initialVars = data.vars || {};
         this.vars = util.extend({}, this.initialVars);        
     },
     
     load: function(callback)
     {
-        if (!this.isLoaded)
+        callback = util.promiseCallback(callback);
+        
+        if (!this.isLoaded && this.api.identityMap)
+        {
+            this.api.identityMap.load(this, callback);
+        }
+        else if (!this.isLoaded)
         {
             this.isLoaded = true;          
             var self = this;            
             this.api.doRequest('GET', this.getBaseApiPath(), null, function(err, data) {
                 if (err)
                 {
-                    callback(err, self);
+                    return callback(err, self);
                 }
                 self.setData(data);
                 callback(null, self);
@@ -39,6 +51,8 @@ var Entity = util.makeClass('Entity', null, {
         {
             callback(null,this);
         }
+        
+        return callback.promise;
     },
     
     get: function(name)
@@ -58,6 +72,11 @@ var Entity = util.makeClass('Entity', null, {
             throw new Error("Entity data not loaded yet. Call entity.load(callback) first.");
         }
             
+        if (!this.originalValues.hasOwnProperty(name))
+        {
+            this.originalValues[name] = this.data[name];
+        }
+        
         this.data[name] = value;
         this.dirty[name] = value;
     },
@@ -93,6 +112,8 @@ var Entity = util.makeClass('Entity', null, {
     
     save: function(callback)    
     {
+        callback = util.promiseCallback(callback);
+        
         if (this.vars)
         {
             var dirtyVars = this._getDirtyVariables();
@@ -110,12 +131,278 @@ var Entity = util.makeClass('Entity', null, {
             }
             
             self.dirty = {};
+            self.originalValues = {};
             if (self.vars)
             {
                 self._clearDirtyVariables();
             }   
             callback(null, self);
         });
+        
+        return callback.promise;
+    },
+    
+    /*
+        entity.reload(callback)
+        
+        Retrieves the latest data for this entity from the API, even if it was already
+        loaded. Any changes that have not been saved are discarded.
+        
+        - callback : function(err, entity)
+            * Optional (a Promise is returned if omitted)
+     */
+    reload: function(callback)
+    {
+        callback = util.promiseCallback(callback);
+        
+        var self = this;
+        this.api.doRequest('GET', this.getBaseApiPath(), null, function(err, data) {
+            if (err)
+            {
+                return callback(err, null);
+            }
+            self.isLoaded = true;
+            self.dirty = {};
+            self.setData(data);
+            callback(null, self);
+        });
+        
+        return callback.promise;
+    },
+    
+    /*
+        entity.getChanges()
+        
+        Returns the fields and custom variables that have changed since the entity was
+        loaded or saved, as an associative array of the new values (the same parameters that
+        save() would send to the API). Changed custom variables are in the 'vars' property,
+        where deleted variables have the value null.
+        
+        Returns:
+            associative array
+     */
+    getChanges: function()
+    {
+        var changes = {};
+        for (var name in this.dirty)
+        {
+            if (name != 'vars')
+            {
+                changes[name] = this.dirty[name];
+            }
+        }
+        
+        if (this.vars)
+        {
+            var dirtyVars = this._getDirtyVariables();
+            if (Object.keys(dirtyVars).length > 0)
+            {
+                changes.vars = dirtyVars;
+            }
+        }
+        return changes;
+    },
+    
+    /*
+        entity.hasChanges()
+        
+        Returns true if any fields or custom variables have changed since the entity was
+        loaded or saved.
+        
+        Returns:
+            bool
+     */
+    hasChanges: function()
+    {
+        return Object.keys(this.getChanges()).length > 0;
+    },
+    
+    /*
+        entity.revert()
+        
+        Discards changes to fields and custom variables that have not been saved, restoring
+        the values from when the entity was loaded or last saved.
+     */
+    revert: function()
+    {
+        for (var name in this.originalValues)
+        {
+            if (this.originalValues[name] === undefined)
+            {
+                delete this.data[name];
+            }
+            else
+            {
+                this.data[name] = this.originalValues[name];
+            }
+        }
+        
+        this.originalValues = {};
+        this.dirty = {};
+        if (this.vars)
+        {
+            this.vars = util.extend({}, this.initialVars);
+        }
+    },
+    
+    /*
+        entity.getFieldInfo(name)
+        
+        Returns metadata for a field of this entity, or for all fields (keyed by name) if
+        'name' is omitted. Each field has the properties:
+        
+          - type: 'string', 'int', 'number', 'bool', 'timestamp' (UNIX timestamp),
+              'object' (associative array) or 'array'
+          - updatable: true if the field can be changed and saved via the API
+          - description: description of the field
+          - maxLength: maximum length of the value (for some string fields)
+          - values: array of allowed values (for some string fields)
+        
+        The same metadata is available without an instance as the 'fields' property of each
+        entity class, e.g. telerivet.Contact.fields.
+     */
+    getFieldInfo: function(name)
+    {
+        var fields = this.fieldInfo || {};
+        return name === undefined ? fields : (fields[name] || null);
+    },
+    
+    /*
+        entity.validate()
+        
+        Checks the fields and custom variables that have changed since the entity was loaded
+        or saved against the field metadata, and returns an array of problems (each with the
+        properties 'field' and 'message'), which is empty if save() can be called.
+     */
+    validate: function()
+    {
+        var fields = this.getFieldInfo(),
+            problems = [];
+        
+        for (var name in this.dirty)
+        {
+            var info = fields[name];
+            var message = !info ? "Unknown field" :
+                (!info.updatable ? "Field is not updatable" : checkValue(info, this.dirty[name]));
+            
+            if (message)
+            {
+                problems.push({field: name, message: message});
+            }
+        }
+        
+        if (this.vars)
+        {
+            var dirtyVars = this._getDirtyVariables();
+            for (var varName in dirtyVars)
+            {
+                var value = dirtyVars[varName];
+                if (value !== null && typeof value === 'object')
+                {
+                    problems.push({field: 'vars.' + varName, message: "Custom variables must be strings, numbers or booleans"});
+                }
+            }
+        }
+        
+        return problems;
+    },
+    
+    /*
+        entity.toJSON()
+        
+        Returns the data of this entity as an associative array that can be serialized as
+        JSON (e.g. to cache the entity, or pass it to another process). Pass the result
+        (or JSON.stringify(entity)) to tr.fromJSON to create an equivalent entity.
+        
+        Returns:
+            associative array
+              - itemClass: class name of the entity, e.g. 'Contact'
+              - data: fields of the entity, as last loaded or saved
+              - vars: custom variables, as last loaded or saved
+              - isLoaded: false if the entity was initialized without making an API request
+              - changes: unsaved changes, as returned by entity.getChanges() (only present if
+                  there are unsaved changes)
+     */
+    toJSON: function()
+    {
+        var data = util.extend({}, this.data);
+        for (var name in this.originalValues)
+        {
+            data[name] = this.originalValues[name];
+        }
+        delete data.vars;
+        
+        var res = {
+            itemClass: this.getClassName(),
+            data: data,
+            vars: util.extend({}, this.initialVars),
+            isLoaded: this.isLoaded
+        };
+        
+        if (this.hasChanges())
+        {
+            res.changes = this.getChanges();
+        }
+        return res;
+    },
+    
+    /*
+     * Returns the entity whose ID is the value of 'field', initialized without
+     * making an API request via the given init method of the project (e.g.
+     * 'initContactById'), or null if the field is not set. Like the entity's
+     * properties, this throws an error if the entity's data is not loaded yet
+     * (use the get method, e.g. message.getContact(), to load it first).
+     */
+    _initRelated: function(field, initMethod)
+    {
+        var id = this.get(field);
+        if (!id)
+        {
+            return null;
+        }
+        return this.api.initProjectById(this.get('project_id'))[initMethod](id);
+    },
+    
+    /*
+     * Retrieves the entity whose ID is the value of 'field' via the given get
+     * method of the project (e.g. 'getContactById'), or passes null to the
+     * callback if the field is not set. If the entity's data is not loaded yet,
+     * it is loaded first.
+     */
+    _getRelated: function(field, getMethod, callback)
+    {
+        if (!this.isLoaded && !(field in this.data && 'project_id' in this.data))
+        {
+            var self = this;
+            callback = util.promiseCallback(callback);
+            this.load(function(err) {
+                if (err)
+                {
+                    return callback(err, null);
+                }
+                self._getRelated(field, getMethod, callback);
+            });
+            return callback.promise;
+        }
+        
+        var id = this.get(field);
+        if (!id)
+        {
+            callback = util.promiseCallback(callback);
+            process.nextTick(function() {
+                callback(null, null);
+            });
+            return callback.promise;
+        }
+        
+        var project = this.api.initProjectById(this.get('project_id'));
+        if (this.api.identityMap)
+        {
+            // reuse the related entity if it is already in the identity map, and
+            // share a request in progress for the same entity
+            return project[getMethod.replace(/^get/, 'init')](id).load(callback);
+        }
+        return project[getMethod](id, callback);
     },
     
     inspect: function()
@@ -141,4 +428,117 @@ var Entity = util.makeClass('Entity', null, {
     
 });
 
+/*
+ * Returns an error message if 'value' is not valid for a field with the
+ * given metadata, or null if it is valid. null is valid for all fields.
+ */
+function checkValue(info, value)
+{
+    if (value === null)
+    {
+        return null;
+    }
+    
+    switch (info.type)
+    {
+        case 'string':
+            if (typeof value !== 'string')
+            {
+                return "Expected a string";
+            }
+            if (info.maxLength && value.length > info.maxLength)
+            {
+                return "Must be at most " + info.maxLength + " characters";
+            }
+            if (info.values && info.values.indexOf(value) == -1)
+            {
+                return "Must be one of: " + info.values.join(', ');
+            }
+            return null;
+        case 'bool':
+            return typeof value === 'boolean' ? null : "Expected a boolean";
+        case 'timestamp':
+            if (value instanceof Date)
+            {
+                return isNaN(value.getTime()) ? "Invalid Date" : null;
+            }
+            return (typeof value === 'number' && value % 1 === 0) ? null : "Expected an integer";
+        case 'int':
+            return (typeof value === 'number' && value % 1 === 0) ? null : "Expected an integer";
+        case 'number':
+            return (typeof value === 'number' && isFinite(value)) ? null : "Expected a number";
+        case 'array':
+            return Array.isArray(value) ? null : "Expected an array";
+        case 'object':
+            return (typeof value === 'object' && !Array.isArray(value)) ? null : "Expected an associative array";
+    }
+    return null;
+}
+
+/*
+ * Defines a property returning the value of a timestamp field as a Date (or
+ * null if the field is not set), e.g. message.time_created_date for
+ * message.time_created. Dates may be assigned to updatable timestamp fields.
+ */
+function defineDateProperty(cls, name, info)
+{
+    Object.defineProperty(cls.prototype, name + '_date', {
+        enumerable: false,
+        get: function() { return util.timestampToDate(this.get(name)); },
+        set: function(value)
+        {
+            if (!info.updatable)
+            {
+                throw new Error(name + ' is not writable');
+            }
+            this.set(name, value ? util.dateToTimestamp(value) : null);
+        }
+    });
+}
+
+/*
+ * Defines a property that gets and sets the value of a field, e.g. label.name. Fields that
+ * are not updatable throw an error when assigned.
+ */
+function defineFieldProperty(cls, name, info)
+{
+    Object.defineProperty(cls.prototype, name, {
+        enumerable: true,
+        get: function() { return this.get(name); },
+        set: function(value)
+        {
+            if (!info.updatable)
+            {
+                throw new Error(name + ' is not writable');
+            }
+            this.set(name, value);
+        }
+    });
+}
+
+/*
+ * Sets the field metadata for an entity class (cls.fields, and entity.getFieldInfo()
+ * for its instances), and defines a property for each field (and Date properties for
+ * its timestamp fields).
+ */
+Entity.defineFields = function(cls, fields)
+{
+    cls.fields = fields;
+    cls.prototype.fieldInfo = fields;
+    
+    for (var name in fields)
+    {
+        // custom variables are stored in entity.vars rather than accessed with get/set
+        if (name != 'vars')
+        {
+            defineFieldProperty(cls, name, fields[name]);
+        }
+
+        if (fields[name].type == 'timestamp')
+        {
+            defineDateProperty(cls, name, fields[name]);
+        }
+    }
+};
+
 module.exports = Entity;
\ No newline at end of file
@@ -0,0 +1,80 @@
+/**
+ * Base class of all errors passed to callbacks (or rejected Promises) by this library.
+ */
+export class TelerivetError extends Error {
+    constructor(message: string, details?: {[name: string]: any});
+
+    /** HTTP status code of the API response */
+    status?: number;
+    /** Error code returned by the API, or the Node.js error code for network errors */
+    code?: string;
+    /** Name of the invalid parameter (InvalidParameterError, InvalidQueryError and InvalidPhoneNumberError only) */
+    param?: string;
+    /** HTTP method of the failed request */
+    method?: string;
+    /** API path of the failed request, e.g. /projects/PJ123/messages/send */
+    path?: string;
+    /** Raw body of the API response */
+    body?: string;
+    /** Number of seconds to wait before retrying the request, if the API returned a Retry-After header */
+    retryAfter?: number;
+    /** Underlying error, e.g. the socket error for a NetworkError */
+    cause?: Error;
+
+    getClassName(): string;
+}
+
+/** The API returned an error response. */
+export class APIError extends TelerivetError {}
+
+/** The API key is missing or invalid (HTTP 401). */
+export class AuthenticationError extends APIError {}
+
+/** The API key's user account does not have permission to perform the action (HTTP 403). */
+export class PermissionError extends APIError {}
+
+/** The requested object does not exist (HTTP 404, or error code 'not_found'). */
+export class NotFoundError extends APIError {}
+
+/** A request parameter is missing or invalid (error code 'invalid_param'). */
+export class InvalidParameterError extends APIError {}
+
+/** Too many requests were sent to the API (HTTP 429). */
+export class RateLimitError extends APIError {}
+
+/** The API encountered an internal error or is temporarily unavailable (HTTP 5xx). */
+export class ServerError extends APIError {}
+
+/** The API returned a response that could not be parsed as JSON. */
+export class InvalidResponseError extends TelerivetError {}
+
+/** The request could not be completed due to a network error. */
+export class NetworkError extends TelerivetError {}
+
+/** The request did not complete within the configured timeout (err.code is 'ETIMEDOUT'). */
+export class TimeoutError extends NetworkError {}
+
+/** The request was cancelled via an AbortSignal (err.code is 'ABORT_ERR'). */
+export class AbortError extends TelerivetError {}
+
+/** A filter or sort option added to a Query is not supported by the query, or has an invalid value. */
+export class InvalidQueryError extends TelerivetError {}
+
+/** A phone number could not be parsed or normalized by telerivet.PhoneNumber. */
+export class InvalidPhoneNumberError extends TelerivetError {
+    /** The invalid phone number */
+    phoneNumber?: any;
+}
+
+/** The content of an SMS message uses more parts than allowed by project.setMessagePartLimit. */
+export class MessagePartLimitError extends TelerivetError {
+    /** Number of SMS parts used by the content */
+    numParts?: number;
+    /** Maximum number of parts allowed */
+    maxParts?: number;
+    /** MessageAnalysis of the content */
+    analysis?: import('./messageanalysis');
+}
+
+/** A request did not match any recorded interaction when replaying a cassette, or the file could not be read or written. */
+export class CassetteError extends TelerivetError {}
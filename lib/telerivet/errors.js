@@ -0,0 +1,303 @@
+var util = require('./util'),
+    http = require('http');
+
+function defineError(name, base, protoProps)
+{
+    var cls = util.makeClass(name, base, protoProps);
+    cls.prototype.constructor = cls;
+    return cls;
+}
+
+/*
+    TelerivetError
+
+    Base class of all errors passed to callbacks (or rejected Promises) by this library.
+
+    Each error has a 'name' equal to its class name, and may have the following properties
+    depending on the type of error:
+
+      - status (int)
+          * HTTP status code of the API response
+
+      - code
+          * Error code returned by the API (e.g. 'invalid_param', 'not_found'), or the Node.js
+              error code for network errors (e.g. 'ECONNRESET', 'ETIMEDOUT')
+
+      - param
+          * Name of the invalid parameter (InvalidParameterError, InvalidQueryError and
+              InvalidPhoneNumberError only)
+
+      - method
+          * HTTP method of the failed request
+
+      - path
+          * API path of the failed request, e.g. /projects/PJ123/messages/send
+
+      - body (string)
+          * Raw body of the API response
+
+      - retryAfter (int)
+          * Number of seconds to wait before retrying the request, if the API returned a
+              Retry-After header
+
+      - cause (Error)
+          * Underlying error, e.g. the socket error for a NetworkError
+*/
+var TelerivetError = defineError('TelerivetError', Error, {
+
+    init: function(message, details)
+    {
+        if (Error.captureStackTrace)
+        {
+            Error.captureStackTrace(this, this.constructor);
+        }
+
+        this.name = this.getClassName();
+        this.message = message;
+
+        details = details || {};
+        for (var key in details)
+        {
+            if (details[key] !== undefined)
+            {
+                this[key] = details[key];
+            }
+        }
+    }
+});
+
+/*
+    APIError
+
+    The API returned an error response. More specific subclasses are used for common errors.
+*/
+var APIError = defineError('APIError', TelerivetError);
+
+/*
+    AuthenticationError
+
+    The API key is missing or invalid (HTTP 401).
+*/
+var AuthenticationError = defineError('AuthenticationError', APIError);
+
+/*
+    PermissionError
+
+    The API key's user account does not have permission to perform the action (HTTP 403).
+*/
+var PermissionError = defineError('PermissionError', APIError);
+
+/*
+    NotFoundError
+
+    The requested object does not exist (HTTP 404, or error code 'not_found').
+*/
+var NotFoundError = defineError('NotFoundError', APIError);
+
+/*
+    InvalidParameterError
+
+    A request parameter is missing or invalid (error code 'invalid_param'). The name of the
+    parameter is available as err.param.
+*/
+var InvalidParameterError = defineError('InvalidParameterError', APIError);
+
+/*
+    RateLimitError
+
+    Too many requests were sent to the API (HTTP 429). The number of seconds to wait is
+    available as err.retryAfter, if provided by the API.
+*/
+var RateLimitError = defineError('RateLimitError', APIError);
+
+/*
+    ServerError
+
+    The API encountered an internal error or is temporarily unavailable (HTTP 5xx).
+*/
+var ServerError = defineError('ServerError', APIError);
+
+/*
+    InvalidResponseError
+
+    The API returned a response that could not be parsed as JSON.
+*/
+var InvalidResponseError = defineError('InvalidResponseError', TelerivetError);
+
+/*
+    NetworkError
+
+    The request could not be completed due to a network error. The Node.js error code is
+    available as err.code, and the original error as err.cause.
+*/
+var NetworkError = defineError('NetworkError', TelerivetError);
+
+/*
+    TimeoutError
+
+    The request did not complete within the configured timeout (err.code is 'ETIMEDOUT').
+*/
+var TimeoutError = defineError('TimeoutError', NetworkError);
+
+/*
+    AbortError
+
+    The request was cancelled via an AbortSignal (err.code is 'ABORT_ERR').
+*/
+var AbortError = defineError('AbortError', TelerivetError, {
+
+    init: function(message, details)
+    {
+        TelerivetError.prototype.init.call(this, message, util.extend({code: 'ABORT_ERR'}, details));
+    }
+});
+
+/*
+    InvalidQueryError
+
+    A filter or sort option added to a Query is not supported by the query, or has an
+    invalid value. The name of the parameter is available as err.param.
+*/
+var InvalidQueryError = defineError('InvalidQueryError', TelerivetError);
+
+/*
+    InvalidPhoneNumberError
+
+    A phone number could not be parsed or normalized by telerivet.PhoneNumber. The invalid
+    phone number is available as err.phoneNumber, and the name of the request parameter
+    containing it (if any) as err.param.
+*/
+var InvalidPhoneNumberError = defineError('InvalidPhoneNumberError', TelerivetError);
+
+/*
+    MessagePartLimitError
+
+    The content of an SMS message uses more parts than allowed by project.setMessagePartLimit.
+    The number of parts is available as err.numParts, the limit as err.maxParts, and the
+    MessageAnalysis of the content as err.analysis.
+*/
+var MessagePartLimitError = defineError('MessagePartLimitError', TelerivetError);
+
+/*
+    CassetteError
+
+    A request did not match any recorded interaction when replaying a cassette, or the
+    cassette file could not be read or written.
+*/
+var CassetteError = defineError('CassetteError', TelerivetError);
+
+function getStatusErrorClass(status)
+{
+    if (status == 401)
+    {
+        return AuthenticationError;
+    }
+    else if (status == 403)
+    {
+        return PermissionError;
+    }
+    else if (status == 404)
+    {
+        return NotFoundError;
+    }
+    else if (status == 429)
+    {
+        return RateLimitError;
+    }
+    else if (status >= 500)
+    {
+        return ServerError;
+    }
+    return null;
+}
+
+/*
+ * Returns the error for an API response, or null if the response was successful.
+ *
+ * 'request' contains the method and path of the request; 'response' contains the
+ * status, headers, raw body and parsed data (undefined if the body is not valid JSON).
+ */
+function fromResponse(request, response)
+{
+    var details = {
+        status: response.status,
+        method: request.method,
+        path: request.path,
+        body: response.body
+    };
+
+    var retryAfter = response.headers && response.headers['retry-after'];
+    if (retryAfter)
+    {
+        details.retryAfter = parseInt(retryAfter, 10) || undefined;
+    }
+
+    var data = response.data;
+
+    if (data && data.error)
+    {
+        var error = data.error;
+        details.code = error.code;
+        details.param = error.param;
+
+        var cls;
+        if (error.code == 'invalid_param')
+        {
+            cls = InvalidParameterError;
+        }
+        else if (error.code == 'not_found')
+        {
+            cls = NotFoundError;
+        }
+        else
+        {
+            cls = getStatusErrorClass(response.status) || APIError;
+        }
+        return new cls(error.message, details);
+    }
+
+    if (response.status >= 400)
+    {
+        var statusMessage = "HTTP " + response.status + " " + (http.STATUS_CODES[response.status] || "Error");
+        return new (getStatusErrorClass(response.status) || APIError)(statusMessage, details);
+    }
+
+    if (data === undefined)
+    {
+        return new InvalidResponseError("Invalid JSON response from API (HTTP " + response.status + ")", details);
+    }
+
+    return null;
+}
+
+/*
+ * Returns the error for a failed request that did not receive a response.
+ */
+function fromNetworkError(request, err)
+{
+    return new NetworkError(err.message, {
+        code: err.code,
+        method: request.method,
+        path: request.path,
+        cause: err
+    });
+}
+
+exports.TelerivetError = TelerivetError;
+exports.APIError = APIError;
+exports.AuthenticationError = AuthenticationError;
+exports.PermissionError = PermissionError;
+exports.NotFoundError = NotFoundError;
+exports.InvalidParameterError = InvalidParameterError;
+exports.RateLimitError = RateLimitError;
+exports.ServerError = ServerError;
+exports.InvalidResponseError = InvalidResponseError;
+exports.NetworkError = NetworkError;
+exports.TimeoutError = TimeoutError;
+exports.AbortError = AbortError;
+exports.InvalidQueryError = InvalidQueryError;
+exports.InvalidPhoneNumberError = InvalidPhoneNumberError;
+exports.MessagePartLimitError = MessagePartLimitError;
+exports.CassetteError = CassetteError;
+exports.fromResponse = fromResponse;
+exports.fromNetworkError = fromNetworkError;
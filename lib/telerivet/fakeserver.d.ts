@@ -0,0 +1,63 @@
+import HttpTransport = require('./transport');
+
+/**
+ * An in-memory imitation of the Telerivet REST API, for testing code that uses this library without
+ * making requests to the real API. It can be used as the transport of a telerivet.API instance, or
+ * listen for HTTP requests.
+ */
+declare class FakeServer implements HttpTransport.Transport {
+    constructor(options?: FakeServer.Options);
+
+    apiKey: string | null;
+    /** API URL of the HTTP server started by listen(), or null */
+    apiUrl: string | null;
+    /** All requests handled by the fake server */
+    requests: FakeServer.RecordedRequest[];
+    /** Services invoked via service.invoke() */
+    invocations: {service_id: string, params: {[name: string]: any}}[];
+
+    /** Deletes all stored data and recorded requests. */
+    reset(): void;
+
+    /** Stores a new entity, and returns a copy of the stored data. */
+    add(collection: FakeServer.Collection, data: {[name: string]: any}): {[name: string]: any};
+
+    /** Returns a copy of the stored entity with the given ID, or null. */
+    get(collection: FakeServer.Collection, id: string): {[name: string]: any} | null;
+
+    /** Returns copies of all stored entities in a collection for which filter(entity) returns true. */
+    find(collection: FakeServer.Collection, filter?: (entity: {[name: string]: any}) => any): {[name: string]: any}[];
+
+    /** Handles an API request; implements the transport interface. */
+    request(request: HttpTransport.Request, callback: HttpTransport.Callback): void;
+
+    /** Starts an HTTP server on 127.0.0.1 (use port 0 for a random port). */
+    listen(port: number, callback?: (err: Error | null, apiUrl?: string) => void): void;
+
+    /** Stops the HTTP server started by listen(). */
+    close(callback?: () => void): void;
+
+    /** Handles an API request and returns the HTTP status and the response data. */
+    handle(method: string, path: string, params: {[name: string]: any}, authorization?: string):
+        {status: number, data: any};
+}
+
+declare namespace FakeServer {
+    type Collection = 'projects' | 'contacts' | 'messages' | 'groups' | 'labels' | 'tables' | 'rows' |
+        'scheduled' | 'services' | 'receipts' | 'routes' | 'phones';
+
+    interface Options {
+        /** If set, requests with a different API key fail with HTTP 401 */
+        apiKey?: string;
+        /** Returns the current UNIX timestamp, used for time_created and other times */
+        now?: () => number;
+    }
+
+    interface RecordedRequest {
+        method: string;
+        path: string;
+        params: {[name: string]: any};
+    }
+}
+
+export = FakeServer;
@@ -0,0 +1,1289 @@
+var http = require('http'),
+    URL = require('url'),
+    util = require('./util');
+
+var ID_PREFIXES = {
+    projects: 'PJ',
+    contacts: 'CT',
+    messages: 'SM',
+    groups: 'CG',
+    labels: 'LB',
+    tables: 'DT',
+    rows: 'DR',
+    scheduled: 'JB',
+    services: 'SV',
+    receipts: 'MR',
+    routes: 'RT',
+    phones: 'PN'
+};
+
+// fields that may be changed via POST to the entity's path (vars are always updatable)
+var UPDATABLE_FIELDS = {
+    projects: ['name'],
+    contacts: ['name', 'phone_number', 'default_route_id'],
+    messages: ['starred', 'error_message'],
+    groups: ['name'],
+    labels: ['name'],
+    tables: ['name'],
+    rows: ['contact_id', 'from_number'],
+    scheduled: [],
+    services: ['name', 'active', 'priority'],
+    receipts: ['contact_id'],
+    routes: ['name'],
+    phones: ['name', 'phone_number'],
+    states: ['id']
+};
+
+// query parameters that are not filters
+var QUERY_OPTIONS = ['sort', 'sort_dir', 'page_size', 'offset', 'marker', 'count'];
+
+var MAX_PAGE_SIZE = 200,
+    DEFAULT_PAGE_SIZE = 50,
+    MAX_BATCH_NUMBERS = 500;
+
+/*
+    FakeServer
+
+    An in-memory imitation of the Telerivet REST API, for testing code that uses this library
+    without making requests to the real API.
+
+    The fake server implements the API paths used by this library (sending and scheduling
+    messages, contacts, groups, labels, data tables and rows, services and contact states,
+    mobile money receipts, routes and phones), including filters, sorting, marker-based
+    pagination and counts. Messages are not actually sent; they are simply stored with the
+    status 'queued'.
+
+    The fake server can be used in-process, as the transport of a telerivet.API instance:
+
+        var server = new telerivet.FakeServer();
+        var project = server.add('projects', {name: 'Test'});
+        var tr = new telerivet.API('any_key', {transport: server});
+
+    Or it can listen for HTTP requests, and telerivet.API can be pointed at it via apiUrl:
+
+        server.listen(0, function(err, apiUrl) {
+            var tr = new telerivet.API('any_key', {apiUrl: apiUrl});
+        });
+
+    Entities that cannot be created via the API (projects, phones, routes, services and
+    receipts) can be added with server.add(). The stored data can be inspected with
+    server.get() and server.find(), and all requests are recorded in server.requests.
+
+    Options:
+      - apiKey
+          * If set, requests with a different API key fail with HTTP 401
+          * Default: any API key is accepted
+
+      - now : function()
+          * Returns the current UNIX timestamp, used for time_created and other times
+          * Default: the system time
+*/
+function FakeServer(options)
+{
+    options = options || {};
+
+    this.apiKey = options.apiKey || null;
+    this.now = options.now || function() { return Math.floor(Date.now() / 1000); };
+    this.httpServer = null;
+    this.apiUrl = null;
+    this.reset();
+}
+
+FakeServer.prototype = {
+
+    /*
+        server.reset()
+
+        Deletes all stored data and recorded requests.
+     */
+    reset: function()
+    {
+        this.collections = {};
+        for (var name in ID_PREFIXES)
+        {
+            this.collections[name] = {};
+        }
+        this.collections.states = {};
+        this.requests = [];
+        this.invocations = [];
+        this.nextId = 1;
+    },
+
+    /*
+        server.add(collection, data)
+
+        Stores a new entity, e.g. server.add('phones', {project_id: project.id, name: 'Android'}).
+        An id and time_created are generated if not provided.
+
+        Arguments:
+          - collection
+              * Allowed values: projects, contacts, messages, groups, labels, tables, rows,
+                  scheduled, services, receipts, routes, phones
+              * Required
+
+          - data (associative array)
+              * Required
+
+        Returns:
+            associative array (copy of the stored data)
+     */
+    add: function(collection, data)
+    {
+        if (!ID_PREFIXES[collection])
+        {
+            throw new Error("Unknown collection " + collection);
+        }
+
+        var record = util.extend({
+            id: this._generateId(collection),
+            time_created: this.now(),
+            vars: {}
+        }, clone(data || {}));
+
+        if (collection == 'contacts' && !record.group_ids)
+        {
+            record.group_ids = [];
+        }
+        if (collection == 'messages' && !record.label_ids)
+        {
+            record.label_ids = [];
+        }
+
+        this.collections[collection][record.id] = record;
+        return this._output(collection, record);
+    },
+
+    /*
+        server.get(collection, id)
+
+        Returns a copy of the stored entity with the given ID, or null.
+     */
+    get: function(collection, id)
+    {
+        var record = this.collections[collection][id];
+        return record ? this._output(collection, record) : null;
+    },
+
+    /*
+        server.find(collection, filter)
+
+        Returns copies of all stored entities in a collection for which filter(entity) returns
+        true (or all entities if filter is omitted).
+     */
+    find: function(collection, filter)
+    {
+        var res = [];
+        var records = this.collections[collection];
+        for (var id in records)
+        {
+            var record = this._output(collection, records[id]);
+            if (!filter || filter(record))
+            {
+                res.push(record);
+            }
+        }
+        return res;
+    },
+
+    /*
+        server.request(request, callback)
+
+        Handles an API request; implements the transport interface described in
+        lib/telerivet/transport.js.
+     */
+    request: function(request, callback)
+    {
+        var parsedUrl = URL.parse(request.url);
+        var response = this.handleRaw(request.method, request.path, parsedUrl.query, request.body,
+            getHeader(request.headers, 'authorization'));
+
+        process.nextTick(function() {
+            callback(null, {
+                status: response.status,
+                headers: {'content-type': 'application/json'},
+                body: JSON.stringify(response.data)
+            });
+        });
+    },
+
+    /*
+        server.listen(port, callback)
+
+        Starts an HTTP server on 127.0.0.1 (use port 0 for a random port). The callback is
+        called with the API URL to pass to telerivet.API.
+
+          - callback : function(err, apiUrl)
+     */
+    listen: function(port, callback)
+    {
+        var self = this;
+
+        this.httpServer = http.createServer(function(req, res) {
+            var body = '';
+            req.setEncoding('utf8');
+            req.on('data', function(chunk) {
+                body += chunk;
+            });
+            req.on('end', function() {
+                var parsedUrl = URL.parse(req.url);
+                var path = parsedUrl.pathname.replace(/^\/v1(?=\/)/, '');
+                var response = self.handleRaw(req.method, path, parsedUrl.query, body, req.headers.authorization);
+
+                res.writeHead(response.status, {'Content-Type': 'application/json'});
+                res.end(JSON.stringify(response.data));
+            });
+        });
+
+        this.httpServer.on('error', function(err) {
+            if (callback)
+            {
+                callback(err);
+                callback = null;
+            }
+        });
+
+        this.httpServer.listen(port, '127.0.0.1', function() {
+            self.apiUrl = 'http://127.0.0.1:' + self.httpServer.address().port + '/v1';
+            if (callback)
+            {
+                callback(null, self.apiUrl);
+                callback = null;
+            }
+        });
+    },
+
+    /*
+        server.close(callback)
+
+        Stops the HTTP server started by listen().
+     */
+    close: function(callback)
+    {
+        if (this.httpServer)
+        {
+            this.httpServer.close(callback);
+            this.httpServer = null;
+        }
+        else if (callback)
+        {
+            process.nextTick(callback);
+        }
+    },
+
+    /*
+     * Handles an API request with the raw query string and JSON body. A body that is
+     * not valid JSON returns an invalid_param error, like the real API.
+     */
+    handleRaw: function(method, path, query, body, authorization)
+    {
+        var params = parseQuery(query);
+
+        if (body)
+        {
+            try
+            {
+                params = util.extend(params, JSON.parse(body));
+            }
+            catch (e)
+            {
+                return errorResponse(400, 'invalid_param', "Invalid JSON in request body");
+            }
+        }
+
+        return this.handle(method, path, params, authorization);
+    },
+
+    /*
+        server.handle(method, path, params, authorization)
+
+        Handles an API request and returns an associative array with the HTTP status and the
+        response data.
+     */
+    handle: function(method, path, params, authorization)
+    {
+        this.requests.push({method: method, path: path, params: clone(params)});
+
+        if (this.apiKey && authorization != "Basic " + base64Encode(this.apiKey + ':'))
+        {
+            return errorResponse(401, 'unauthorized', "Invalid API key");
+        }
+
+        for (var i = 0; i < ROUTES.length; i++)
+        {
+            var route = ROUTES[i];
+            if (route[0] != method)
+            {
+                continue;
+            }
+
+            var match = route[1].exec(path);
+            if (match)
+            {
+                try
+                {
+                    var data = this[route[2]].apply(this, [params].concat(match.slice(1)));
+                    return {status: 200, data: data};
+                }
+                catch (e)
+                {
+                    if (e.response)
+                    {
+                        return e.response;
+                    }
+                    throw e;
+                }
+            }
+        }
+
+        return errorResponse(404, 'not_found', "No API method at " + method + " " + path);
+    },
+
+    _generateId: function(collection)
+    {
+        var num = this.nextId++;
+        return ID_PREFIXES[collection] + ('0000000000000000' + num.toString(16)).slice(-16);
+    },
+
+    _output: function(collection, record)
+    {
+        var res = clone(record);
+
+        if (collection == 'groups')
+        {
+            res.num_members = this._filter('contacts', function(contact) {
+                return contact.group_ids.indexOf(record.id) != -1;
+            }).length;
+        }
+        else if (collection == 'tables')
+        {
+            res.num_rows = this._filter('rows', function(row) {
+                return row.table_id == record.id;
+            }).length;
+        }
+
+        return res;
+    },
+
+    _filter: function(collection, filter)
+    {
+        var res = [];
+        var records = this.collections[collection];
+        for (var id in records)
+        {
+            if (filter(records[id]))
+            {
+                res.push(records[id]);
+            }
+        }
+        return res;
+    },
+
+    _getRecord: function(collection, projectId, id)
+    {
+        var record = this.collections[collection][id];
+        if (!record || (projectId && record.project_id != projectId))
+        {
+            throw apiError(404, 'not_found', "Could not find " + collection + " with id " + id);
+        }
+        return record;
+    },
+
+    _getProject: function(projectId)
+    {
+        return this._getRecord('projects', null, projectId);
+    },
+
+    _query: function(collection, params, filter)
+    {
+        var self = this;
+        var records = this._filter(collection, function(record) {
+            return filter(record) && matchesFilters(record, params);
+        });
+
+        if (params.count)
+        {
+            return {count: records.length};
+        }
+
+        var sort = params.sort;
+        if (sort && sort != 'default')
+        {
+            records.sort(function(a, b) {
+                return compareValues(a[sort], b[sort]);
+            });
+        }
+        if (params.sort_dir == 'desc')
+        {
+            records.reverse();
+        }
+
+        var pageSize = Math.min(parseInt(params.page_size, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+        var start = params.marker ? parseInt(params.marker, 10) : (parseInt(params.offset, 10) || 0);
+        var end = start + pageSize;
+        var truncated = end < records.length;
+
+        return {
+            data: records.slice(start, end).map(function(record) {
+                return self._output(collection, record);
+            }),
+            truncated: truncated,
+            next_marker: truncated ? String(end) : null
+        };
+    },
+
+    _update: function(collection, record, params)
+    {
+        var updatable = UPDATABLE_FIELDS[collection];
+
+        for (var name in params)
+        {
+            if (name == 'vars')
+            {
+                updateVars(record, params.vars);
+            }
+            else if (updatable.indexOf(name) != -1)
+            {
+                record[name] = params[name];
+            }
+            else
+            {
+                throw apiError(400, 'invalid_param', "Field " + name + " is not updatable", name);
+            }
+        }
+
+        return this._output(collection, record);
+    },
+
+    _delete: function(collection, id)
+    {
+        delete this.collections[collection][id];
+
+        var records, key;
+        if (collection == 'groups')
+        {
+            records = this.collections.contacts;
+            for (key in records)
+            {
+                removeValue(records[key].group_ids, id);
+            }
+        }
+        else if (collection == 'labels')
+        {
+            records = this.collections.messages;
+            for (key in records)
+            {
+                removeValue(records[key].label_ids, id);
+            }
+        }
+        else if (collection == 'tables')
+        {
+            records = this.collections.rows;
+            for (key in records)
+            {
+                if (records[key].table_id == id)
+                {
+                    delete records[key];
+                }
+            }
+        }
+        return {};
+    },
+
+    _findContact: function(projectId, phoneNumber, name)
+    {
+        var contacts = this._filter('contacts', function(contact) {
+            return contact.project_id == projectId;
+        });
+
+        var i;
+        if (phoneNumber)
+        {
+            var digits = String(phoneNumber).replace(/\D/g, '');
+            for (i = 0; i < contacts.length; i++)
+            {
+                var contactDigits = String(contacts[i].phone_number || '').replace(/\D/g, '');
+                if (contactDigits && digits && (contactDigits.slice(-digits.length) == digits || digits.slice(-contactDigits.length) == contactDigits))
+                {
+                    return contacts[i];
+                }
+            }
+            return null;
+        }
+
+        for (i = 0; i < contacts.length; i++)
+        {
+            if (name && String(contacts[i].name || '').toLowerCase() == String(name).toLowerCase())
+            {
+                return contacts[i];
+            }
+        }
+        return null;
+    },
+
+    _createContact: function(projectId, data)
+    {
+        var contact = this.add('contacts', {
+            project_id: projectId,
+            name: data.name || null,
+            phone_number: data.phone_number || null,
+            last_message_time: null,
+            last_message_id: null,
+            default_route_id: null
+        });
+        return this.collections.contacts[contact.id];
+    },
+
+    _createMessage: function(projectId, params, contact, toNumber)
+    {
+        var phone = params.route_id ? this.collections.phones[params.route_id] : null;
+        var messageType = params.message_type || 'sms';
+
+        var message = this.add('messages', {
+            project_id: projectId,
+            direction: 'outgoing',
+            status: 'queued',
+            message_type: messageType,
+            source: 'api',
+            time_sent: null,
+            from_number: phone ? phone.phone_number : null,
+            to_number: toNumber,
+            content: params.content || null,
+            starred: false,
+            simulated: false,
+            label_ids: (params.label_ids || []).slice(),
+            vars: clone(params.vars || {}),
+            external_id: null,
+            price: null,
+            price_currency: null,
+            phone_id: phone ? phone.id : (params.route_id || null),
+            contact_id: contact ? contact.id : null
+        });
+
+        if (contact)
+        {
+            contact.last_message_time = message.time_created;
+            contact.last_message_id = message.id;
+        }
+        return message;
+    },
+
+    /* Route handlers */
+
+    queryProjects: function(params)
+    {
+        return this._query('projects', params, function() { return true; });
+    },
+
+    getProject: function(params, projectId)
+    {
+        return this._output('projects', this._getProject(projectId));
+    },
+
+    updateProject: function(params, projectId)
+    {
+        return this._update('projects', this._getProject(projectId), params);
+    },
+
+    queryEntities: function(params, projectId, collection)
+    {
+        this._getProject(projectId);
+        return this._query(collection, params, function(record) {
+            return record.project_id == projectId;
+        });
+    },
+
+    getEntity: function(params, projectId, collection, id)
+    {
+        return this._output(collection, this._getRecord(collection, projectId, id));
+    },
+
+    updateEntity: function(params, projectId, collection, id)
+    {
+        return this._update(collection, this._getRecord(collection, projectId, id), params);
+    },
+
+    deleteEntity: function(params, projectId, collection, id)
+    {
+        this._getRecord(collection, projectId, id);
+        return this._delete(collection, id);
+    },
+
+    sendMessage: function(params, projectId)
+    {
+        this._getProject(projectId);
+
+        var messageType = params.message_type || 'sms';
+        if (messageType == 'sms' && !params.content)
+        {
+            throw apiError(400, 'invalid_param', "content is required", 'content');
+        }
+
+        var contact;
+        if (params.contact_id)
+        {
+            contact = this._getRecord('contacts', projectId, params.contact_id);
+        }
+        else if (params.to_number)
+        {
+            contact = this._findContact(projectId, params.to_number) ||
+                this._createContact(projectId, {phone_number: params.to_number});
+        }
+        else
+        {
+            throw apiError(400, 'invalid_param', "to_number or contact_id is required", 'to_number');
+        }
+
+        return this._createMessage(projectId, params, contact, params.to_number || contact.phone_number);
+    },
+
+    sendMessages: function(params, projectId)
+    {
+        this._getProject(projectId);
+
+        if (!params.content)
+        {
+            throw apiError(400, 'invalid_param', "content is required", 'content');
+        }
+
+        var self = this, count = 0, contacts;
+
+        if (params.group_id)
+        {
+            this._getRecord('groups', projectId, params.group_id);
+            contacts = this._filter('contacts', function(contact) {
+                return contact.group_ids.indexOf(params.group_id) != -1 && contact.id != params.exclude_contact_id;
+            });
+            contacts.forEach(function(contact) {
+                self._createMessage(projectId, params, contact, contact.phone_number);
+                count++;
+            });
+        }
+        else if (params.to_numbers)
+        {
+            if (params.to_numbers.length > MAX_BATCH_NUMBERS)
+            {
+                throw apiError(400, 'invalid_param', "to_numbers may contain at most " + MAX_BATCH_NUMBERS + " phone numbers", 'to_numbers');
+            }
+            params.to_numbers.forEach(function(toNumber) {
+                var contact = self._findContact(projectId, toNumber) ||
+                    self._createContact(projectId, {phone_number: toNumber});
+                self._createMessage(projectId, params, contact, toNumber);
+                count++;
+            });
+        }
+        else
+        {
+            throw apiError(400, 'invalid_param', "group_id or to_numbers is required", 'to_numbers');
+        }
+
+        return {count_queued: count};
+    },
+
+    getMMSParts: function(params, projectId, messageId)
+    {
+        return this._getRecord('messages', projectId, messageId).mms_parts || [];
+    },
+
+    scheduleMessage: function(params, projectId)
+    {
+        var project = this._getProject(projectId);
+
+        if (!params.content)
+        {
+            throw apiError(400, 'invalid_param', "content is required", 'content');
+        }
+        if (!params.group_id && !params.to_number)
+        {
+            throw apiError(400, 'invalid_param', "group_id or to_number is required", 'to_number');
+        }
+
+        var now = this.now();
+        var startTime = params.start_time != null ? params.start_time :
+            (params.start_time_offset != null ? now + params.start_time_offset : null);
+        if (startTime == null)
+        {
+            throw apiError(400, 'invalid_param', "start_time or start_time_offset is required", 'start_time');
+        }
+
+        var contact = null;
+        if (params.to_number)
+        {
+            contact = this._findContact(projectId, params.to_number) ||
+                this._createContact(projectId, {phone_number: params.to_number});
+        }
+
+        return this.add('scheduled', {
+            project_id: projectId,
+            content: params.content,
+            rrule: params.rrule || 'COUNT=1',
+            timezone_id: params.timezone_id || project.timezone_id || null,
+            group_id: params.group_id || null,
+            contact_id: contact ? contact.id : null,
+            to_number: params.to_number || null,
+            route_id: params.route_id || null,
+            message_type: params.message_type || 'sms',
+            start_time: startTime,
+            end_time: params.end_time != null ? params.end_time :
+                (params.end_time_offset != null ? now + params.end_time_offset : null),
+            prev_time: null,
+            next_time: startTime,
+            occurrences: 0,
+            is_template: !!params.is_template,
+            vars: clone(params.vars || {}),
+            label_ids: (params.label_ids || []).slice()
+        });
+    },
+
+    getOrCreateContact: function(params, projectId)
+    {
+        this._getProject(projectId);
+
+        if (!params.name && !params.phone_number)
+        {
+            throw apiError(400, 'invalid_param', "name or phone_number is required", 'phone_number');
+        }
+
+        var contact = this._findContact(projectId, params.phone_number, params.name) ||
+            this._createContact(projectId, params);
+
+        if (params.name)
+        {
+            contact.name = params.name;
+        }
+        if (params.phone_number)
+        {
+            contact.phone_number = params.phone_number;
+        }
+        if (params.vars)
+        {
+            updateVars(contact, params.vars);
+        }
+        return this._output('contacts', contact);
+    },
+
+    getOrCreateNamed: function(params, projectId, collection)
+    {
+        this._getProject(projectId);
+
+        if (!params.name)
+        {
+            throw apiError(400, 'invalid_param', "name is required", 'name');
+        }
+
+        var existing = this._filter(collection, function(record) {
+            return record.project_id == projectId && record.name == params.name;
+        });
+
+        if (existing.length)
+        {
+            return this._output(collection, existing[0]);
+        }
+
+        return this.add(collection, {project_id: projectId, name: params.name});
+    },
+
+    queryContactMessages: function(params, projectId, contactId)
+    {
+        this._getRecord('contacts', projectId, contactId);
+        return this._query('messages', params, function(message) {
+            return message.contact_id == contactId;
+        });
+    },
+
+    queryContactGroups: function(params, projectId, contactId)
+    {
+        var contact = this._getRecord('contacts', projectId, contactId);
+        return this._query('groups', params, function(group) {
+            return contact.group_ids.indexOf(group.id) != -1;
+        });
+    },
+
+    queryContactRecords: function(params, projectId, contactId, collection)
+    {
+        this._getRecord('contacts', projectId, contactId);
+        return this._query(collection, params, function(record) {
+            return record.contact_id == contactId && record.project_id == projectId;
+        });
+    },
+
+    queryGroupContacts: function(params, projectId, groupId)
+    {
+        this._getRecord('groups', projectId, groupId);
+        return this._query('contacts', params, function(contact) {
+            return contact.group_ids.indexOf(groupId) != -1;
+        });
+    },
+
+    queryGroupScheduledMessages: function(params, projectId, groupId)
+    {
+        this._getRecord('groups', projectId, groupId);
+        return this._query('scheduled', params, function(scheduled) {
+            return scheduled.group_id == groupId;
+        });
+    },
+
+    addContactToGroup: function(params, projectId, groupId, contactId)
+    {
+        this._getRecord('groups', projectId, groupId);
+        var contact = this._getRecord('contacts', projectId, contactId);
+        if (contact.group_ids.indexOf(groupId) == -1)
+        {
+            contact.group_ids.push(groupId);
+        }
+        return {};
+    },
+
+    removeContactFromGroup: function(params, projectId, groupId, contactId)
+    {
+        this._getRecord('groups', projectId, groupId);
+        removeValue(this._getRecord('contacts', projectId, contactId).group_ids, groupId);
+        return {};
+    },
+
+    queryLabelMessages: function(params, projectId, labelId)
+    {
+        this._getRecord('labels', projectId, labelId);
+        return this._query('messages', params, function(message) {
+            return message.label_ids.indexOf(labelId) != -1;
+        });
+    },
+
+    addLabelToMessage: function(params, projectId, labelId, messageId)
+    {
+        this._getRecord('labels', projectId, labelId);
+        var message = this._getRecord('messages', projectId, messageId);
+        if (message.label_ids.indexOf(labelId) == -1)
+        {
+            message.label_ids.push(labelId);
+        }
+        return {};
+    },
+
+    removeLabelFromMessage: function(params, projectId, labelId, messageId)
+    {
+        this._getRecord('labels', projectId, labelId);
+        removeValue(this._getRecord('messages', projectId, messageId).label_ids, labelId);
+        return {};
+    },
+
+    queryPhoneMessages: function(params, projectId, phoneId)
+    {
+        this._getRecord('phones', projectId, phoneId);
+        return this._query('messages', params, function(message) {
+            return message.phone_id == phoneId;
+        });
+    },
+
+    queryRows: function(params, projectId, tableId)
+    {
+        this._getRecord('tables', projectId, tableId);
+        return this._query('rows', params, function(row) {
+            return row.table_id == tableId;
+        });
+    },
+
+    createRow: function(params, projectId, tableId)
+    {
+        this._getRecord('tables', projectId, tableId);
+        return this.add('rows', {
+            project_id: projectId,
+            table_id: tableId,
+            contact_id: params.contact_id || null,
+            from_number: params.from_number || null,
+            vars: clone(params.vars || {})
+        });
+    },
+
+    getRow: function(params, projectId, tableId, rowId)
+    {
+        return this._output('rows', this._getRow(projectId, tableId, rowId));
+    },
+
+    updateRow: function(params, projectId, tableId, rowId)
+    {
+        return this._update('rows', this._getRow(projectId, tableId, rowId), params);
+    },
+
+    deleteRow: function(params, projectId, tableId, rowId)
+    {
+        this._getRow(projectId, tableId, rowId);
+        return this._delete('rows', rowId);
+    },
+
+    _getRow: function(projectId, tableId, rowId)
+    {
+        var row = this._getRecord('rows', projectId, rowId);
+        if (row.table_id != tableId)
+        {
+            throw apiError(404, 'not_found', "Could not find rows with id " + rowId);
+        }
+        return row;
+    },
+
+    getTableFields: function(params, projectId, tableId)
+    {
+        this._getRecord('tables', projectId, tableId);
+
+        var fields = [], seen = {};
+        this._filter('rows', function(row) { return row.table_id == tableId; }).forEach(function(row) {
+            for (var variable in row.vars)
+            {
+                if (!seen[variable])
+                {
+                    seen[variable] = true;
+                    fields.push({name: variable, variable: variable});
+                }
+            }
+        });
+        return fields;
+    },
+
+    countRowsByValue: function(params, projectId, tableId)
+    {
+        this._getRecord('tables', projectId, tableId);
+
+        var counts = {};
+        this._filter('rows', function(row) { return row.table_id == tableId; }).forEach(function(row) {
+            var value = row.vars[params.variable];
+            if (value != null)
+            {
+                counts[value] = (counts[value] || 0) + 1;
+            }
+        });
+        return counts;
+    },
+
+    invokeService: function(params, projectId, serviceId)
+    {
+        var service = this._getRecord('services', projectId, serviceId);
+
+        if (!params.context)
+        {
+            throw apiError(400, 'invalid_param', "context is required", 'context');
+        }
+        if (service.active === false)
+        {
+            throw apiError(400, 'invalid_param', "Service is not active", 'service_id');
+        }
+
+        this.invocations.push({service_id: serviceId, params: clone(params)});
+        return {return_value: null, sent_messages: []};
+    },
+
+    queryServiceStates: function(params, projectId, serviceId)
+    {
+        this._getRecord('services', projectId, serviceId);
+        return this._query('states', params, function(state) {
+            return state.service_id == serviceId;
+        });
+    },
+
+    getContactState: function(params, projectId, serviceId, contactId)
+    {
+        this._getRecord('services', projectId, serviceId);
+        this._getRecord('contacts', projectId, contactId);
+
+        var state = this.collections.states[serviceId + '/' + contactId];
+        return state ? clone(state) : emptyState(projectId, serviceId, contactId);
+    },
+
+    setContactState: function(params, projectId, serviceId, contactId)
+    {
+        this._getRecord('services', projectId, serviceId);
+        this._getRecord('contacts', projectId, contactId);
+
+        var key = serviceId + '/' + contactId;
+        if (params.id == null)
+        {
+            delete this.collections.states[key];
+            return emptyState(projectId, serviceId, contactId);
+        }
+
+        var now = this.now();
+        var state = this.collections.states[key];
+        if (!state)
+        {
+            state = this.collections.states[key] = util.extend(emptyState(projectId, serviceId, contactId), {
+                time_created: now
+            });
+        }
+        state.time_updated = now;
+        return this._update('states', state, params);
+    },
+
+    resetContactState: function(params, projectId, serviceId, contactId)
+    {
+        this._getRecord('services', projectId, serviceId);
+        this._getRecord('contacts', projectId, contactId);
+
+        delete this.collections.states[serviceId + '/' + contactId];
+        return emptyState(projectId, serviceId, contactId);
+    }
+};
+
+var ENTITY_COLLECTIONS = '(contacts|messages|groups|labels|tables|scheduled|services|receipts|routes|phones)',
+    ID = '([^/]+)',
+    PROJECT = '^/projects/' + ID;
+
+// [method, path pattern, handler]; the first matching route is used
+var ROUTES = [
+    ['GET', '^/projects$', 'queryProjects'],
+    ['GET', PROJECT + '$', 'getProject'],
+    ['POST', PROJECT + '$', 'updateProject'],
+
+    ['POST', PROJECT + '/messages/send$', 'sendMessage'],
+    ['POST', PROJECT + '/messages/send_batch$', 'sendMessages'],
+    ['GET', PROJECT + '/messages/' + ID + '/mms_parts$', 'getMMSParts'],
+    ['POST', PROJECT + '/scheduled$', 'scheduleMessage'],
+    ['POST', PROJECT + '/contacts$', 'getOrCreateContact'],
+    ['POST', PROJECT + '/(groups|labels|tables)$', 'getOrCreateNamed'],
+
+    ['GET', PROJECT + '/contacts/' + ID + '/messages$', 'queryContactMessages'],
+    ['GET', PROJECT + '/contacts/' + ID + '/groups$', 'queryContactGroups'],
+    ['GET', PROJECT + '/contacts/' + ID + '/(scheduled|rows|states)$', 'queryContactRecords'],
+
+    ['GET', PROJECT + '/groups/' + ID + '/contacts$', 'queryGroupContacts'],
+    ['GET', PROJECT + '/groups/' + ID + '/scheduled$', 'queryGroupScheduledMessages'],
+    ['PUT', PROJECT + '/groups/' + ID + '/contacts/' + ID + '$', 'addContactToGroup'],
+    ['DELETE', PROJECT + '/groups/' + ID + '/contacts/' + ID + '$', 'removeContactFromGroup'],
+
+    ['GET', PROJECT + '/labels/' + ID + '/messages$', 'queryLabelMessages'],
+    ['PUT', PROJECT + '/labels/' + ID + '/messages/' + ID + '$', 'addLabelToMessage'],
+    ['DELETE', PROJECT + '/labels/' + ID + '/messages/' + ID + '$', 'removeLabelFromMessage'],
+
+    ['GET', PROJECT + '/phones/' + ID + '/messages$', 'queryPhoneMessages'],
+
+    ['GET', PROJECT + '/tables/' + ID + '/rows$', 'queryRows'],
+    ['POST', PROJECT + '/tables/' + ID + '/rows$', 'createRow'],
+    ['GET', PROJECT + '/tables/' + ID + '/rows/' + ID + '$', 'getRow'],
+    ['POST', PROJECT + '/tables/' + ID + '/rows/' + ID + '$', 'updateRow'],
+    ['DELETE', PROJECT + '/tables/' + ID + '/rows/' + ID + '$', 'deleteRow'],
+    ['GET', PROJECT + '/tables/' + ID + '/fields$', 'getTableFields'],
+    ['GET', PROJECT + '/tables/' + ID + '/count_rows_by_value$', 'countRowsByValue'],
+
+    ['POST', PROJECT + '/services/' + ID + '/invoke$', 'invokeService'],
+    ['GET', PROJECT + '/services/' + ID + '/states$', 'queryServiceStates'],
+    ['GET', PROJECT + '/services/' + ID + '/states/' + ID + '$', 'getContactState'],
+    ['POST', PROJECT + '/services/' + ID + '/states/' + ID + '$', 'setContactState'],
+    ['DELETE', PROJECT + '/services/' + ID + '/states/' + ID + '$', 'resetContactState'],
+
+    ['GET', PROJECT + '/' + ENTITY_COLLECTIONS + '$', 'queryEntities'],
+    ['GET', PROJECT + '/' + ENTITY_COLLECTIONS + '/' + ID + '$', 'getEntity'],
+    ['POST', PROJECT + '/' + ENTITY_COLLECTIONS + '/' + ID + '$', 'updateEntity'],
+    ['DELETE', PROJECT + '/' + ENTITY_COLLECTIONS + '/' + ID + '$', 'deleteEntity']
+].map(function(route) {
+    return [route[0], new RegExp(route[1]), route[2]];
+});
+
+function errorResponse(status, code, message, param)
+{
+    var error = {code: code, message: message};
+    if (param)
+    {
+        error.param = param;
+    }
+    return {status: status, data: {error: error}};
+}
+
+function apiError(status, code, message, param)
+{
+    var err = new Error(message);
+    err.response = errorResponse(status, code, message, param);
+    return err;
+}
+
+function emptyState(projectId, serviceId, contactId)
+{
+    return {
+        id: null,
+        contact_id: contactId,
+        service_id: serviceId,
+        vars: {},
+        time_created: null,
+        time_updated: null,
+        project_id: projectId
+    };
+}
+
+function clone(value)
+{
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function removeValue(arr, value)
+{
+    var index = arr ? arr.indexOf(value) : -1;
+    if (index != -1)
+    {
+        arr.splice(index, 1);
+    }
+}
+
+function updateVars(record, vars)
+{
+    record.vars = record.vars || {};
+    for (var name in vars)
+    {
+        if (vars[name] === null)
+        {
+            delete record.vars[name];
+        }
+        else
+        {
+            record.vars[name] = vars[name];
+        }
+    }
+}
+
+function getHeader(headers, name)
+{
+    for (var key in headers)
+    {
+        if (key.toLowerCase() == name)
+        {
+            return headers[key];
+        }
+    }
+    return undefined;
+}
+
+function base64Encode(str)
+{
+    return (Buffer.from ? Buffer.from(str) : new Buffer(str)).toString('base64');
+}
+
+function compareValues(a, b)
+{
+    if (a == null || b == null)
+    {
+        return (a == null ? 0 : 1) - (b == null ? 0 : 1);
+    }
+    if (isNumeric(a) && isNumeric(b))
+    {
+        return Number(a) - Number(b);
+    }
+    a = String(a);
+    b = String(b);
+    return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+function isNumeric(value)
+{
+    return typeof value === 'number' || (typeof value === 'string' && value !== '' && !isNaN(value));
+}
+
+function isTrue(value)
+{
+    return value === true || value === 1 || value === '1' || value === 'true';
+}
+
+/*
+ * Returns true if a value matches a filter, which is either a value to compare
+ * for equality, or an object with modifiers such as {prefix: 'foo'} or
+ * {min: 1400000000, max: 1500000000}.
+ */
+function matchesFilter(value, filter)
+{
+    if (filter === null || typeof filter !== 'object')
+    {
+        if (typeof value === 'boolean')
+        {
+            return value === isTrue(filter);
+        }
+        return value != null && compareValues(value, filter) === 0;
+    }
+
+    for (var modifier in filter)
+    {
+        var arg = filter[modifier];
+        var cmp = value == null ? null : compareValues(value, arg);
+        var matches;
+
+        switch (modifier)
+        {
+            case 'exists': matches = (value != null) === isTrue(arg); break;
+            case 'ne': matches = value == null || cmp !== 0; break;
+            case 'prefix': matches = value != null && String(value).indexOf(arg) === 0; break;
+            case 'not_prefix': matches = value == null || String(value).indexOf(arg) !== 0; break;
+            case 'gte': case 'min': matches = cmp !== null && cmp >= 0; break;
+            case 'gt': matches = cmp !== null && cmp > 0; break;
+            case 'lte': matches = cmp !== null && cmp <= 0; break;
+            case 'lt': case 'max': matches = cmp !== null && cmp < 0; break;
+            default: matches = false;
+        }
+
+        if (!matches)
+        {
+            return false;
+        }
+    }
+    return true;
+}
+
+function matchesFilters(record, params)
+{
+    for (var name in params)
+    {
+        if (QUERY_OPTIONS.indexOf(name) != -1 || params[name] === undefined)
+        {
+            continue;
+        }
+
+        if (name == 'vars')
+        {
+            var vars = record.vars || {};
+            for (var varName in params.vars)
+            {
+                if (!matchesFilter(vars[varName], params.vars[varName]))
+                {
+                    return false;
+                }
+            }
+        }
+        else if (!matchesFilter(record[name], params[name]))
+        {
+            return false;
+        }
+    }
+    return true;
+}
+
+/*
+ * Parses a query string with nested parameters in the format produced by
+ * encodeParams in lib/telerivet.js, e.g. 'vars[foo][prefix]=bar'.
+ */
+function parseQuery(query)
+{
+    var params = {};
+    if (!query)
+    {
+        return params;
+    }
+
+    query.split('&').forEach(function(pair) {
+        if (!pair)
+        {
+            return;
+        }
+
+        var eq = pair.indexOf('=');
+        var key = decodeURIComponent(eq == -1 ? pair : pair.substring(0, eq));
+        var value = eq == -1 ? '' : decodeURIComponent(pair.substring(eq + 1).replace(/\+/g, ' '));
+
+        var parts = key.replace(/\]/g, '').split('[');
+        var obj = params;
+        for (var i = 0; i < parts.length - 1; i++)
+        {
+            if (typeof obj[parts[i]] !== 'object')
+            {
+                obj[parts[i]] = {};
+            }
+            obj = obj[parts[i]];
+        }
+        obj[parts[parts.length - 1]] = value;
+    });
+
+    return params;
+}
+
+module.exports = FakeServer;
@@ -0,0 +1,77 @@
+import Entity = require('./entity');
+import APICursor = require('./apicursor');
+import Query = require('./query');
+import Contact = require('./contact');
+import ScheduledMessage = require('./scheduledmessage');
+
+/** Represents a group used to organize contacts within Telerivet. */
+declare class Group extends Entity {
+    /** ID of the group */
+    readonly id: string;
+    /** Name of the group */
+    name: string;
+    /** Number of contacts in the group */
+    readonly num_members: number;
+    /** Time the group was created in Telerivet */
+    readonly time_created: number;
+    /** time_created as a Date (null if not set) */
+    readonly time_created_date: Date | null;
+    /** ID of the project this group belongs to */
+    readonly project_id: string;
+
+    /** Queries contacts that are members of the given group. */
+    queryContacts(options?: Group.QueryContactsOptions | Query): APICursor<Contact>;
+
+    /** Queries scheduled messages to the given group. */
+    queryScheduledMessages(options?: Group.QueryScheduledMessagesOptions | Query): APICursor<ScheduledMessage>;
+
+    /** Saves any fields that have changed for this group. */
+    save(): Promise<this>;
+    save(callback: Entity.Callback<this>): void;
+
+    /** Deletes this group (Note: no contacts are deleted.) */
+    delete(): Promise<void>;
+    delete(callback: Entity.Callback<void>): void;
+}
+
+declare namespace Group {
+    interface QueryContactsOptions {
+        /** Filter contacts by name */
+        name?: Query.Filter<string, 'ne' | 'prefix' | 'not_prefix' | 'gte' | 'gt' | 'lt' | 'lte'>;
+        /** Filter contacts by phone number */
+        phone_number?: Query.Filter<string, 'ne' | 'prefix' | 'not_prefix' | 'gte' | 'gt' | 'lt' | 'lte'>;
+        /** Filter contacts by time created */
+        time_created?: Query.Filter<number | Date, 'ne' | 'min' | 'max'>;
+        /** Filter contacts by last time a message was sent or received */
+        last_message_time?: Query.Filter<number | Date, 'exists' | 'ne' | 'min' | 'max'>;
+        /** Filter contacts by value of a custom variable (e.g. vars[email], vars[foo], etc.) */
+        vars?: {[name: string]: Query.Filter<string | number | boolean | Date, 'exists' | 'ne' | 'prefix' | 'not_prefix' | 'gte' | 'gt' | 'lt' | 'lte' | 'min' | 'max'>};
+        /** Sort the results based on a field */
+        sort?: 'default' | 'name' | 'phone_number' | 'last_message_time';
+        /** Sort the results in ascending or descending order */
+        sort_dir?: 'asc' | 'desc';
+        /** Number of results returned per page (max 200) */
+        page_size?: number;
+        /** Number of items to skip from beginning of result set */
+        offset?: number;
+    }
+
+    interface QueryScheduledMessagesOptions {
+        /** Filter scheduled messages by message_type */
+        message_type?: 'sms' | 'mms' | 'ussd' | 'call';
+        /** Filter scheduled messages by time_created */
+        time_created?: Query.Filter<number | Date, 'ne' | 'min' | 'max'>;
+        /** Filter scheduled messages by next_time */
+        next_time?: Query.Filter<number | Date, 'exists' | 'ne' | 'min' | 'max'>;
+        /** Sort the results based on a field */
+        sort?: 'default' | 'name';
+        /** Sort the results in ascending or descending order */
+        sort_dir?: 'asc' | 'desc';
+        /** Number of results returned per page (max 200) */
+        page_size?: number;
+        /** Number of items to skip from beginning of result set */
+        offset?: number;
+    }
+}
+
+export = Group;
@@ -148,11 +148,11 @@ Group.prototype.queryScheduledMessages = function(options)
     Saves any fields that have changed for this group.
     
       - callback : function(err)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 Group.prototype.save = function(callback)
 {
-    Entity.prototype.save.call(this, callback);
+    return Entity.prototype.save.call(this, callback);
 };
 
 /**
@@ -161,42 +161,46 @@ Group.prototype.save = function(callback)
     Deletes this group (Note: no contacts are deleted.)
     
       - callback : function(err)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 Group.prototype.delete = function(callback)
 {
-    this.api.doRequest("DELETE", this.getBaseApiPath(), null, callback);
+    return this.api.doRequest("DELETE", this.getBaseApiPath(), null, callback);
 };
 
-Object.defineProperty(Group.prototype, 'id', {
-    enumerable: true,
-    get: function() { return this.get('id'); },
-    set: function(value) { throw new Error('id is not writable'); }
-});    
-
-Object.defineProperty(Group.prototype, 'name', {
-    enumerable: true,
-    get: function() { return this.get('name'); },
-    set: function(value) { this.set('name', value); }
-});    
-
-Object.defineProperty(Group.prototype, 'num_members', {
-    enumerable: true,
-    get: function() { return this.get('num_members'); },
-    set: function(value) { throw new Error('num_members is not writable'); }
-});    
-
-Object.defineProperty(Group.prototype, 'time_created', {
-    enumerable: true,
-    get: function() { return this.get('time_created'); },
-    set: function(value) { throw new Error('time_created is not writable'); }
-});    
-
-Object.defineProperty(Group.prototype, 'project_id', {
-    enumerable: true,
-    get: function() { return this.get('project_id'); },
-    set: function(value) { throw new Error('project_id is not writable'); }
-});    
+Entity.defineFields(Group, {
+    id: {
+        type: 'string',
+        maxLength: 34,
+        updatable: false,
+        description: "ID of the group"
+    },
+    name: {
+        type: 'string',
+        updatable: true,
+        description: "Name of the group"
+    },
+    num_members: {
+        type: 'int',
+        updatable: false,
+        description: "Number of contacts in the group"
+    },
+    time_created: {
+        type: 'timestamp',
+        updatable: false,
+        description: "Time the group was created in Telerivet"
+    },
+    vars: {
+        type: 'object',
+        updatable: true,
+        description: "Custom variables stored for this group"
+    },
+    project_id: {
+        type: 'string',
+        updatable: false,
+        description: "ID of the project this group belongs to"
+    }
+});
 
 Group.prototype.getBaseApiPath = function()
 {
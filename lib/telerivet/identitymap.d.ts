@@ -0,0 +1,29 @@
+import Entity = require('./entity');
+
+/**
+ * Keeps a single instance of each entity retrieved via an API client, and shares requests to load
+ * the same entity. Loads of different entities are still sent as separate requests.
+ */
+declare class IdentityMap {
+    constructor();
+
+    /**
+     * Adds an entity to the identity map, and returns the instance that should be used for it:
+     * either an existing instance with the same class and ID, or 'entity' itself.
+     */
+    add<T extends Entity>(entity: T): T;
+
+    /** Returns the entity in the identity map with the given class name (e.g. 'Contact') and ID, or null. */
+    get(className: string, id: string): Entity | null;
+
+    /** Removes an entity from the identity map. */
+    remove(entity: Entity): void;
+
+    /** Removes all entities from the identity map. */
+    clear(): void;
+
+    /** Returns the number of entities in the identity map. */
+    size(): number;
+}
+
+export = IdentityMap;
@@ -0,0 +1,192 @@
+/*
+    IdentityMap
+
+    Keeps a single instance of each entity (e.g. each Contact) retrieved via an API client,
+    and shares requests to load the same entity.
+
+    An identity map is normally created via tr.withIdentityMap(), which returns a view of the
+    API client (a session) that uses a new identity map, or via the 'identityMap' option of
+    telerivet.API:
+
+        var session = tr.withIdentityMap();
+        var project = session.initProjectById(PROJECT_ID);
+
+    While an identity map is used, creating an entity with the same class and ID as an entity
+    already in the map (e.g. via project.initContactById, project.getContactById, a query, or
+    tr.fromJSON) returns the existing instance. When the new data was retrieved from the API,
+    the existing instance is updated with it, unless it has unsaved changes.
+
+    While a request to load an entity is in progress, further calls to entity.load() for the
+    same entity (from any instance) wait for that request instead of sending another one.
+    Methods that retrieve related entities, such as message.getContact(), also load the
+    related entity this way (and do not request it again if it is already loaded). Only loads
+    of the same entity are combined: the Telerivet API does not support retrieving multiple
+    entities by ID in one request, so each distinct entity is retrieved with a separate
+    request. These requests are subject to the 'rateLimit' option of telerivet.API.
+
+    Entities stay in the identity map until it is cleared, so an identity map should
+    generally be used for a limited task (e.g. rendering a page), rather than for the lifetime
+    of the process.
+*/
+function IdentityMap()
+{
+    this.entities = {};
+    this.entitiesById = {};
+    this.pendingLoads = {};
+}
+
+IdentityMap.prototype = {
+
+    /*
+        identityMap.add(entity)
+
+        Adds an entity to the identity map, and returns the instance that should be used for
+        it: either an existing instance with the same class and ID (updated with the data of
+        'entity' if it is loaded), or 'entity' itself.
+
+        Returns:
+            Entity
+     */
+    add: function(entity)
+    {
+        var key = getKey(entity);
+        if (!key)
+        {
+            return entity;
+        }
+
+        var existing = this.entities[key];
+        if (!existing)
+        {
+            this.entities[key] = entity;
+            this.entitiesById[getIdKey(entity.getClassName(), entity.data.id)] = entity;
+            return entity;
+        }
+
+        if (existing !== entity && entity.isLoaded && !existing.hasChanges())
+        {
+            existing.setData(entity.data);
+            existing.isLoaded = true;
+        }
+        return existing;
+    },
+
+    /*
+        identityMap.get(className, id)
+
+        Returns the entity in the identity map with the given class name (e.g. 'Contact') and
+        ID, or null.
+
+        Returns:
+            Entity
+     */
+    get: function(className, id)
+    {
+        return this.entitiesById[getIdKey(className, id)] || null;
+    },
+
+    /*
+        identityMap.remove(entity)
+
+        Removes an entity from the identity map.
+     */
+    remove: function(entity)
+    {
+        var key = getKey(entity);
+        if (key && this.entities[key] === entity)
+        {
+            delete this.entities[key];
+
+            var idKey = getIdKey(entity.getClassName(), entity.data.id);
+            if (this.entitiesById[idKey] === entity)
+            {
+                delete this.entitiesById[idKey];
+            }
+        }
+    },
+
+    /*
+        identityMap.clear()
+
+        Removes all entities from the identity map.
+     */
+    clear: function()
+    {
+        this.entities = {};
+        this.entitiesById = {};
+    },
+
+    /*
+        identityMap.size()
+
+        Returns the number of entities in the identity map.
+
+        Returns:
+            int
+     */
+    size: function()
+    {
+        return Object.keys(this.entities).length;
+    },
+
+    /*
+     * Loads the data of an entity (called by entity.load). Entities with the same
+     * key that are loaded while a request for the key is in progress share that
+     * request.
+     */
+    load: function(entity, callback)
+    {
+        var key = getKey(entity) || entity.getBaseApiPath();
+
+        var pending = this.pendingLoads[key];
+        if (pending)
+        {
+            pending.callbacks.push({entity: entity, callback: callback});
+            return;
+        }
+
+        var self = this;
+        pending = this.pendingLoads[key] = {callbacks: [{entity: entity, callback: callback}]};
+
+        entity.api.doRequest('GET', entity.getBaseApiPath(), null, function(err, data) {
+            delete self.pendingLoads[key];
+
+            var callbacks = pending.callbacks;
+            for (var i = 0; i < callbacks.length; i++)
+            {
+                var item = callbacks[i];
+                if (!err && !item.entity.isLoaded)
+                {
+                    item.entity.setData(data);
+                    item.entity.isLoaded = true;
+                }
+                item.callback(err, item.entity);
+            }
+        });
+    }
+};
+
+/*
+ * Returns the key of an entity in the identity map (its API path, which is
+ * unique even for entities whose IDs are not, such as contact service states),
+ * or null if the entity's ID is not known.
+ */
+function getKey(entity)
+{
+    if (!entity.data || entity.data.id == null)
+    {
+        return null;
+    }
+    return entity.getClassName() + ' ' + entity.getBaseApiPath();
+}
+
+/*
+ * Returns the key used to find an entity by its class name and ID (for
+ * identityMap.get).
+ */
+function getIdKey(className, id)
+{
+    return className + ' ' + id;
+}
+
+module.exports = IdentityMap;
@@ -0,0 +1,63 @@
+import Entity = require('./entity');
+import APICursor = require('./apicursor');
+import Query = require('./query');
+import Message = require('./message');
+
+/** Represents a label used to organize messages within Telerivet. */
+declare class Label extends Entity {
+    /** ID of the label */
+    readonly id: string;
+    /** Name of the label */
+    name: string;
+    /** Time the label was created in Telerivet */
+    readonly time_created: number;
+    /** time_created as a Date (null if not set) */
+    readonly time_created_date: Date | null;
+    /** ID of the project this label belongs to */
+    readonly project_id: string;
+
+    /** Queries messages with the given label. */
+    queryMessages(options?: Label.QueryMessagesOptions | Query): APICursor<Message>;
+
+    /** Saves any fields that have changed for the label. */
+    save(): Promise<this>;
+    save(callback: Entity.Callback<this>): void;
+
+    /** Deletes the given label (Note: no messages are deleted.) */
+    delete(): Promise<void>;
+    delete(callback: Entity.Callback<void>): void;
+}
+
+declare namespace Label {
+    interface QueryMessagesOptions {
+        /** Filter messages by direction */
+        direction?: 'incoming' | 'outgoing';
+        /** Filter messages by message_type */
+        message_type?: 'sms' | 'mms' | 'ussd' | 'call';
+        /** Filter messages by source */
+        source?: 'phone' | 'provider' | 'web' | 'api' | 'service' | 'webhook' | 'scheduled';
+        /** Filter messages by starred/unstarred */
+        starred?: boolean;
+        /** Filter messages by status */
+        status?: 'ignored' | 'processing' | 'received' | 'sent' | 'queued' | 'failed' | 'failed_queued' | 'cancelled' | 'delivered' | 'not_delivered';
+        /**
+         * min: Filter messages created on or after a particular time; max: Filter messages created
+         * before a particular time
+         */
+        time_created?: {min?: number | Date; max?: number | Date;};
+        /** ID of the contact who sent/received the message */
+        contact_id?: string;
+        /** ID of the phone that sent/received the message */
+        phone_id?: string;
+        /** Sort the results based on a field */
+        sort?: 'default';
+        /** Sort the results in ascending or descending order */
+        sort_dir?: 'asc' | 'desc';
+        /** Number of results returned per page (max 200) */
+        page_size?: number;
+        /** Number of items to skip from beginning of result set */
+        offset?: number;
+    }
+}
+
+export = Label;
@@ -103,11 +103,11 @@ Label.prototype.queryMessages = function(options)
     Saves any fields that have changed for the label.
     
       - callback : function(err)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 Label.prototype.save = function(callback)
 {
-    Entity.prototype.save.call(this, callback);
+    return Entity.prototype.save.call(this, callback);
 };
 
 /**
@@ -116,36 +116,41 @@ Label.prototype.save = function(callback)
     Deletes the given label (Note: no messages are deleted.)
     
       - callback : function(err)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 Label.prototype.delete = function(callback)
 {
-    this.api.doRequest("DELETE", this.getBaseApiPath(), null, callback);
+    return this.api.doRequest("DELETE", this.getBaseApiPath(), null, callback);
 };
 
-Object.defineProperty(Label.prototype, 'id', {
-    enumerable: true,
-    get: function() { return this.get('id'); },
-    set: function(value) { throw new Error('id is not writable'); }
-});    
-
-Object.defineProperty(Label.prototype, 'name', {
-    enumerable: true,
-    get: function() { return this.get('name'); },
-    set: function(value) { this.set('name', value); }
-});    
-
-Object.defineProperty(Label.prototype, 'time_created', {
-    enumerable: true,
-    get: function() { return this.get('time_created'); },
-    set: function(value) { throw new Error('time_created is not writable'); }
-});    
-
-Object.defineProperty(Label.prototype, 'project_id', {
-    enumerable: true,
-    get: function() { return this.get('project_id'); },
-    set: function(value) { throw new Error('project_id is not writable'); }
-});    
+Entity.defineFields(Label, {
+    id: {
+        type: 'string',
+        maxLength: 34,
+        updatable: false,
+        description: "ID of the label"
+    },
+    name: {
+        type: 'string',
+        updatable: true,
+        description: "Name of the label"
+    },
+    time_created: {
+        type: 'timestamp',
+        updatable: false,
+        description: "Time the label was created in Telerivet"
+    },
+    vars: {
+        type: 'object',
+        updatable: true,
+        description: "Custom variables stored for this label"
+    },
+    project_id: {
+        type: 'string',
+        updatable: false,
+        description: "ID of the project this label belongs to"
+    }
+});
 
 Label.prototype.getBaseApiPath = function()
 {
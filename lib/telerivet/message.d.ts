@@ -0,0 +1,134 @@
+import Entity = require('./entity');
+import Contact = require('./contact');
+import Label = require('./label');
+import Phone = require('./phone');
+
+/** Represents a single message. */
+declare class Message extends Entity {
+    /** ID of the message */
+    readonly id: string;
+    /**
+     * Direction of the message: incoming messages are sent from one of your contacts to your phone;
+     * outgoing messages are sent from your phone to one of your contacts
+     */
+    readonly direction: 'incoming' | 'outgoing';
+    /** Current status of the message */
+    readonly status: 'ignored' | 'processing' | 'received' | 'sent' | 'queued' | 'failed' | 'failed_queued' | 'cancelled' | 'delivered' | 'not_delivered';
+    /** Type of the message */
+    readonly message_type: 'sms' | 'mms' | 'ussd' | 'call';
+    /** How the message originated within Telerivet */
+    readonly source: 'phone' | 'provider' | 'web' | 'api' | 'service' | 'webhook' | 'scheduled';
+    /** The time that the message was created on Telerivet's servers */
+    readonly time_created: number;
+    /** time_created as a Date (null if not set) */
+    readonly time_created_date: Date | null;
+    /**
+     * The time that the message was reported to have been sent (null for incoming messages and
+     * messages that have not yet been sent)
+     */
+    readonly time_sent: number;
+    /** time_sent as a Date (null if not set) */
+    readonly time_sent_date: Date | null;
+    /**
+     * The phone number that the message originated from (your number for outgoing messages, the
+     * contact's number for incoming messages)
+     */
+    readonly from_number: string;
+    /**
+     * The phone number that the message was sent to (your number for incoming messages, the
+     * contact's number for outgoing messages)
+     */
+    readonly to_number: string;
+    /** The text content of the message (null for USSD messages and calls) */
+    readonly content: string;
+    /** Whether this message is starred in Telerivet */
+    starred: boolean;
+    /**
+     * Whether this message is was simulated within Telerivet for testing (and not actually sent to
+     * or received by a real phone)
+     */
+    readonly simulated: boolean;
+    /** List of IDs of labels applied to this message */
+    readonly label_ids: string[];
+    /**
+     * A description of the error encountered while sending a message. (This field is omitted from
+     * the API response if there is no error message.)
+     */
+    error_message: string;
+    /**
+     * The ID of this message from an external SMS gateway provider (e.g. Twilio or Nexmo), if
+     * available.
+     */
+    readonly external_id: string;
+    /** The price of this message, if known. By convention, message prices are negative. */
+    readonly price: number;
+    /** The currency of the message price, if applicable. */
+    readonly price_currency: string;
+    /**
+     * A list of parts in the MMS message, the same as returned by the
+     * [getMMSParts](#Message.getMMSParts) method. Note: This property is only present when
+     * retrieving an individual MMS message by ID, not when querying a list of messages. In other
+     * cases, use [getMMSParts](#Message.getMMSParts).
+     */
+    readonly mms_parts: Message.MMSPart[];
+    /** ID of the phone that sent or received the message */
+    readonly phone_id: string;
+    /** ID of the contact that sent or received the message */
+    readonly contact_id: string;
+    /** ID of the project this contact belongs to */
+    readonly project_id: string;
+
+    /** Returns true if this message has a particular label, false otherwise. */
+    hasLabel(label: Label): boolean;
+
+    /** Adds a label to the given message. */
+    addLabel(label: Label): Promise<void>;
+    addLabel(label: Label, callback: Entity.Callback<void>): void;
+
+    /** Removes a label from the given message. */
+    removeLabel(label: Label): Promise<void>;
+    removeLabel(label: Label, callback: Entity.Callback<void>): void;
+
+    /** Retrieves a list of MMS parts for this message (empty for non-MMS messages). */
+    getMMSParts(): Promise<Message.MMSPart[]>;
+    getMMSParts(callback: Entity.Callback<Message.MMSPart[]>): void;
+
+    /** Retrieves the contact that sent or received this message. */
+    getContact(): Promise<Contact>;
+    getContact(callback: Entity.Callback<Contact>): void;
+
+    /** Initializes the contact that sent or received this message without making an API request. */
+    initContact(): Contact;
+
+    /** Retrieves the phone that sent or received this message. */
+    getPhone(): Promise<Phone>;
+    getPhone(callback: Entity.Callback<Phone>): void;
+
+    /** Initializes the phone that sent or received this message without making an API request. */
+    initPhone(): Phone;
+
+    /** Saves any fields that have changed for this message. */
+    save(): Promise<this>;
+    save(callback: Entity.Callback<this>): void;
+
+    /** Deletes this message. */
+    delete(): Promise<void>;
+    delete(callback: Entity.Callback<void>): void;
+}
+
+declare namespace Message {
+    interface MMSPart {
+        /** MMS content-id */
+        cid: string;
+        /** MIME type */
+        type: string;
+        /** Original filename */
+        filename: string;
+        /** Number of bytes */
+        size: number;
+        /** URL where the content for this part is stored */
+        url: string;
+    }
+}
+
+export = Message;
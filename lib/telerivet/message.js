@@ -147,10 +147,12 @@ Message.prototype.hasLabel = function(label)
           * Required
       
       - callback : function(err)
-          * Required
+          * Optional (a Promise is returned if omitted)
  */
 Message.prototype.addLabel = function(label, callback)
 {
+    callback = util.promiseCallback(callback);
+    
     var self = this;
     this.api.doRequest("PUT", label.getBaseApiPath() + "/messages/" + this.get('id'), null, function(err, res) {
         if (!err)
@@ -159,6 +161,8 @@ Message.prototype.addLabel = function(label, callback)
         }
         callback(err, res);
     });    
+    
+    return callback.promise;
 };
     
 /**
@@ -171,10 +175,12 @@ Message.prototype.addLabel = function(label, callback)
           * Required
       
       - callback : function(err)
-          * Required
+          * Optional (a Promise is returned if omitted)
  */
 Message.prototype.removeLabel = function(label, callback)
 {
+    callback = util.promiseCallback(callback);
+    
     var self = this;
     this.api.doRequest("DELETE", label.getBaseApiPath() + "/messages/" + this.get('id'), null, function(err, res) {
         if (!err)
@@ -183,6 +189,8 @@ Message.prototype.removeLabel = function(label, callback)
         }
         callback(err, res);
     });    
+    
+    return callback.promise;
 };    
       
 /**
@@ -202,11 +210,65 @@ Message.prototype.removeLabel = function(label, callback)
     yourself)
     
       - callback : function(err, res)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 Message.prototype.getMMSParts = function(callback)
 {
-    this.api.doRequest("GET", this.getBaseApiPath() + "/mms_parts", null, callback);
+    return this.api.doRequest("GET", this.getBaseApiPath() + "/mms_parts", null, callback);
+};
+
+/**
+    message.getContact(callback)
+    
+    Retrieves the contact that sent or received this message.
+    
+    Arguments:
+      - callback : function(err, contact)
+          * Optional (a Promise is returned if omitted)
+    */
+Message.prototype.getContact = function(callback)
+{
+    return this._getRelated('contact_id', 'getContactById', callback);
+};
+
+/**
+    message.initContact()
+    
+    Initializes the contact that sent or received this message without making an API request.
+    
+    Returns:
+        Contact
+    */
+Message.prototype.initContact = function()
+{
+    return this._initRelated('contact_id', 'initContactById');
+};
+
+/**
+    message.getPhone(callback)
+    
+    Retrieves the phone that sent or received this message.
+    
+    Arguments:
+      - callback : function(err, phone)
+          * Optional (a Promise is returned if omitted)
+    */
+Message.prototype.getPhone = function(callback)
+{
+    return this._getRelated('phone_id', 'getPhoneById', callback);
+};
+
+/**
+    message.initPhone()
+    
+    Initializes the phone that sent or received this message without making an API request.
+    
+    Returns:
+        Phone
+    */
+Message.prototype.initPhone = function()
+{
+    return this._initRelated('phone_id', 'initPhoneById');
 };
 
 /**
@@ -215,11 +277,11 @@ Message.prototype.getMMSParts = function(callback)
     Saves any fields that have changed for this message.
     
       - callback : function(err)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 Message.prototype.save = function(callback)
 {
-    Entity.prototype.save.call(this, callback);
+    return Entity.prototype.save.call(this, callback);
 };
 
 /**
@@ -228,138 +290,144 @@ Message.prototype.save = function(callback)
     Deletes this message.
     
       - callback : function(err)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 Message.prototype.delete = function(callback)
 {
-    this.api.doRequest("DELETE", this.getBaseApiPath(), null, callback);
+    return this.api.doRequest("DELETE", this.getBaseApiPath(), null, callback);
 };
 
-Object.defineProperty(Message.prototype, 'id', {
-    enumerable: true,
-    get: function() { return this.get('id'); },
-    set: function(value) { throw new Error('id is not writable'); }
-});    
-
-Object.defineProperty(Message.prototype, 'direction', {
-    enumerable: true,
-    get: function() { return this.get('direction'); },
-    set: function(value) { throw new Error('direction is not writable'); }
-});    
-
-Object.defineProperty(Message.prototype, 'status', {
-    enumerable: true,
-    get: function() { return this.get('status'); },
-    set: function(value) { throw new Error('status is not writable'); }
-});    
-
-Object.defineProperty(Message.prototype, 'message_type', {
-    enumerable: true,
-    get: function() { return this.get('message_type'); },
-    set: function(value) { throw new Error('message_type is not writable'); }
-});    
-
-Object.defineProperty(Message.prototype, 'source', {
-    enumerable: true,
-    get: function() { return this.get('source'); },
-    set: function(value) { throw new Error('source is not writable'); }
-});    
-
-Object.defineProperty(Message.prototype, 'time_created', {
-    enumerable: true,
-    get: function() { return this.get('time_created'); },
-    set: function(value) { throw new Error('time_created is not writable'); }
-});    
-
-Object.defineProperty(Message.prototype, 'time_sent', {
-    enumerable: true,
-    get: function() { return this.get('time_sent'); },
-    set: function(value) { throw new Error('time_sent is not writable'); }
-});    
-
-Object.defineProperty(Message.prototype, 'from_number', {
-    enumerable: true,
-    get: function() { return this.get('from_number'); },
-    set: function(value) { throw new Error('from_number is not writable'); }
-});    
-
-Object.defineProperty(Message.prototype, 'to_number', {
-    enumerable: true,
-    get: function() { return this.get('to_number'); },
-    set: function(value) { throw new Error('to_number is not writable'); }
-});    
-
-Object.defineProperty(Message.prototype, 'content', {
-    enumerable: true,
-    get: function() { return this.get('content'); },
-    set: function(value) { throw new Error('content is not writable'); }
-});    
-
-Object.defineProperty(Message.prototype, 'starred', {
-    enumerable: true,
-    get: function() { return this.get('starred'); },
-    set: function(value) { this.set('starred', value); }
-});    
-
-Object.defineProperty(Message.prototype, 'simulated', {
-    enumerable: true,
-    get: function() { return this.get('simulated'); },
-    set: function(value) { throw new Error('simulated is not writable'); }
-});    
-
-Object.defineProperty(Message.prototype, 'label_ids', {
-    enumerable: true,
-    get: function() { return this.get('label_ids'); },
-    set: function(value) { throw new Error('label_ids is not writable'); }
-});    
-
-Object.defineProperty(Message.prototype, 'error_message', {
-    enumerable: true,
-    get: function() { return this.get('error_message'); },
-    set: function(value) { this.set('error_message', value); }
-});    
-
-Object.defineProperty(Message.prototype, 'external_id', {
-    enumerable: true,
-    get: function() { return this.get('external_id'); },
-    set: function(value) { throw new Error('external_id is not writable'); }
-});    
-
-Object.defineProperty(Message.prototype, 'price', {
-    enumerable: true,
-    get: function() { return this.get('price'); },
-    set: function(value) { throw new Error('price is not writable'); }
-});    
-
-Object.defineProperty(Message.prototype, 'price_currency', {
-    enumerable: true,
-    get: function() { return this.get('price_currency'); },
-    set: function(value) { throw new Error('price_currency is not writable'); }
-});    
-
-Object.defineProperty(Message.prototype, 'mms_parts', {
-    enumerable: true,
-    get: function() { return this.get('mms_parts'); },
-    set: function(value) { throw new Error('mms_parts is not writable'); }
-});    
-
-Object.defineProperty(Message.prototype, 'phone_id', {
-    enumerable: true,
-    get: function() { return this.get('phone_id'); },
-    set: function(value) { throw new Error('phone_id is not writable'); }
-});    
-
-Object.defineProperty(Message.prototype, 'contact_id', {
-    enumerable: true,
-    get: function() { return this.get('contact_id'); },
-    set: function(value) { throw new Error('contact_id is not writable'); }
-});    
-
-Object.defineProperty(Message.prototype, 'project_id', {
-    enumerable: true,
-    get: function() { return this.get('project_id'); },
-    set: function(value) { throw new Error('project_id is not writable'); }
-});    
+Entity.defineFields(Message, {
+    id: {
+        type: 'string',
+        maxLength: 34,
+        updatable: false,
+        description: "ID of the message"
+    },
+    direction: {
+        type: 'string',
+        values: ['incoming', 'outgoing'],
+        updatable: false,
+        description: "Direction of the message: incoming messages are sent from one of your " +
+            "contacts to your phone; outgoing messages are sent from your phone to one of your " +
+            "contacts"
+    },
+    status: {
+        type: 'string',
+        values: ['ignored', 'processing', 'received', 'sent', 'queued', 'failed', 'failed_queued', 'cancelled', 'delivered', 'not_delivered'],
+        updatable: false,
+        description: "Current status of the message"
+    },
+    message_type: {
+        type: 'string',
+        values: ['sms', 'mms', 'ussd', 'call'],
+        updatable: false,
+        description: "Type of the message"
+    },
+    source: {
+        type: 'string',
+        values: ['phone', 'provider', 'web', 'api', 'service', 'webhook', 'scheduled'],
+        updatable: false,
+        description: "How the message originated within Telerivet"
+    },
+    time_created: {
+        type: 'timestamp',
+        updatable: false,
+        description: "The time that the message was created on Telerivet's servers"
+    },
+    time_sent: {
+        type: 'timestamp',
+        updatable: false,
+        description: "The time that the message was reported to have been sent (null for incoming " +
+            "messages and messages that have not yet been sent)"
+    },
+    from_number: {
+        type: 'string',
+        updatable: false,
+        description: "The phone number that the message originated from (your number for outgoing " +
+            "messages, the contact's number for incoming messages)"
+    },
+    to_number: {
+        type: 'string',
+        updatable: false,
+        description: "The phone number that the message was sent to (your number for incoming " +
+            "messages, the contact's number for outgoing messages)"
+    },
+    content: {
+        type: 'string',
+        updatable: false,
+        description: "The text content of the message (null for USSD messages and calls)"
+    },
+    starred: {
+        type: 'bool',
+        updatable: true,
+        description: "Whether this message is starred in Telerivet"
+    },
+    simulated: {
+        type: 'bool',
+        updatable: false,
+        description: "Whether this message is was simulated within Telerivet for testing (and not " +
+            "actually sent to or received by a real phone)"
+    },
+    label_ids: {
+        type: 'array',
+        updatable: false,
+        description: "List of IDs of labels applied to this message"
+    },
+    vars: {
+        type: 'object',
+        updatable: true,
+        description: "Custom variables stored for this message"
+    },
+    error_message: {
+        type: 'string',
+        updatable: true,
+        description: "A description of the error encountered while sending a message. (This field " +
+            "is omitted from the API response if there is no error message.)"
+    },
+    external_id: {
+        type: 'string',
+        updatable: false,
+        description: "The ID of this message from an external SMS gateway provider (e.g. Twilio or " +
+            "Nexmo), if available."
+    },
+    price: {
+        type: 'number',
+        updatable: false,
+        description: "The price of this message, if known. By convention, message prices are " +
+            "negative."
+    },
+    price_currency: {
+        type: 'string',
+        updatable: false,
+        description: "The currency of the message price, if applicable."
+    },
+    mms_parts: {
+        type: 'array',
+        updatable: false,
+        description: "A list of parts in the MMS message, the same as returned by the " +
+            "[getMMSParts](#Message.getMMSParts) method. Note: This property is only present when " +
+            "retrieving an individual MMS message by ID, not when querying a list of messages. In " +
+            "other cases, use [getMMSParts](#Message.getMMSParts)."
+    },
+    phone_id: {
+        type: 'string',
+        maxLength: 34,
+        updatable: false,
+        description: "ID of the phone that sent or received the message"
+    },
+    contact_id: {
+        type: 'string',
+        maxLength: 34,
+        updatable: false,
+        description: "ID of the contact that sent or received the message"
+    },
+    project_id: {
+        type: 'string',
+        updatable: false,
+        description: "ID of the project this contact belongs to"
+    }
+});
 
 Message.prototype.getBaseApiPath = function()
 {
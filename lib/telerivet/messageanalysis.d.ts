@@ -0,0 +1,70 @@
+import Project = require('./project');
+import Entity = require('./entity');
+
+/**
+ * Describes how the content of an SMS message will be encoded (GSM 7-bit or UCS-2) and split
+ * into parts, returned by MessageAnalysis.analyze.
+ */
+declare class MessageAnalysis {
+    constructor(content: string);
+
+    /** Content of the message */
+    content: string;
+    /** Encoding of the message */
+    encoding: 'gsm7' | 'ucs2';
+    /** Length of the encoded message, in septets (gsm7) or UTF-16 code units (ucs2) */
+    length: number;
+    /** Number of SMS parts needed to send the message */
+    numParts: number;
+    /** Maximum length of each part (160, 153, 70 or 67) */
+    maxLengthPerPart: number;
+    /** Length that can be added to the last part without needing another part */
+    remaining: number;
+    /** Characters that are not in the GSM 7-bit alphabet, which caused the message to be encoded as UCS-2 */
+    nonGsmChars: string[];
+    /** Characters in the GSM 7-bit extension table, which use two characters each */
+    extendedChars: string[];
+
+    /** Returns how the content of an SMS message will be encoded and split into parts. */
+    static analyze(content: string | null | undefined): MessageAnalysis;
+
+    /**
+     * Estimates the cost of sending an SMS message to a number of recipients, using the price of
+     * recent outgoing SMS messages in the project.
+     */
+    static estimateCost(project: Project, options: MessageAnalysis.EstimateCostOptions): Promise<MessageAnalysis.CostEstimate>;
+    static estimateCost(project: Project, options: MessageAnalysis.EstimateCostOptions,
+        callback: Entity.Callback<MessageAnalysis.CostEstimate>): void;
+}
+
+declare namespace MessageAnalysis {
+    interface EstimateCostOptions {
+        /** Content of the message to send */
+        content: string;
+        /** Number of recipients of the message (default: 1) */
+        numRecipients?: number;
+        /** Only use the price of recent messages sent from this phone or route */
+        phone_id?: string;
+        /** Maximum number of recent outgoing SMS messages to retrieve (default: 100) */
+        sampleSize?: number;
+    }
+
+    interface CostEstimate {
+        /** Number of SMS parts for each recipient */
+        numParts: number;
+        numRecipients: number;
+        /** Total number of SMS parts for all recipients */
+        totalParts: number;
+        /** Average price of each SMS part (positive), or null if no recent messages have a price */
+        pricePerPart: number | null;
+        /** Currency of the price, if known */
+        currency: string | null;
+        /** Estimated total cost (positive), or null if no recent messages have a price */
+        estimatedCost: number | null;
+        /** Number of recent messages with a price that were used for the estimate */
+        sampleSize: number;
+        analysis: MessageAnalysis;
+    }
+}
+
+export = MessageAnalysis;
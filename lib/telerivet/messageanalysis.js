@@ -0,0 +1,309 @@
+var util = require('./util'),
+    errors = require('./errors');
+
+// characters of the GSM 03.38 default alphabet, encoded as one septet each
+var GSM_CHARS = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+    '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+
+// characters of the GSM 03.38 extension table, encoded as an escape septet followed by
+// another septet
+var GSM_EXTENDED_CHARS = '\f^{}\\[~]|€';
+
+// maximum length of a single-part message, and of each part of a multi-part message (which
+// includes a 6-byte concatenation header)
+var LIMITS = {
+    gsm7: {single: 160, multi: 153},
+    ucs2: {single: 70, multi: 67}
+};
+
+var DEFAULT_SAMPLE_SIZE = 100;
+
+function indexChars(chars)
+{
+    var index = {};
+    for (var i = 0; i < chars.length; i++)
+    {
+        index[chars.charAt(i)] = true;
+    }
+    return index;
+}
+
+var GSM_CHAR_INDEX = indexChars(GSM_CHARS),
+    GSM_EXTENDED_CHAR_INDEX = indexChars(GSM_EXTENDED_CHARS);
+
+/*
+ * Splits a string into characters (keeping surrogate pairs together), and returns
+ * the length of each character in the given encoding (septets for gsm7, UTF-16
+ * code units for ucs2).
+ */
+function getCharLengths(content, encoding)
+{
+    var lengths = [];
+    for (var i = 0; i < content.length; i++)
+    {
+        var code = content.charCodeAt(i);
+        if (code >= 0xD800 && code <= 0xDBFF && i + 1 < content.length)
+        {
+            lengths.push(2);
+            i++;
+        }
+        else if (encoding == 'gsm7' && GSM_EXTENDED_CHAR_INDEX[content.charAt(i)])
+        {
+            lengths.push(2);
+        }
+        else
+        {
+            lengths.push(1);
+        }
+    }
+    return lengths;
+}
+
+/*
+    MessageAnalysis
+
+    Describes how the content of an SMS message will be encoded and split into parts,
+    returned by MessageAnalysis.analyze.
+
+    Messages containing only characters in the GSM 7-bit default alphabet (and its extension
+    table) are encoded with 7 bits per character, allowing 160 characters in a single SMS.
+    Characters in the extension table, such as € and [, use two characters each. If the
+    message contains any other characters (e.g. emoji, or letters not used in Western European
+    languages), the entire message is encoded as UCS-2, allowing 70 characters in a single
+    SMS.
+
+    Longer messages are sent as multiple parts, each with a header used by the recipient's
+    phone to combine the parts, which reduces the length of each part to 153 characters
+    (GSM 7-bit) or 67 characters (UCS-2). A character is never split between two parts.
+
+    Telerivet or the mobile network may replace some characters before sending (e.g. curly
+    quotes), so the actual number of parts may be lower than estimated.
+
+    Properties:
+
+      - content (string)
+          * Content of the message
+
+      - encoding
+          * Encoding of the message
+          * Allowed values: gsm7, ucs2
+
+      - length (int)
+          * Length of the encoded message, in septets (gsm7) or UTF-16 code units (ucs2)
+
+      - numParts (int)
+          * Number of SMS parts needed to send the message
+
+      - maxLengthPerPart (int)
+          * Maximum length of each part (160, 153, 70 or 67)
+
+      - remaining (int)
+          * Length that can be added to the last part without needing another part
+
+      - nonGsmChars (array)
+          * Characters that are not in the GSM 7-bit alphabet, which caused the message to be
+              encoded as UCS-2
+
+      - extendedChars (array)
+          * Characters in the GSM 7-bit extension table, which use two characters each
+*/
+function MessageAnalysis(content)
+{
+    var nonGsmChars = [],
+        extendedChars = [];
+
+    for (var i = 0; i < content.length; i++)
+    {
+        var c = content.charAt(i),
+            code = content.charCodeAt(i);
+
+        if (code >= 0xD800 && code <= 0xDBFF && i + 1 < content.length)
+        {
+            c = content.substr(i, 2);
+            i++;
+        }
+
+        if (GSM_EXTENDED_CHAR_INDEX[c])
+        {
+            if (extendedChars.indexOf(c) == -1)
+            {
+                extendedChars.push(c);
+            }
+        }
+        else if (!GSM_CHAR_INDEX[c] && nonGsmChars.indexOf(c) == -1)
+        {
+            nonGsmChars.push(c);
+        }
+    }
+
+    var encoding = nonGsmChars.length ? 'ucs2' : 'gsm7',
+        limits = LIMITS[encoding],
+        charLengths = getCharLengths(content, encoding),
+        length = 0;
+
+    charLengths.forEach(function(charLength) {
+        length += charLength;
+    });
+
+    var numParts = 1,
+        maxLengthPerPart = limits.single,
+        partLength = length;
+
+    if (length > limits.single)
+    {
+        maxLengthPerPart = limits.multi;
+        partLength = 0;
+        charLengths.forEach(function(charLength) {
+            if (partLength + charLength > maxLengthPerPart)
+            {
+                numParts++;
+                partLength = 0;
+            }
+            partLength += charLength;
+        });
+    }
+
+    this.content = content;
+    this.encoding = encoding;
+    this.length = length;
+    this.numParts = numParts;
+    this.maxLengthPerPart = maxLengthPerPart;
+    this.remaining = maxLengthPerPart - partLength;
+    this.nonGsmChars = encoding == 'ucs2' ? nonGsmChars : [];
+    this.extendedChars = encoding == 'gsm7' ? extendedChars : [];
+}
+
+/*
+    MessageAnalysis.analyze(content)
+
+    Returns how the content of an SMS message will be encoded and split into parts.
+
+    Returns:
+        MessageAnalysis
+ */
+MessageAnalysis.analyze = function(content)
+{
+    return new MessageAnalysis(content == null ? '' : String(content));
+};
+
+/*
+    MessageAnalysis.estimateCost(project, options, callback)
+
+    Estimates the cost of sending an SMS message to a number of recipients, using the price
+    of recent outgoing SMS messages in the project. The price of each recent message is
+    divided by its number of parts to get an average price per SMS part. Used by
+    project.estimateMessageCost.
+
+    Prices are returned as positive numbers (unlike the price field of messages, which is
+    negative by convention). If recent messages have prices in different currencies, only
+    messages in the most common currency are used. If no recent messages have a price, the
+    price and cost are null.
+
+    The estimate is based on the content before any variables are replaced (if is_template
+    is used), and on prices which may differ between mobile networks and countries.
+
+    Arguments:
+      - project (Project)
+          * Required
+
+      - options (associative array)
+          * Required
+
+        - content (string)
+            * Content of the message to send
+            * Required
+
+        - numRecipients (int)
+            * Number of recipients of the message
+            * Default: 1
+
+        - phone_id
+            * Only use the price of recent messages sent from this phone or route
+
+        - sampleSize (int)
+            * Maximum number of recent outgoing SMS messages to retrieve
+            * Default: 100
+
+      - callback : function(err, estimate)
+          * Optional (a Promise is returned if omitted)
+          * estimate is an associative array with the properties numParts (per recipient),
+              numRecipients, totalParts, pricePerPart, currency, estimatedCost, sampleSize
+              (number of recent messages with a price that were used) and analysis
+              (MessageAnalysis)
+ */
+MessageAnalysis.estimateCost = function(project, options, callback)
+{
+    callback = util.promiseCallback(callback);
+
+    if (!options || typeof options.content !== 'string')
+    {
+        process.nextTick(function() {
+            callback(new errors.InvalidParameterError("content is required", {param: 'content'}));
+        });
+        return callback.promise;
+    }
+
+    var analysis = MessageAnalysis.analyze(options.content),
+        numRecipients = options.numRecipients == null ? 1 : options.numRecipients,
+        sampleSize = options.sampleSize || DEFAULT_SAMPLE_SIZE;
+
+    // most recent messages first
+    var query = {
+        direction: 'outgoing',
+        message_type: 'sms',
+        sort_dir: 'desc'
+    };
+    if (options.phone_id)
+    {
+        query.phone_id = options.phone_id;
+    }
+
+    project.queryMessages(query).limit(sampleSize).all(function(err, messages) {
+        if (err)
+        {
+            return callback(err);
+        }
+
+        // total price and number of parts of recent messages in each currency
+        var totals = {},
+            currency = null;
+
+        messages.forEach(function(message) {
+            if (message.price == null || message.content == null)
+            {
+                return;
+            }
+
+            var key = message.price_currency || '',
+                total = totals[key] = totals[key] || {price: 0, numParts: 0, numMessages: 0};
+
+            total.price += Math.abs(message.price);
+            total.numParts += MessageAnalysis.analyze(message.content).numParts;
+            total.numMessages++;
+
+            if (currency === null || total.numMessages > totals[currency].numMessages)
+            {
+                currency = key;
+            }
+        });
+
+        var total = currency === null ? null : totals[currency],
+            pricePerPart = total ? total.price / total.numParts : null,
+            totalParts = analysis.numParts * numRecipients;
+
+        callback(null, {
+            numParts: analysis.numParts,
+            numRecipients: numRecipients,
+            totalParts: totalParts,
+            pricePerPart: pricePerPart,
+            currency: total ? currency || null : null,
+            estimatedCost: total ? pricePerPart * totalParts : null,
+            sampleSize: total ? total.numMessages : 0,
+            analysis: analysis
+        });
+    });
+
+    return callback.promise;
+};
+
+module.exports = MessageAnalysis;
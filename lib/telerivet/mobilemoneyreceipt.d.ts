@@ -0,0 +1,106 @@
+import Entity = require('./entity');
+import Contact = require('./contact');
+import Message = require('./message');
+import Phone = require('./phone');
+
+/**
+ * Represents a receipt received from a mobile money system such as Safaricom M-Pesa (Kenya),
+ * Vodacom M-Pesa (Tanzania), or Tigo Pesa (Tanzania). When your Android phone receives a SMS
+ * receipt from a supported mobile money service that Telerivet can understand, Telerivet will
+ * automatically parse it and create a MobileMoneyReceipt object.
+ */
+declare class MobileMoneyReceipt extends Entity {
+    /** Telerivet's internal ID for the receipt */
+    readonly id: string;
+    /** Transaction ID from the receipt */
+    readonly tx_id: string;
+    /** Type of mobile money transaction */
+    readonly tx_type: 'receive_money' | 'send_money' | 'pay_bill' | 'deposit' | 'withdrawal' | 'airtime_purchase' | 'balance_inquiry' | 'reversal';
+    /**
+     * [ISO 4217 Currency code](http://en.wikipedia.org/wiki/ISO_4217) for the transaction, e.g. KES
+     * or TZS. Amount, balance, and fee are expressed in units of this currency.
+     */
+    readonly currency: string;
+    /**
+     * Amount of this transaction; positive numbers indicate money added to your account, negative
+     * numbers indicate money removed from your account
+     */
+    readonly amount: number;
+    /** The current balance of your mobile money account (null if not available) */
+    readonly balance: number;
+    /** The transaction fee charged by the mobile money system (null if not available) */
+    readonly fee: number;
+    /** The name of the other person in the transaction (null if not available) */
+    readonly name: string;
+    /** The phone number of the other person in the transaction (null if not available) */
+    readonly phone_number: string;
+    /** The time this receipt was created in Telerivet */
+    readonly time_created: number;
+    /** time_created as a Date (null if not set) */
+    readonly time_created_date: Date | null;
+    /**
+     * The other transaction ID listed in the receipt (e.g. the transaction ID for a reversed
+     * transaction)
+     */
+    readonly other_tx_id: string;
+    /** The raw content of the mobile money receipt */
+    readonly content: string;
+    /** Telerivet's internal ID for the mobile money provider */
+    readonly provider_id: string;
+    /**
+     * ID of the contact associated with the name/phone number on the receipt. Note that some mobile
+     * money systems do not provide the other person's phone number, so it's possible Telerivet may
+     * not automatically assign a contact_id, or may assign it to a different contact with the same
+     * name.
+     */
+    contact_id: string;
+    /** ID of the phone that received the receipt */
+    readonly phone_id: string;
+    /** ID of the message corresponding to the receipt */
+    readonly message_id: string;
+    /** ID of the project this receipt belongs to */
+    readonly project_id: string;
+
+    /**
+     * Retrieves the contact associated with this transaction (null if not associated with a
+     * contact).
+     */
+    getContact(): Promise<Contact | null>;
+    getContact(callback: Entity.Callback<Contact | null>): void;
+
+    /**
+     * Initializes the contact associated with this transaction without making an API request (null
+     * if not associated with a contact).
+     */
+    initContact(): Contact | null;
+
+    /** Retrieves the phone that received this transaction. */
+    getPhone(): Promise<Phone>;
+    getPhone(callback: Entity.Callback<Phone>): void;
+
+    /** Initializes the phone that received this transaction without making an API request. */
+    initPhone(): Phone;
+
+    /**
+     * Retrieves the message associated with this transaction (null if not associated with a
+     * message).
+     */
+    getMessage(): Promise<Message | null>;
+    getMessage(callback: Entity.Callback<Message | null>): void;
+
+    /**
+     * Initializes the message associated with this transaction without making an API request (null
+     * if not associated with a message).
+     */
+    initMessage(): Message | null;
+
+    /** Saves any fields or custom variables that have changed for this mobile money receipt. */
+    save(): Promise<this>;
+    save(callback: Entity.Callback<this>): void;
+
+    /** Deletes this receipt. */
+    delete(): Promise<void>;
+    delete(callback: Entity.Callback<void>): void;
+}
+
+export = MobileMoneyReceipt;
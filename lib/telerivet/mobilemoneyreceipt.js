@@ -96,17 +96,102 @@ var util = require('./util'),
  
 var MobileMoneyReceipt = util.makeClass('MobileMoneyReceipt', Entity);
 
+/**
+    receipt.getContact(callback)
+    
+    Retrieves the contact associated with this transaction (null if not associated with a
+    contact).
+    
+    Arguments:
+      - callback : function(err, contact)
+          * Optional (a Promise is returned if omitted)
+    */
+MobileMoneyReceipt.prototype.getContact = function(callback)
+{
+    return this._getRelated('contact_id', 'getContactById', callback);
+};
+
+/**
+    receipt.initContact()
+    
+    Initializes the contact associated with this transaction without making an API request (null
+    if not associated with a contact).
+    
+    Returns:
+        Contact
+    */
+MobileMoneyReceipt.prototype.initContact = function()
+{
+    return this._initRelated('contact_id', 'initContactById');
+};
+
+/**
+    receipt.getPhone(callback)
+    
+    Retrieves the phone that received this transaction.
+    
+    Arguments:
+      - callback : function(err, phone)
+          * Optional (a Promise is returned if omitted)
+    */
+MobileMoneyReceipt.prototype.getPhone = function(callback)
+{
+    return this._getRelated('phone_id', 'getPhoneById', callback);
+};
+
+/**
+    receipt.initPhone()
+    
+    Initializes the phone that received this transaction without making an API request.
+    
+    Returns:
+        Phone
+    */
+MobileMoneyReceipt.prototype.initPhone = function()
+{
+    return this._initRelated('phone_id', 'initPhoneById');
+};
+
+/**
+    receipt.getMessage(callback)
+    
+    Retrieves the message associated with this transaction (null if not associated with a
+    message).
+    
+    Arguments:
+      - callback : function(err, message)
+          * Optional (a Promise is returned if omitted)
+    */
+MobileMoneyReceipt.prototype.getMessage = function(callback)
+{
+    return this._getRelated('message_id', 'getMessageById', callback);
+};
+
+/**
+    receipt.initMessage()
+    
+    Initializes the message associated with this transaction without making an API request (null
+    if not associated with a message).
+    
+    Returns:
+        Message
+    */
+MobileMoneyReceipt.prototype.initMessage = function()
+{
+    return this._initRelated('message_id', 'initMessageById');
+};
+
 /**
     receipt.save(callback)
     
     Saves any fields or custom variables that have changed for this mobile money receipt.
     
       - callback : function(err)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 MobileMoneyReceipt.prototype.save = function(callback)
 {
-    Entity.prototype.save.call(this, callback);
+    return Entity.prototype.save.call(this, callback);
 };
 
 /**
@@ -115,114 +200,116 @@ MobileMoneyReceipt.prototype.save = function(callback)
     Deletes this receipt.
     
       - callback : function(err)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 MobileMoneyReceipt.prototype.delete = function(callback)
 {
-    this.api.doRequest("DELETE", this.getBaseApiPath(), null, callback);
+    return this.api.doRequest("DELETE", this.getBaseApiPath(), null, callback);
 };
 
-Object.defineProperty(MobileMoneyReceipt.prototype, 'id', {
-    enumerable: true,
-    get: function() { return this.get('id'); },
-    set: function(value) { throw new Error('id is not writable'); }
-});    
-
-Object.defineProperty(MobileMoneyReceipt.prototype, 'tx_id', {
-    enumerable: true,
-    get: function() { return this.get('tx_id'); },
-    set: function(value) { throw new Error('tx_id is not writable'); }
-});    
-
-Object.defineProperty(MobileMoneyReceipt.prototype, 'tx_type', {
-    enumerable: true,
-    get: function() { return this.get('tx_type'); },
-    set: function(value) { throw new Error('tx_type is not writable'); }
-});    
-
-Object.defineProperty(MobileMoneyReceipt.prototype, 'currency', {
-    enumerable: true,
-    get: function() { return this.get('currency'); },
-    set: function(value) { throw new Error('currency is not writable'); }
-});    
-
-Object.defineProperty(MobileMoneyReceipt.prototype, 'amount', {
-    enumerable: true,
-    get: function() { return this.get('amount'); },
-    set: function(value) { throw new Error('amount is not writable'); }
-});    
-
-Object.defineProperty(MobileMoneyReceipt.prototype, 'balance', {
-    enumerable: true,
-    get: function() { return this.get('balance'); },
-    set: function(value) { throw new Error('balance is not writable'); }
-});    
-
-Object.defineProperty(MobileMoneyReceipt.prototype, 'fee', {
-    enumerable: true,
-    get: function() { return this.get('fee'); },
-    set: function(value) { throw new Error('fee is not writable'); }
-});    
-
-Object.defineProperty(MobileMoneyReceipt.prototype, 'name', {
-    enumerable: true,
-    get: function() { return this.get('name'); },
-    set: function(value) { throw new Error('name is not writable'); }
-});    
-
-Object.defineProperty(MobileMoneyReceipt.prototype, 'phone_number', {
-    enumerable: true,
-    get: function() { return this.get('phone_number'); },
-    set: function(value) { throw new Error('phone_number is not writable'); }
-});    
-
-Object.defineProperty(MobileMoneyReceipt.prototype, 'time_created', {
-    enumerable: true,
-    get: function() { return this.get('time_created'); },
-    set: function(value) { throw new Error('time_created is not writable'); }
-});    
-
-Object.defineProperty(MobileMoneyReceipt.prototype, 'other_tx_id', {
-    enumerable: true,
-    get: function() { return this.get('other_tx_id'); },
-    set: function(value) { throw new Error('other_tx_id is not writable'); }
-});    
-
-Object.defineProperty(MobileMoneyReceipt.prototype, 'content', {
-    enumerable: true,
-    get: function() { return this.get('content'); },
-    set: function(value) { throw new Error('content is not writable'); }
-});    
-
-Object.defineProperty(MobileMoneyReceipt.prototype, 'provider_id', {
-    enumerable: true,
-    get: function() { return this.get('provider_id'); },
-    set: function(value) { throw new Error('provider_id is not writable'); }
-});    
-
-Object.defineProperty(MobileMoneyReceipt.prototype, 'contact_id', {
-    enumerable: true,
-    get: function() { return this.get('contact_id'); },
-    set: function(value) { this.set('contact_id', value); }
-});    
-
-Object.defineProperty(MobileMoneyReceipt.prototype, 'phone_id', {
-    enumerable: true,
-    get: function() { return this.get('phone_id'); },
-    set: function(value) { throw new Error('phone_id is not writable'); }
-});    
-
-Object.defineProperty(MobileMoneyReceipt.prototype, 'message_id', {
-    enumerable: true,
-    get: function() { return this.get('message_id'); },
-    set: function(value) { throw new Error('message_id is not writable'); }
-});    
-
-Object.defineProperty(MobileMoneyReceipt.prototype, 'project_id', {
-    enumerable: true,
-    get: function() { return this.get('project_id'); },
-    set: function(value) { throw new Error('project_id is not writable'); }
-});    
+Entity.defineFields(MobileMoneyReceipt, {
+    id: {
+        type: 'string',
+        maxLength: 34,
+        updatable: false,
+        description: "Telerivet's internal ID for the receipt"
+    },
+    tx_id: {
+        type: 'string',
+        updatable: false,
+        description: "Transaction ID from the receipt"
+    },
+    tx_type: {
+        type: 'string',
+        values: ['receive_money', 'send_money', 'pay_bill', 'deposit', 'withdrawal', 'airtime_purchase', 'balance_inquiry', 'reversal'],
+        updatable: false,
+        description: "Type of mobile money transaction"
+    },
+    currency: {
+        type: 'string',
+        updatable: false,
+        description: "[ISO 4217 Currency code](http://en.wikipedia.org/wiki/ISO_4217) for the " +
+            "transaction, e.g. KES or TZS. Amount, balance, and fee are expressed in units of " +
+            "this currency."
+    },
+    amount: {
+        type: 'number',
+        updatable: false,
+        description: "Amount of this transaction; positive numbers indicate money added to your " +
+            "account, negative numbers indicate money removed from your account"
+    },
+    balance: {
+        type: 'number',
+        updatable: false,
+        description: "The current balance of your mobile money account (null if not available)"
+    },
+    fee: {
+        type: 'number',
+        updatable: false,
+        description: "The transaction fee charged by the mobile money system (null if not " +
+            "available)"
+    },
+    name: {
+        type: 'string',
+        updatable: false,
+        description: "The name of the other person in the transaction (null if not available)"
+    },
+    phone_number: {
+        type: 'string',
+        updatable: false,
+        description: "The phone number of the other person in the transaction (null if not " +
+            "available)"
+    },
+    time_created: {
+        type: 'timestamp',
+        updatable: false,
+        description: "The time this receipt was created in Telerivet"
+    },
+    other_tx_id: {
+        type: 'string',
+        updatable: false,
+        description: "The other transaction ID listed in the receipt (e.g. the transaction ID for a " +
+            "reversed transaction)"
+    },
+    content: {
+        type: 'string',
+        updatable: false,
+        description: "The raw content of the mobile money receipt"
+    },
+    provider_id: {
+        type: 'string',
+        updatable: false,
+        description: "Telerivet's internal ID for the mobile money provider"
+    },
+    vars: {
+        type: 'object',
+        updatable: true,
+        description: "Custom variables stored for this mobile money receipt"
+    },
+    contact_id: {
+        type: 'string',
+        updatable: true,
+        description: "ID of the contact associated with the name/phone number on the receipt. Note " +
+            "that some mobile money systems do not provide the other person's phone number, so " +
+            "it's possible Telerivet may not automatically assign a contact_id, or may assign it " +
+            "to a different contact with the same name."
+    },
+    phone_id: {
+        type: 'string',
+        updatable: false,
+        description: "ID of the phone that received the receipt"
+    },
+    message_id: {
+        type: 'string',
+        updatable: false,
+        description: "ID of the message corresponding to the receipt"
+    },
+    project_id: {
+        type: 'string',
+        updatable: false,
+        description: "ID of the project this receipt belongs to"
+    }
+});
 
 MobileMoneyReceipt.prototype.getBaseApiPath = function()
 {
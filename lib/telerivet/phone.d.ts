@@ -0,0 +1,102 @@
+import Entity = require('./entity');
+import APICursor = require('./apicursor');
+import Query = require('./query');
+import Message = require('./message');
+
+/** Represents a phone or gateway that you use to send/receive messages via Telerivet. */
+declare class Phone extends Entity {
+    /** ID of the phone */
+    readonly id: string;
+    /** Name of the phone */
+    name: string;
+    /** Phone number of the phone */
+    phone_number: string;
+    /** Type of this phone/gateway (e.g. android, twilio, nexmo, etc) */
+    readonly phone_type: string;
+    /** Time the phone was created in Telerivet */
+    readonly time_created: number;
+    /** time_created as a Date (null if not set) */
+    readonly time_created_date: Date | null;
+    /** Approximate time this phone last connected to Telerivet */
+    readonly last_active_time: number;
+    /** last_active_time as a Date (null if not set) */
+    readonly last_active_time_date: Date | null;
+    /** ID of the project this phone belongs to */
+    readonly project_id: string;
+    /**
+     * Current battery level, on a scale from 0 to 100, as of the last time the phone connected to
+     * Telerivet (only present for Android phones)
+     */
+    readonly battery: number;
+    /**
+     * True if the phone is currently charging, false if it is running on battery, as of the last
+     * time it connected to Telerivet (only present for Android phones)
+     */
+    readonly charging: boolean;
+    /** Currently installed version of Telerivet Android app (only present for Android phones) */
+    readonly app_version: string;
+    /**
+     * Android SDK level, indicating the approximate version of the Android OS installed on this
+     * phone; see
+     * <http://developer.android.com/guide/topics/manifest/uses-sdk-element.html#ApiLevels> (only
+     * present for Android phones)
+     */
+    readonly android_sdk: number;
+    /**
+     * Code indicating the Android phone's current country (MCC) and mobile network operator (MNC);
+     * see <http://en.wikipedia.org/wiki/Mobile_country_code> (only present for Android phones).
+     * Note this is a string containing numeric digits, not an integer.
+     */
+    readonly mccmnc: string;
+    /** Android phone manufacturer (only present for Android phones) */
+    readonly manufacturer: string;
+    /** Android phone model (only present for Android phones) */
+    readonly model: string;
+    /**
+     * Maximum number of SMS messages per hour that can be sent by this Android phone. To increase
+     * this limit, install additional SMS expansion packs in the Telerivet app. (only present for
+     * Android phones)
+     */
+    readonly send_limit: number;
+
+    /** Queries messages sent or received by this phone. */
+    queryMessages(options?: Phone.QueryMessagesOptions | Query): APICursor<Message>;
+
+    /** Saves any fields or custom variables that have changed for this phone. */
+    save(): Promise<this>;
+    save(callback: Entity.Callback<this>): void;
+}
+
+declare namespace Phone {
+    interface QueryMessagesOptions {
+        /** Filter messages by direction */
+        direction?: 'incoming' | 'outgoing';
+        /** Filter messages by message_type */
+        message_type?: 'sms' | 'mms' | 'ussd' | 'call';
+        /** Filter messages by source */
+        source?: 'phone' | 'provider' | 'web' | 'api' | 'service' | 'webhook' | 'scheduled';
+        /** Filter messages by starred/unstarred */
+        starred?: boolean;
+        /** Filter messages by status */
+        status?: 'ignored' | 'processing' | 'received' | 'sent' | 'queued' | 'failed' | 'failed_queued' | 'cancelled' | 'delivered' | 'not_delivered';
+        /**
+         * min: Filter messages created on or after a particular time; max: Filter messages created
+         * before a particular time
+         */
+        time_created?: {min?: number | Date; max?: number | Date;};
+        /** ID of the contact who sent/received the message */
+        contact_id?: string;
+        /** ID of the phone that sent/received the message */
+        phone_id?: string;
+        /** Sort the results based on a field */
+        sort?: 'default';
+        /** Sort the results in ascending or descending order */
+        sort_dir?: 'asc' | 'desc';
+        /** Number of results returned per page (max 200) */
+        page_size?: number;
+        /** Number of items to skip from beginning of result set */
+        offset?: number;
+    }
+}
+
+export = Phone;
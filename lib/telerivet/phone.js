@@ -157,102 +157,107 @@ Phone.prototype.queryMessages = function(options)
     Saves any fields or custom variables that have changed for this phone.
     
       - callback : function(err)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 Phone.prototype.save = function(callback)
 {
-    Entity.prototype.save.call(this, callback);
+    return Entity.prototype.save.call(this, callback);
 };
 
-Object.defineProperty(Phone.prototype, 'id', {
-    enumerable: true,
-    get: function() { return this.get('id'); },
-    set: function(value) { throw new Error('id is not writable'); }
-});    
-
-Object.defineProperty(Phone.prototype, 'name', {
-    enumerable: true,
-    get: function() { return this.get('name'); },
-    set: function(value) { this.set('name', value); }
-});    
-
-Object.defineProperty(Phone.prototype, 'phone_number', {
-    enumerable: true,
-    get: function() { return this.get('phone_number'); },
-    set: function(value) { this.set('phone_number', value); }
-});    
-
-Object.defineProperty(Phone.prototype, 'phone_type', {
-    enumerable: true,
-    get: function() { return this.get('phone_type'); },
-    set: function(value) { throw new Error('phone_type is not writable'); }
-});    
-
-Object.defineProperty(Phone.prototype, 'time_created', {
-    enumerable: true,
-    get: function() { return this.get('time_created'); },
-    set: function(value) { throw new Error('time_created is not writable'); }
-});    
-
-Object.defineProperty(Phone.prototype, 'last_active_time', {
-    enumerable: true,
-    get: function() { return this.get('last_active_time'); },
-    set: function(value) { throw new Error('last_active_time is not writable'); }
-});    
-
-Object.defineProperty(Phone.prototype, 'project_id', {
-    enumerable: true,
-    get: function() { return this.get('project_id'); },
-    set: function(value) { throw new Error('project_id is not writable'); }
-});    
-
-Object.defineProperty(Phone.prototype, 'battery', {
-    enumerable: true,
-    get: function() { return this.get('battery'); },
-    set: function(value) { throw new Error('battery is not writable'); }
-});    
-
-Object.defineProperty(Phone.prototype, 'charging', {
-    enumerable: true,
-    get: function() { return this.get('charging'); },
-    set: function(value) { throw new Error('charging is not writable'); }
-});    
-
-Object.defineProperty(Phone.prototype, 'app_version', {
-    enumerable: true,
-    get: function() { return this.get('app_version'); },
-    set: function(value) { throw new Error('app_version is not writable'); }
-});    
-
-Object.defineProperty(Phone.prototype, 'android_sdk', {
-    enumerable: true,
-    get: function() { return this.get('android_sdk'); },
-    set: function(value) { throw new Error('android_sdk is not writable'); }
-});    
-
-Object.defineProperty(Phone.prototype, 'mccmnc', {
-    enumerable: true,
-    get: function() { return this.get('mccmnc'); },
-    set: function(value) { throw new Error('mccmnc is not writable'); }
-});    
-
-Object.defineProperty(Phone.prototype, 'manufacturer', {
-    enumerable: true,
-    get: function() { return this.get('manufacturer'); },
-    set: function(value) { throw new Error('manufacturer is not writable'); }
-});    
-
-Object.defineProperty(Phone.prototype, 'model', {
-    enumerable: true,
-    get: function() { return this.get('model'); },
-    set: function(value) { throw new Error('model is not writable'); }
-});    
-
-Object.defineProperty(Phone.prototype, 'send_limit', {
-    enumerable: true,
-    get: function() { return this.get('send_limit'); },
-    set: function(value) { throw new Error('send_limit is not writable'); }
-});    
+Entity.defineFields(Phone, {
+    id: {
+        type: 'string',
+        maxLength: 34,
+        updatable: false,
+        description: "ID of the phone"
+    },
+    name: {
+        type: 'string',
+        updatable: true,
+        description: "Name of the phone"
+    },
+    phone_number: {
+        type: 'string',
+        updatable: true,
+        description: "Phone number of the phone"
+    },
+    phone_type: {
+        type: 'string',
+        updatable: false,
+        description: "Type of this phone/gateway (e.g. android, twilio, nexmo, etc)"
+    },
+    time_created: {
+        type: 'timestamp',
+        updatable: false,
+        description: "Time the phone was created in Telerivet"
+    },
+    last_active_time: {
+        type: 'timestamp',
+        updatable: false,
+        description: "Approximate time this phone last connected to Telerivet"
+    },
+    vars: {
+        type: 'object',
+        updatable: true,
+        description: "Custom variables stored for this phone"
+    },
+    project_id: {
+        type: 'string',
+        updatable: false,
+        description: "ID of the project this phone belongs to"
+    },
+    battery: {
+        type: 'int',
+        updatable: false,
+        description: "Current battery level, on a scale from 0 to 100, as of the last time the " +
+            "phone connected to Telerivet (only present for Android phones)"
+    },
+    charging: {
+        type: 'bool',
+        updatable: false,
+        description: "True if the phone is currently charging, false if it is running on battery, " +
+            "as of the last time it connected to Telerivet (only present for Android phones)"
+    },
+    app_version: {
+        type: 'string',
+        updatable: false,
+        description: "Currently installed version of Telerivet Android app (only present for " +
+            "Android phones)"
+    },
+    android_sdk: {
+        type: 'int',
+        updatable: false,
+        description: "Android SDK level, indicating the approximate version of the Android OS " +
+            "installed on this phone; see " +
+            "<http://developer.android.com/guide/topics/manifest/uses-sdk-element.html#ApiLevels> " +
+            "(only present for Android phones)"
+    },
+    mccmnc: {
+        type: 'string',
+        updatable: false,
+        description: "Code indicating the Android phone's current country (MCC) and mobile network " +
+            "operator (MNC); see <http://en.wikipedia.org/wiki/Mobile_country_code> (only present " +
+            "for Android phones). Note this is a string containing numeric digits, not an " +
+            "integer."
+    },
+    manufacturer: {
+        type: 'string',
+        updatable: false,
+        description: "Android phone manufacturer (only present for Android phones)"
+    },
+    model: {
+        type: 'string',
+        updatable: false,
+        description: "Android phone model (only present for Android phones)"
+    },
+    send_limit: {
+        type: 'int',
+        updatable: false,
+        description: "Maximum number of SMS messages per hour that can be sent by this Android " +
+            "phone. To increase this limit, install additional SMS expansion packs in the " +
+            "Telerivet app. (only present for Android phones)"
+    }
+});
 
 Phone.prototype.getBaseApiPath = function()
 {
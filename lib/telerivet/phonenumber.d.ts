@@ -0,0 +1,60 @@
+/**
+ * A phone number parsed by PhoneNumber.parse, which can be formatted in E.164 format for sending
+ * messages, or in international or national format for display.
+ */
+declare class PhoneNumber {
+    constructor(country: string | null, nationalNumber: string);
+
+    /** ISO 3166-1 alpha-2 code of the country (e.g. 'KE'), or null if the calling code is unknown */
+    country: string | null;
+    /** Country calling code (e.g. '254'), or null if the calling code is unknown */
+    callingCode: string | null;
+    /** Phone number without the calling code and national trunk prefix */
+    nationalNumber: string;
+
+    /** Returns the phone number in E.164 format, e.g. +254712345678. */
+    toE164(): string;
+
+    /** Returns the phone number formatted for display (default: international). */
+    format(style?: PhoneNumber.FormatStyle): string;
+
+    toString(): string;
+
+    /**
+     * Parses a phone number in international format, or in national format for the default
+     * country. Throws an InvalidPhoneNumberError if the number is not valid.
+     */
+    static parse(number: string | number, options?: string | PhoneNumber.ParseOptions | null): PhoneNumber;
+
+    /** Returns true if PhoneNumber.parse(number, options) would parse the number successfully. */
+    static isValid(number: string | number, options?: string | PhoneNumber.ParseOptions | null): boolean;
+
+    /** Returns a phone number in E.164 format. Throws an InvalidPhoneNumberError if the number is not valid. */
+    static normalize(number: string | number, options?: string | PhoneNumber.ParseOptions | null): string;
+
+    /** Returns a phone number formatted for display. Throws an InvalidPhoneNumberError if the number is not valid. */
+    static format(number: string | number, options?: string | PhoneNumber.ParseOptions | null,
+        style?: PhoneNumber.FormatStyle): string;
+
+    /** Returns true if a number looks like a short code (3 to 6 digits, not starting with 0 or +). */
+    static isShortCode(number: string | number): boolean;
+
+    /** Returns the country code for a MCC/MNC code (e.g. '63902' returns 'KE'), or null. */
+    static countryFromMccmnc(mccmnc: string | null | undefined): string | null;
+
+    /** Returns the codes of the countries whose phone numbers can be parsed in national format. */
+    static getCountries(): string[];
+}
+
+declare namespace PhoneNumber {
+    type FormatStyle = 'e164' | 'international' | 'national';
+
+    interface ParseOptions {
+        /** ISO 3166-1 alpha-2 code of the country used for numbers in national format */
+        defaultCountry?: string;
+        /** MCC/MNC code of a phone (e.g. phone.mccmnc), used if defaultCountry is not set */
+        mccmnc?: string | null;
+    }
+}
+
+export = PhoneNumber;
@@ -0,0 +1,561 @@
+var errors = require('./errors');
+
+var MIN_LENGTH = 8,
+    MAX_LENGTH = 15;
+
+function country(callingCode, trunkPrefix, lengths, groups, mccs)
+{
+    return {
+        callingCode: callingCode,
+        trunkPrefix: trunkPrefix,
+        lengths: lengths,
+        groups: groups,
+        mccs: mccs
+    };
+}
+
+// calling code, national trunk prefix, allowed lengths of the national number (without the
+// trunk prefix), digit groups used for display, and mobile country codes (MCC) of each
+// country. When several countries share a calling code, the first one listed is used for
+// international numbers unless the default country shares the calling code.
+var COUNTRIES = {
+    US: country('1', '1', [10], [3, 3, 4], ['310', '311', '312', '313', '314', '315', '316']),
+    CA: country('1', '1', [10], [3, 3, 4], ['302']),
+    DO: country('1', '1', [10], [3, 3, 4], ['370']),
+    JM: country('1', '1', [10], [3, 3, 4], ['338']),
+    RU: country('7', '8', [10], [3, 3, 4], ['250']),
+    EG: country('20', '0', [9, 10], [3, 3, 4], ['602']),
+    ZA: country('27', '0', [9], [2, 3, 4], ['655']),
+    NL: country('31', '0', [9], [1, 4, 4], ['204']),
+    BE: country('32', '0', [8, 9], [3, 2, 2, 2], ['206']),
+    FR: country('33', '0', [9], [1, 2, 2, 2, 2], ['208']),
+    ES: country('34', '', [9], [3, 3, 3], ['214']),
+    IT: country('39', '', [6, 7, 8, 9, 10, 11], [3, 3, 4], ['222']),
+    CH: country('41', '0', [9], [2, 3, 2, 2], ['228']),
+    GB: country('44', '0', [9, 10], [4, 6], ['234', '235']),
+    DE: country('49', '0', [7, 8, 9, 10, 11], [3, 4, 4], ['262']),
+    PE: country('51', '', [8, 9], [3, 3, 3], ['716']),
+    MX: country('52', '', [10], [2, 4, 4], ['334']),
+    AR: country('54', '0', [10, 11], [2, 4, 4], ['722']),
+    BR: country('55', '0', [10, 11], [2, 5, 4], ['724']),
+    CL: country('56', '', [9], [1, 4, 4], ['730']),
+    CO: country('57', '', [10], [3, 3, 4], ['732']),
+    VE: country('58', '0', [10], [3, 3, 4], ['734']),
+    MY: country('60', '0', [9, 10], [2, 4, 4], ['502']),
+    AU: country('61', '0', [9], [3, 3, 3], ['505']),
+    ID: country('62', '0', [9, 10, 11, 12], [3, 4, 4], ['510']),
+    PH: country('63', '0', [10], [3, 3, 4], ['515']),
+    NZ: country('64', '0', [8, 9, 10], [2, 3, 4], ['530']),
+    TH: country('66', '0', [8, 9], [2, 3, 4], ['520']),
+    JP: country('81', '0', [9, 10], [2, 4, 4], ['440', '441']),
+    KR: country('82', '0', [8, 9, 10], [2, 4, 4], ['450']),
+    VN: country('84', '0', [9, 10], [3, 3, 3], ['452']),
+    CN: country('86', '0', [10, 11], [3, 4, 4], ['460']),
+    TR: country('90', '0', [10], [3, 3, 4], ['286']),
+    IN: country('91', '0', [10], [5, 5], ['404', '405', '406']),
+    PK: country('92', '0', [10], [3, 7], ['410']),
+    AF: country('93', '0', [9], [2, 3, 4], ['412']),
+    LK: country('94', '0', [9], [2, 3, 4], ['413']),
+    MM: country('95', '0', [8, 9, 10], [1, 3, 4], ['414']),
+    SS: country('211', '0', [9], [3, 3, 3], ['659']),
+    MA: country('212', '0', [9], [3, 6], ['604']),
+    DZ: country('213', '0', [8, 9], [3, 2, 2, 2], ['603']),
+    TN: country('216', '', [8], [2, 3, 3], ['605']),
+    SN: country('221', '', [9], [2, 3, 2, 2], ['608']),
+    ML: country('223', '', [8], [2, 2, 2, 2], ['610']),
+    GN: country('224', '', [9], [3, 3, 3], ['611']),
+    CI: country('225', '', [10], [2, 2, 2, 2, 2], ['612']),
+    BF: country('226', '', [8], [2, 2, 2, 2], ['613']),
+    NE: country('227', '', [8], [2, 2, 2, 2], ['614']),
+    TG: country('228', '', [8], [2, 2, 2, 2], ['615']),
+    BJ: country('229', '', [8, 10], [2, 2, 2, 2], ['616']),
+    LR: country('231', '0', [7, 8, 9], [2, 3, 4], ['618']),
+    SL: country('232', '0', [8], [2, 6], ['619']),
+    GH: country('233', '0', [9], [2, 3, 4], ['620']),
+    NG: country('234', '0', [8, 10], [3, 3, 4], ['621']),
+    CM: country('237', '', [9], [3, 3, 3], ['624']),
+    CD: country('243', '0', [9], [3, 3, 3], ['630']),
+    SD: country('249', '0', [9], [2, 3, 4], ['634']),
+    RW: country('250', '0', [9], [3, 3, 3], ['635']),
+    ET: country('251', '0', [9], [2, 3, 4], ['636']),
+    SO: country('252', '0', [7, 8, 9], [2, 3, 4], ['637']),
+    KE: country('254', '0', [9], [3, 3, 3], ['639']),
+    TZ: country('255', '0', [9], [3, 3, 3], ['640']),
+    UG: country('256', '0', [9], [3, 3, 3], ['641']),
+    BI: country('257', '', [8], [2, 2, 2, 2], ['642']),
+    MZ: country('258', '', [8, 9], [2, 3, 4], ['643']),
+    ZM: country('260', '0', [9], [3, 3, 3], ['645']),
+    MG: country('261', '0', [9], [2, 2, 3, 2], ['646']),
+    ZW: country('263', '0', [9], [2, 3, 4], ['648']),
+    NA: country('264', '0', [8, 9], [2, 3, 4], ['649']),
+    MW: country('265', '0', [7, 9], [3, 3, 3], ['650']),
+    BW: country('267', '', [7, 8], [2, 3, 3], ['652']),
+    PT: country('351', '', [9], [3, 3, 3], ['268']),
+    IE: country('353', '0', [7, 8, 9], [2, 3, 4], ['272']),
+    UA: country('380', '0', [9], [2, 3, 4], ['255']),
+    GT: country('502', '', [8], [4, 4], ['704']),
+    SV: country('503', '', [8], [4, 4], ['706']),
+    HN: country('504', '', [8], [4, 4], ['708']),
+    NI: country('505', '', [8], [4, 4], ['710']),
+    CR: country('506', '', [8], [4, 4], ['712']),
+    PA: country('507', '', [7, 8], [4, 4], ['714']),
+    HT: country('509', '', [8], [2, 2, 4], ['372']),
+    BO: country('591', '', [8], [1, 3, 4], ['736']),
+    EC: country('593', '0', [8, 9], [2, 3, 4], ['740']),
+    KH: country('855', '0', [8, 9], [2, 3, 3], ['456']),
+    BD: country('880', '0', [10], [4, 6], ['470']),
+    LB: country('961', '0', [7, 8], [2, 3, 3], ['415']),
+    JO: country('962', '0', [8, 9], [1, 4, 4], ['416']),
+    IQ: country('964', '0', [8, 9, 10], [3, 3, 4], ['418']),
+    SA: country('966', '0', [9], [2, 3, 4], ['420']),
+    YE: country('967', '0', [7, 8, 9], [3, 3, 3], ['421']),
+    PS: country('970', '0', [8, 9], [3, 3, 3], []),
+    AE: country('971', '0', [8, 9], [2, 3, 4], ['424']),
+    IL: country('972', '0', [8, 9], [2, 3, 4], ['425']),
+    NP: country('977', '0', [8, 9, 10], [3, 3, 4], ['429'])
+};
+
+var COUNTRIES_BY_CALLING_CODE = {},
+    COUNTRIES_BY_MCC = {};
+
+Object.keys(COUNTRIES).forEach(function(code) {
+    var info = COUNTRIES[code];
+    (COUNTRIES_BY_CALLING_CODE[info.callingCode] = COUNTRIES_BY_CALLING_CODE[info.callingCode] || []).push(code);
+    info.mccs.forEach(function(mcc) {
+        COUNTRIES_BY_MCC[mcc] = COUNTRIES_BY_MCC[mcc] || code;
+    });
+});
+
+function invalid(number, message)
+{
+    return new errors.InvalidPhoneNumberError(message, {phoneNumber: number});
+}
+
+/*
+ * Returns the default country for parsing national numbers from the options
+ * passed to PhoneNumber.parse (a country code, or an object with defaultCountry
+ * and/or mccmnc), or null if there is no default country.
+ */
+function getDefaultCountry(options)
+{
+    if (typeof options === 'string')
+    {
+        options = {defaultCountry: options};
+    }
+    options = options || {};
+
+    var code = options.defaultCountry ? String(options.defaultCountry).toUpperCase() : null;
+    if (code && !COUNTRIES[code])
+    {
+        throw new Error("Unsupported country " + options.defaultCountry);
+    }
+    return code || PhoneNumber.countryFromMccmnc(options.mccmnc);
+}
+
+/*
+ * Returns true if a national number (without the trunk prefix) has a valid length
+ * for the country. In countries with the trunk prefix 0, national numbers cannot
+ * start with 0.
+ */
+function isValidNationalNumber(country, nationalNumber)
+{
+    var info = COUNTRIES[country];
+    if (info.trunkPrefix == '0' && nationalNumber.charAt(0) == '0')
+    {
+        return false;
+    }
+    return info.lengths.indexOf(nationalNumber.length) != -1;
+}
+
+/*
+ * Parses the digits of a number in international format (after the '+' or
+ * international call prefix).
+ */
+function parseInternational(number, digits, defaultCountry)
+{
+    for (var i = 1; i <= 3; i++)
+    {
+        var callingCode = digits.substring(0, i),
+            countries = COUNTRIES_BY_CALLING_CODE[callingCode];
+
+        if (!countries)
+        {
+            continue;
+        }
+
+        var nationalNumber = digits.substring(i),
+            candidates = countries.indexOf(defaultCountry) != -1 ? [defaultCountry] : countries;
+
+        for (var j = 0; j < candidates.length; j++)
+        {
+            var country = candidates[j],
+                trunkPrefix = COUNTRIES[country].trunkPrefix;
+
+            if (isValidNationalNumber(country, nationalNumber))
+            {
+                return new PhoneNumber(country, nationalNumber);
+            }
+
+            // e.g. +254 0712 345678, where the trunk prefix should have been omitted
+            if (trunkPrefix && nationalNumber.indexOf(trunkPrefix) == 0 &&
+                isValidNationalNumber(country, nationalNumber.substring(trunkPrefix.length)))
+            {
+                return new PhoneNumber(country, nationalNumber.substring(trunkPrefix.length));
+            }
+        }
+
+        throw invalid(number, "Invalid length for phone number in " + candidates[0]);
+    }
+
+    if (digits.length < MIN_LENGTH || digits.length > MAX_LENGTH)
+    {
+        throw invalid(number, "Invalid length for international phone number");
+    }
+    return new PhoneNumber(null, digits);
+}
+
+/*
+    PhoneNumber
+
+    A phone number parsed by PhoneNumber.parse, which can be formatted in E.164 format
+    (e.g. +254712345678) for sending messages, or in international or national format
+    for display.
+
+    Numbers are validated by their country calling code and the allowed lengths of phone
+    numbers in that country, using a table of countries in lib/telerivet/phonenumber.js. This
+    does not check that a number is actually assigned to a subscriber. Numbers with calling
+    codes that are not in the table are only checked for the total length allowed by E.164.
+
+        var number = telerivet.PhoneNumber.parse('0712 345678', 'KE');
+        number.toE164();                  // '+254712345678'
+        number.format('international');   // '+254 712 345 678'
+        number.format('national');        // '0712 345 678'
+
+    Properties:
+
+      - country
+          * ISO 3166-1 alpha-2 code of the country of the phone number (e.g. 'KE'), or null
+              if the calling code is not in the table
+
+      - callingCode
+          * Country calling code (e.g. '254'), or null if the calling code is not in the table
+
+      - nationalNumber
+          * Phone number without the calling code and national trunk prefix (or all digits of
+              the phone number after the '+', if the calling code is not in the table)
+*/
+function PhoneNumber(country, nationalNumber)
+{
+    this.country = country;
+    this.callingCode = country ? COUNTRIES[country].callingCode : null;
+    this.nationalNumber = nationalNumber;
+}
+
+PhoneNumber.prototype = {
+
+    /*
+        number.toE164()
+
+        Returns the phone number in E.164 format, e.g. +254712345678.
+
+        Returns:
+            string
+     */
+    toE164: function()
+    {
+        return '+' + (this.callingCode || '') + this.nationalNumber;
+    },
+
+    /*
+        number.format(style)
+
+        Returns the phone number formatted for display.
+
+        Arguments:
+          - style
+              * Allowed values: e164, international, national
+              * Default: international
+     */
+    format: function(style)
+    {
+        if (style == 'e164')
+        {
+            return this.toE164();
+        }
+
+        if (!this.country)
+        {
+            return this.toE164();
+        }
+
+        var info = COUNTRIES[this.country],
+            digits = this.nationalNumber,
+            parts = [],
+            pos = 0;
+
+        for (var i = 0; i < info.groups.length && pos < digits.length; i++)
+        {
+            var length = (i == info.groups.length - 1) ? digits.length - pos : info.groups[i];
+            parts.push(digits.substr(pos, length));
+            pos += length;
+        }
+        if (pos < digits.length)
+        {
+            parts.push(digits.substring(pos));
+        }
+
+        if (style == 'national')
+        {
+            parts[0] = info.trunkPrefix + parts[0];
+            return parts.join(' ');
+        }
+        return '+' + this.callingCode + ' ' + parts.join(' ');
+    },
+
+    toString: function()
+    {
+        return this.toE164();
+    }
+};
+
+/*
+    PhoneNumber.parse(number, options)
+
+    Parses a phone number in international format (e.g. +254 712 345678 or 00254712345678),
+    or in national format (e.g. 0712 345678) for the default country. Spaces, dashes, dots,
+    slashes and parentheses are ignored. Throws an InvalidPhoneNumberError if the number is
+    not valid.
+
+    Arguments:
+      - number (string)
+          * Required
+
+      - options
+          * Default country code (e.g. 'KE'), or an associative array with the following
+              properties:
+
+        - defaultCountry
+            * ISO 3166-1 alpha-2 code of the country used for numbers in national format
+
+        - mccmnc
+            * MCC/MNC code of a phone (e.g. phone.mccmnc), used to determine the default
+                country if defaultCountry is not set
+
+    Returns:
+        PhoneNumber
+ */
+PhoneNumber.parse = function(number, options)
+{
+    if (typeof number !== 'string' && typeof number !== 'number')
+    {
+        throw invalid(number, "Phone number must be a string");
+    }
+
+    var defaultCountry = getDefaultCountry(options),
+        str = String(number).trim().replace(/[\s\-\.\/\(\)]/g, '');
+
+    if (!/^\+?\d+$/.test(str))
+    {
+        throw invalid(number, "Phone number contains invalid characters: " + number);
+    }
+
+    if (str.charAt(0) == '+')
+    {
+        return parseInternational(number, str.substring(1), defaultCountry);
+    }
+
+    if (str.indexOf('00') == 0)
+    {
+        return parseInternational(number, str.substring(2), defaultCountry);
+    }
+
+    if (!defaultCountry)
+    {
+        throw invalid(number, "Phone number is not in international format, and no default country is set");
+    }
+
+    var info = COUNTRIES[defaultCountry];
+
+    if (info.callingCode == '1' && str.indexOf('011') == 0)
+    {
+        return parseInternational(number, str.substring(3), defaultCountry);
+    }
+
+    if (info.trunkPrefix && str.indexOf(info.trunkPrefix) == 0 &&
+        isValidNationalNumber(defaultCountry, str.substring(info.trunkPrefix.length)))
+    {
+        return new PhoneNumber(defaultCountry, str.substring(info.trunkPrefix.length));
+    }
+
+    if (isValidNationalNumber(defaultCountry, str))
+    {
+        return new PhoneNumber(defaultCountry, str);
+    }
+
+    // international format without the '+', e.g. 254712345678
+    if (str.length >= MIN_LENGTH)
+    {
+        try
+        {
+            var parsed = parseInternational(number, str, defaultCountry);
+            if (parsed.country)
+            {
+                return parsed;
+            }
+        }
+        catch (e)
+        {
+            // not a valid international number either
+        }
+    }
+
+    throw invalid(number, "Invalid length for phone number in " + defaultCountry);
+};
+
+/*
+    PhoneNumber.isValid(number, options)
+
+    Returns true if PhoneNumber.parse(number, options) would parse the number successfully.
+
+    Returns:
+        bool
+ */
+PhoneNumber.isValid = function(number, options)
+{
+    try
+    {
+        PhoneNumber.parse(number, options);
+        return true;
+    }
+    catch (e)
+    {
+        if (e instanceof errors.InvalidPhoneNumberError)
+        {
+            return false;
+        }
+        throw e;
+    }
+};
+
+/*
+    PhoneNumber.normalize(number, options)
+
+    Returns a phone number in E.164 format (e.g. +254712345678). Throws an
+    InvalidPhoneNumberError if the number is not valid.
+
+    Returns:
+        string
+ */
+PhoneNumber.normalize = function(number, options)
+{
+    return PhoneNumber.parse(number, options).toE164();
+};
+
+/*
+    PhoneNumber.format(number, options, style)
+
+    Returns a phone number formatted for display (see number.format). Throws an
+    InvalidPhoneNumberError if the number is not valid.
+
+    Returns:
+        string
+ */
+PhoneNumber.format = function(number, options, style)
+{
+    return PhoneNumber.parse(number, options).format(style);
+};
+
+/*
+    PhoneNumber.isShortCode(number)
+
+    Returns true if a number looks like a short code (3 to 6 digits, not starting with 0 or
+    +). Short codes are not normalized before sending messages.
+
+    Returns:
+        bool
+ */
+PhoneNumber.isShortCode = function(number)
+{
+    return /^[1-9]\d{2,5}$/.test(String(number).trim());
+};
+
+/*
+    PhoneNumber.countryFromMccmnc(mccmnc)
+
+    Returns the ISO 3166-1 alpha-2 code of the country for a MCC/MNC code (e.g. '63902'
+    returns 'KE'), or null if the country is unknown.
+
+    Returns:
+        string
+ */
+PhoneNumber.countryFromMccmnc = function(mccmnc)
+{
+    return mccmnc ? COUNTRIES_BY_MCC[String(mccmnc).substring(0, 3)] || null : null;
+};
+
+/*
+    PhoneNumber.getCountries()
+
+    Returns the ISO 3166-1 alpha-2 codes of the countries whose phone numbers can be parsed
+    in national format.
+
+    Returns:
+        array
+ */
+PhoneNumber.getCountries = function()
+{
+    return Object.keys(COUNTRIES);
+};
+
+/*
+ * Returns a copy of the request params with the phone number params in 'names'
+ * (strings or arrays of strings) normalized to E.164 according to the options of
+ * project.setPhoneNumberNormalization. Throws an InvalidPhoneNumberError (with the
+ * name of the param) if a number is invalid and options.invalid is 'reject'.
+ */
+PhoneNumber.normalizeParams = function(params, names, options)
+{
+    var result = {};
+    for (var key in params)
+    {
+        result[key] = params[key];
+    }
+
+    var normalizeValue = function(name, value) {
+        if (value == null || value === '' || PhoneNumber.isShortCode(value))
+        {
+            return value;
+        }
+
+        try
+        {
+            return PhoneNumber.normalize(value, options);
+        }
+        catch (e)
+        {
+            if (options.invalid == 'keep' && e instanceof errors.InvalidPhoneNumberError)
+            {
+                return value;
+            }
+            e.param = name;
+            throw e;
+        }
+    };
+
+    names.forEach(function(name) {
+        var value = result[name];
+        if (Array.isArray(value))
+        {
+            result[name] = value.map(function(item) {
+                return normalizeValue(name, item);
+            });
+        }
+        else
+        {
+            result[name] = normalizeValue(name, value);
+        }
+    });
+    return result;
+};
+
+module.exports = PhoneNumber;
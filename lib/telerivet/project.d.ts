@@ -0,0 +1,541 @@
+import Entity = require('./entity');
+import APICursor = require('./apicursor');
+import Query = require('./query');
+import Contact = require('./contact');
+import DataTable = require('./datatable');
+import Group = require('./group');
+import Label = require('./label');
+import Message = require('./message');
+import MobileMoneyReceipt = require('./mobilemoneyreceipt');
+import Phone = require('./phone');
+import Route = require('./route');
+import ScheduledMessage = require('./scheduledmessage');
+import Service = require('./service');
+import PhoneNumber = require('./phonenumber');
+import MessageAnalysis = require('./messageanalysis');
+import { MessagePartLimitError } from './errors';
+
+/**
+ * Represents a Telerivet project. Provides methods for sending and scheduling messages, as well as
+ * accessing, creating and updating a variety of entities, including contacts, messages, scheduled
+ * messages, groups, labels, phones, services, and data tables.
+ */
+declare class Project extends Entity {
+    /** ID of the project */
+    readonly id: string;
+    /** Name of the project */
+    name: string;
+    /**
+     * Default TZ database timezone ID; see
+     * <http://en.wikipedia.org/wiki/List_of_tz_database_time_zones>
+     */
+    readonly timezone_id: string;
+
+    /** Sends one message (SMS or USSD request). */
+    sendMessage(options: Project.SendMessageOptions): Promise<Message>;
+    sendMessage(options: Project.SendMessageOptions, callback: Entity.Callback<Message>): void;
+
+    /**
+     * Sends an SMS message (optionally with mail-merge templates) to a group or a list of up to 500
+     * phone numbers
+     */
+    sendMessages(options: Project.SendMessagesOptions): Promise<Project.SendMessagesResult>;
+    sendMessages(options: Project.SendMessagesOptions, callback: Entity.Callback<Project.SendMessagesResult>): void;
+
+    /**
+     * Sends an SMS message to a list of any number of phone numbers, by splitting the list into
+     * chunks of up to 500 phone numbers and calling sendMessages for each chunk.
+     */
+    sendBulkMessages(options: Project.SendBulkMessagesOptions, bulkOptions?: Project.BulkOptions): Promise<Project.BulkSendResult>;
+    sendBulkMessages(options: Project.SendBulkMessagesOptions, callback: Entity.Callback<Project.BulkSendResult>): void;
+    sendBulkMessages(options: Project.SendBulkMessagesOptions, bulkOptions: Project.BulkOptions | null | undefined,
+        callback: Entity.Callback<Project.BulkSendResult>): void;
+
+    /**
+     * Enables or disables normalizing phone numbers to E.164 format before sending them to the
+     * API, for sendMessage, sendMessages, sendBulkMessages, scheduleMessage and getOrCreateContact.
+     */
+    setPhoneNumberNormalization(options: Project.PhoneNumberNormalizationOptions | null): this;
+
+    /**
+     * Enables or disables checking the number of SMS parts used by the content of messages sent via
+     * sendMessage, sendMessages, sendBulkMessages and scheduleMessage, before sending them to the API.
+     */
+    setMessagePartLimit(options: Project.MessagePartLimitOptions | null): this;
+
+    /**
+     * Estimates the number of SMS parts and the cost of sending a message to a number of
+     * recipients, using the price of recent outgoing SMS messages in this project.
+     */
+    estimateMessageCost(options: MessageAnalysis.EstimateCostOptions): Promise<MessageAnalysis.CostEstimate>;
+    estimateMessageCost(options: MessageAnalysis.EstimateCostOptions, callback: Entity.Callback<MessageAnalysis.CostEstimate>): void;
+
+    /**
+     * Schedules an SMS message to a group or single contact. Note that Telerivet only sends
+     * scheduled messages approximately once per minute, so it is not possible to control the exact
+     * second at which a scheduled message is sent.
+     */
+    scheduleMessage(options: Project.ScheduleMessageOptions): Promise<ScheduledMessage>;
+    scheduleMessage(options: Project.ScheduleMessageOptions, callback: Entity.Callback<ScheduledMessage>): void;
+
+    /** Retrieves OR creates and possibly updates a contact by name or phone number. */
+    getOrCreateContact(options: Project.GetOrCreateContactOptions): Promise<Contact>;
+    getOrCreateContact(options: Project.GetOrCreateContactOptions, callback: Entity.Callback<Contact>): void;
+
+    /** Queries contacts within the given project. */
+    queryContacts(options?: Project.QueryContactsOptions | Query): APICursor<Contact>;
+
+    /** Retrieves the contact with the given ID. */
+    getContactById(id: string): Promise<Contact>;
+    getContactById(id: string, callback: Entity.Callback<Contact>): void;
+
+    /** Initializes the Telerivet contact with the given ID without making an API request. */
+    initContactById(id: string): Contact;
+
+    /** Queries phones within the given project. */
+    queryPhones(options?: Project.QueryPhonesOptions | Query): APICursor<Phone>;
+
+    /** Retrieves the phone with the given ID. */
+    getPhoneById(id: string): Promise<Phone>;
+    getPhoneById(id: string, callback: Entity.Callback<Phone>): void;
+
+    /** Initializes the phone with the given ID without making an API request. */
+    initPhoneById(id: string): Phone;
+
+    /** Queries messages within the given project. */
+    queryMessages(options?: Project.QueryMessagesOptions | Query): APICursor<Message>;
+
+    /** Retrieves the message with the given ID. */
+    getMessageById(id: string): Promise<Message>;
+    getMessageById(id: string, callback: Entity.Callback<Message>): void;
+
+    /** Initializes the Telerivet message with the given ID without making an API request. */
+    initMessageById(id: string): Message;
+
+    /** Queries groups within the given project. */
+    queryGroups(options?: Project.QueryGroupsOptions | Query): APICursor<Group>;
+
+    /** Retrieves or creates a group by name. */
+    getOrCreateGroup(name: string): Promise<Group>;
+    getOrCreateGroup(name: string, callback: Entity.Callback<Group>): void;
+
+    /** Retrieves the group with the given ID. */
+    getGroupById(id: string): Promise<Group>;
+    getGroupById(id: string, callback: Entity.Callback<Group>): void;
+
+    /** Initializes the group with the given ID without making an API request. */
+    initGroupById(id: string): Group;
+
+    /** Queries labels within the given project. */
+    queryLabels(options?: Project.QueryLabelsOptions | Query): APICursor<Label>;
+
+    /** Gets or creates a label by name. */
+    getOrCreateLabel(name: string): Promise<Label>;
+    getOrCreateLabel(name: string, callback: Entity.Callback<Label>): void;
+
+    /** Retrieves the label with the given ID. */
+    getLabelById(id: string): Promise<Label>;
+    getLabelById(id: string, callback: Entity.Callback<Label>): void;
+
+    /** Initializes the label with the given ID without making an API request. */
+    initLabelById(id: string): Label;
+
+    /** Queries data tables within the given project. */
+    queryDataTables(options?: Project.QueryDataTablesOptions | Query): APICursor<DataTable>;
+
+    /** Gets or creates a data table by name. */
+    getOrCreateDataTable(name: string): Promise<DataTable>;
+    getOrCreateDataTable(name: string, callback: Entity.Callback<DataTable>): void;
+
+    /** Retrieves the data table with the given ID. */
+    getDataTableById(id: string): Promise<DataTable>;
+    getDataTableById(id: string, callback: Entity.Callback<DataTable>): void;
+
+    /** Initializes the data table with the given ID without making an API request. */
+    initDataTableById(id: string): DataTable;
+
+    /** Queries scheduled messages within the given project. */
+    queryScheduledMessages(options?: Project.QueryScheduledMessagesOptions | Query): APICursor<ScheduledMessage>;
+
+    /** Retrieves the scheduled message with the given ID. */
+    getScheduledMessageById(id: string): Promise<ScheduledMessage>;
+    getScheduledMessageById(id: string, callback: Entity.Callback<ScheduledMessage>): void;
+
+    /** Initializes the scheduled message with the given ID without making an API request. */
+    initScheduledMessageById(id: string): ScheduledMessage;
+
+    /** Queries services within the given project. */
+    queryServices(options?: Project.QueryServicesOptions | Query): APICursor<Service>;
+
+    /** Retrieves the service with the given ID. */
+    getServiceById(id: string): Promise<Service>;
+    getServiceById(id: string, callback: Entity.Callback<Service>): void;
+
+    /** Initializes the service with the given ID without making an API request. */
+    initServiceById(id: string): Service;
+
+    /** Queries mobile money receipts within the given project. */
+    queryReceipts(options?: Project.QueryReceiptsOptions | Query): APICursor<MobileMoneyReceipt>;
+
+    /** Retrieves the mobile money receipt with the given ID. */
+    getReceiptById(id: string): Promise<MobileMoneyReceipt>;
+    getReceiptById(id: string, callback: Entity.Callback<MobileMoneyReceipt>): void;
+
+    /** Initializes the mobile money receipt with the given ID without making an API request. */
+    initReceiptById(id: string): MobileMoneyReceipt;
+
+    /** Queries custom routes that can be used to send messages (not including Phones). */
+    queryRoutes(options?: Project.QueryRoutesOptions | Query): APICursor<Route>;
+
+    /** Gets a custom route by ID */
+    getRouteById(id: string): Promise<Route>;
+    getRouteById(id: string, callback: Entity.Callback<Route>): void;
+
+    /** Initializes a custom route by ID without making an API request. */
+    initRouteById(id: string): Route;
+
+    /** Saves any fields or custom variables that have changed for the project. */
+    save(): Promise<this>;
+    save(callback: Entity.Callback<this>): void;
+}
+
+declare namespace Project {
+    interface SendMessageOptions {
+        /** Content of the message to send */
+        content?: string;
+        /** Phone number to send the message to */
+        to_number?: string;
+        /** ID of the contact to send the message to */
+        contact_id?: string;
+        /** ID of the phone or route to send the message from */
+        route_id?: string;
+        /** Webhook callback URL to be notified when message status changes */
+        status_url?: string;
+        /** POST parameter 'secret' passed to status_url */
+        status_secret?: string;
+        /**
+         * Set to true to evaluate variables like [[contact.name]] in message content. [(See
+         * available variables)](#variables)
+         */
+        is_template?: boolean;
+        /** List of IDs of labels to add to this message */
+        label_ids?: string[];
+        /** Type of message to send */
+        message_type?: 'sms' | 'ussd';
+        /** Custom variables to store with the message */
+        vars?: {[name: string]: any};
+        /**
+         * Priority of the message (currently only observed for Android phones). Telerivet will
+         * attempt to send messages with higher priority numbers first (for example, so you can
+         * prioritize an auto-reply ahead of a bulk message to a large group).
+         */
+        priority?: number;
+    }
+
+    interface SendMessagesOptions {
+        /** Content of the message to send */
+        content: string;
+        /** ID of the group to send the message to */
+        group_id?: string;
+        /** List of up to 500 phone numbers to send the message to */
+        to_numbers?: string[];
+        /** ID of the phone or route to send the message from */
+        route_id?: string;
+        /** Webhook callback URL to be notified when message status changes */
+        status_url?: string;
+        /** Array of IDs of labels to add to all messages sent (maximum 5) */
+        label_ids?: string[];
+        /** POST parameter 'secret' passed to status_url */
+        status_secret?: string;
+        exclude_contact_id?: string;
+        /**
+         * Set to true to evaluate variables like [[contact.name]] in message content [(See
+         * available variables)](#variables)
+         */
+        is_template?: boolean;
+        /** Custom variables to set for each message */
+        vars?: {[name: string]: any};
+    }
+
+    interface ScheduleMessageOptions {
+        /** Content of the message to schedule */
+        content: string;
+        /** ID of the group to send the message to */
+        group_id?: string;
+        /** Phone number to send the message to */
+        to_number?: string;
+        /** The time that the message will be sent (or first sent for recurring messages) */
+        start_time?: number | Date;
+        /** Number of seconds from now until the message is sent */
+        start_time_offset?: number;
+        /**
+         * A recurrence rule describing the how the schedule repeats, e.g. 'FREQ=MONTHLY' or
+         * 'FREQ=WEEKLY;INTERVAL=2'; see <https://tools.ietf.org/html/rfc2445#section-4.3.10>.
+         * (UNTIL is ignored; use end_time parameter instead).
+         */
+        rrule?: string;
+        /** ID of the phone or route to send the message from */
+        route_id?: string;
+        /** Type of message to send */
+        message_type?: 'sms' | 'ussd';
+        /** Set to true to evaluate variables like [[contact.name]] in message content */
+        is_template?: boolean;
+        /** Array of IDs of labels to add to the sent messages (maximum 5) */
+        label_ids?: string[];
+        /**
+         * TZ database timezone ID; see
+         * <http://en.wikipedia.org/wiki/List_of_tz_database_time_zones>
+         */
+        timezone_id?: string;
+        /**
+         * Time after which a recurring message will stop (not applicable to non-recurring scheduled
+         * messages)
+         */
+        end_time?: number | Date;
+        /** Number of seconds from now until the recurring message will stop */
+        end_time_offset?: number;
+    }
+
+    interface GetOrCreateContactOptions {
+        /** Name of the contact */
+        name?: string;
+        /** Phone number of the contact */
+        phone_number?: string;
+        /** Custom variables and values to update on the contact */
+        vars?: {[name: string]: any};
+    }
+
+    interface QueryContactsOptions {
+        /** Filter contacts by name */
+        name?: Query.Filter<string, 'ne' | 'prefix' | 'not_prefix' | 'gte' | 'gt' | 'lt' | 'lte'>;
+        /** Filter contacts by phone number */
+        phone_number?: Query.Filter<string, 'ne' | 'prefix' | 'not_prefix' | 'gte' | 'gt' | 'lt' | 'lte'>;
+        /** Filter contacts by time created */
+        time_created?: Query.Filter<number | Date, 'ne' | 'min' | 'max'>;
+        /** Filter contacts by last time a message was sent or received */
+        last_message_time?: Query.Filter<number | Date, 'exists' | 'ne' | 'min' | 'max'>;
+        /** Filter contacts by value of a custom variable (e.g. vars[email], vars[foo], etc.) */
+        vars?: {[name: string]: Query.Filter<string | number | boolean | Date, 'exists' | 'ne' | 'prefix' | 'not_prefix' | 'gte' | 'gt' | 'lt' | 'lte' | 'min' | 'max'>};
+        /** Sort the results based on a field */
+        sort?: 'default' | 'name' | 'phone_number' | 'last_message_time';
+        /** Sort the results in ascending or descending order */
+        sort_dir?: 'asc' | 'desc';
+        /** Number of results returned per page (max 200) */
+        page_size?: number;
+        /** Number of items to skip from beginning of result set */
+        offset?: number;
+    }
+
+    interface QueryPhonesOptions {
+        /** Filter phones by name */
+        name?: Query.Filter<string, 'ne' | 'prefix' | 'not_prefix' | 'gte' | 'gt' | 'lt' | 'lte'>;
+        /** Filter phones by phone number */
+        phone_number?: Query.Filter<string, 'ne' | 'prefix' | 'not_prefix' | 'gte' | 'gt' | 'lt' | 'lte'>;
+        /** Filter phones by last active time */
+        last_active_time?: Query.Filter<number | Date, 'exists' | 'ne' | 'min' | 'max'>;
+        /** Sort the results based on a field */
+        sort?: 'default' | 'name' | 'phone_number';
+        /** Sort the results in ascending or descending order */
+        sort_dir?: 'asc' | 'desc';
+        /** Number of results returned per page (max 200) */
+        page_size?: number;
+        /** Number of items to skip from beginning of result set */
+        offset?: number;
+    }
+
+    interface QueryMessagesOptions {
+        /** Filter messages by direction */
+        direction?: 'incoming' | 'outgoing';
+        /** Filter messages by message_type */
+        message_type?: 'sms' | 'mms' | 'ussd' | 'call';
+        /** Filter messages by source */
+        source?: 'phone' | 'provider' | 'web' | 'api' | 'service' | 'webhook' | 'scheduled';
+        /** Filter messages by starred/unstarred */
+        starred?: boolean;
+        /** Filter messages by status */
+        status?: 'ignored' | 'processing' | 'received' | 'sent' | 'queued' | 'failed' | 'failed_queued' | 'cancelled' | 'delivered' | 'not_delivered';
+        /**
+         * min: Filter messages created on or after a particular time; max: Filter messages created
+         * before a particular time
+         */
+        time_created?: {min?: number | Date; max?: number | Date;};
+        /** ID of the contact who sent/received the message */
+        contact_id?: string;
+        /** ID of the phone that sent/received the message */
+        phone_id?: string;
+        /** Sort the results based on a field */
+        sort?: 'default';
+        /** Sort the results in ascending or descending order */
+        sort_dir?: 'asc' | 'desc';
+        /** Number of results returned per page (max 200) */
+        page_size?: number;
+        /** Number of items to skip from beginning of result set */
+        offset?: number;
+    }
+
+    interface QueryGroupsOptions {
+        /** Filter groups by name */
+        name?: Query.Filter<string, 'ne' | 'prefix' | 'not_prefix' | 'gte' | 'gt' | 'lt' | 'lte'>;
+        /** Sort the results based on a field */
+        sort?: 'default' | 'name';
+        /** Sort the results in ascending or descending order */
+        sort_dir?: 'asc' | 'desc';
+        /** Number of results returned per page (max 200) */
+        page_size?: number;
+        /** Number of items to skip from beginning of result set */
+        offset?: number;
+    }
+
+    interface QueryLabelsOptions {
+        /** Filter labels by name */
+        name?: Query.Filter<string, 'ne' | 'prefix' | 'not_prefix' | 'gte' | 'gt' | 'lt' | 'lte'>;
+        /** Sort the results based on a field */
+        sort?: 'default' | 'name';
+        /** Sort the results in ascending or descending order */
+        sort_dir?: 'asc' | 'desc';
+        /** Number of results returned per page (max 200) */
+        page_size?: number;
+        /** Number of items to skip from beginning of result set */
+        offset?: number;
+    }
+
+    interface QueryDataTablesOptions {
+        /** Filter data tables by name */
+        name?: Query.Filter<string, 'ne' | 'prefix' | 'not_prefix' | 'gte' | 'gt' | 'lt' | 'lte'>;
+        /** Sort the results based on a field */
+        sort?: 'default' | 'name';
+        /** Sort the results in ascending or descending order */
+        sort_dir?: 'asc' | 'desc';
+        /** Number of results returned per page (max 200) */
+        page_size?: number;
+        /** Number of items to skip from beginning of result set */
+        offset?: number;
+    }
+
+    interface QueryScheduledMessagesOptions {
+        /** Filter scheduled messages by message_type */
+        message_type?: 'sms' | 'mms' | 'ussd' | 'call';
+        /** Filter scheduled messages by time_created */
+        time_created?: Query.Filter<number | Date, 'ne' | 'min' | 'max'>;
+        /** Filter scheduled messages by next_time */
+        next_time?: Query.Filter<number | Date, 'exists' | 'ne' | 'min' | 'max'>;
+        /** Sort the results based on a field */
+        sort?: 'default' | 'name';
+        /** Sort the results in ascending or descending order */
+        sort_dir?: 'asc' | 'desc';
+        /** Number of results returned per page (max 200) */
+        page_size?: number;
+        /** Number of items to skip from beginning of result set */
+        offset?: number;
+    }
+
+    interface QueryServicesOptions {
+        /** Filter services by name */
+        name?: Query.Filter<string, 'ne' | 'prefix' | 'not_prefix' | 'gte' | 'gt' | 'lt' | 'lte'>;
+        /** Filter services by active/inactive state */
+        active?: boolean;
+        /** Filter services that can be invoked in a particular context */
+        context?: 'message' | 'contact' | 'project' | 'receipt';
+        /** Sort the results based on a field */
+        sort?: 'default' | 'priority' | 'name';
+        /** Sort the results in ascending or descending order */
+        sort_dir?: 'asc' | 'desc';
+        /** Number of results returned per page (max 200) */
+        page_size?: number;
+        /** Number of items to skip from beginning of result set */
+        offset?: number;
+    }
+
+    interface QueryReceiptsOptions {
+        /** Filter receipts by transaction ID */
+        tx_id?: string;
+        /** Filter receipts by transaction type */
+        tx_type?: 'receive_money' | 'send_money' | 'pay_bill' | 'deposit' | 'withdrawal' | 'airtime_purchase' | 'balance_inquiry' | 'reversal';
+        /** Filter receipts by transaction time */
+        tx_time?: Query.Filter<number | Date, 'ne' | 'min' | 'max'>;
+        /** Filter receipts by other person's name */
+        name?: Query.Filter<string, 'ne' | 'prefix' | 'not_prefix' | 'gte' | 'gt' | 'lt' | 'lte'>;
+        /** Filter receipts by other person's phone number */
+        phone_number?: Query.Filter<string, 'ne' | 'prefix' | 'not_prefix' | 'gte' | 'gt' | 'lt' | 'lte'>;
+        /** Sort the results based on a field */
+        sort?: 'default';
+        /** Sort the results in ascending or descending order */
+        sort_dir?: 'asc' | 'desc';
+        /** Number of results returned per page (max 200) */
+        page_size?: number;
+        /** Number of items to skip from beginning of result set */
+        offset?: number;
+    }
+
+    interface QueryRoutesOptions {
+        /** Filter routes by name */
+        name?: Query.Filter<string, 'ne' | 'prefix' | 'not_prefix' | 'gte' | 'gt' | 'lt' | 'lte'>;
+        /** Sort the results based on a field */
+        sort?: 'default' | 'name';
+        /** Sort the results in ascending or descending order */
+        sort_dir?: 'asc' | 'desc';
+        /** Number of results returned per page (max 200) */
+        page_size?: number;
+        /** Number of items to skip from beginning of result set */
+        offset?: number;
+    }
+
+    interface SendMessagesResult {
+        /** Number of messages queued to send */
+        count_queued: number;
+    }
+
+    interface PhoneNumberNormalizationOptions extends PhoneNumber.ParseOptions {
+        /** What to do if a phone number is invalid (default: reject) */
+        invalid?: 'reject' | 'keep';
+    }
+
+    interface MessagePartLimitOptions {
+        /** Maximum number of SMS parts allowed for each message */
+        maxParts: number;
+        /** What to do if a message has more parts than maxParts (default: reject) */
+        action?: 'reject' | 'warn';
+        /** Called with a MessagePartLimitError if action is 'warn' (default: process.emitWarning) */
+        onWarning?: (err: MessagePartLimitError) => void;
+    }
+
+    interface SendBulkMessagesOptions extends Pick<SendMessagesOptions, Exclude<keyof SendMessagesOptions,
+            'group_id' | 'exclude_contact_id' | 'to_numbers'>> {
+        /** List of phone numbers to send the message to */
+        to_numbers: string[];
+    }
+
+    interface BulkOptions {
+        /** Maximum number of phone numbers in each chunk (max 500, default 500) */
+        chunkSize?: number;
+        /** Maximum number of chunks sent at the same time (default 2) */
+        concurrency?: number;
+        /** Called after each chunk has been sent or has failed; if it throws, no further chunks are sent */
+        onProgress?: (progress: BulkSendProgress) => void;
+    }
+
+    interface BulkSendProgress {
+        numChunks: number;
+        numCompleted: number;
+        numFailed: number;
+        numQueued: number;
+    }
+
+    interface BulkSendResult {
+        /** Number of chunks the phone numbers were split into */
+        numChunks: number;
+        /** Total number of messages queued to send */
+        numQueued: number;
+        /** Result of sendMessages for each chunk, in order (null for chunks that failed or were not sent) */
+        results: (SendMessagesResult | null)[];
+        /**
+         * Chunks that could not be sent, including chunks that were not sent because onProgress threw an
+         * error
+         */
+        failedChunks: {index: number, toNumbers: string[], error: Error}[];
+        /** All phone numbers in failed chunks */
+        failedNumbers: string[];
+    }
+}
+
+export = Project;
@@ -28,7 +28,10 @@
  */ 
  
 var util = require('./util'),
-    Entity = require('./entity');
+    Entity = require('./entity'),
+    errors = require('./errors'),
+    PhoneNumber = require('./phonenumber'),
+    MessageAnalysis = require('./messageanalysis');
  
 var Project = util.makeClass('Project', Entity);
 
@@ -86,11 +89,11 @@ var Project = util.makeClass('Project', Entity);
             * Default: 1
       
       - callback : function(err, message)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 Project.prototype.sendMessage = function(options, callback)
 {
-    this.api.doRequest("POST", this.getBaseApiPath() + "/messages/send", options, this.api.wrapCallback(require('./message'), callback));
+    return this._requestWithChecks("POST", this.getBaseApiPath() + "/messages/send", options, {phoneNumbers: ['to_number'], messageParts: true}, this.api.wrapCallback(require('./message'), callback));
 };
 
 /**
@@ -141,11 +144,255 @@ Project.prototype.sendMessage = function(options, callback)
             * Custom variables to set for each message
       
       - callback : function(err, res)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 Project.prototype.sendMessages = function(options, callback)
 {
-    this.api.doRequest("POST", this.getBaseApiPath() + "/messages/send_batch", options, callback);
+    return this._requestWithChecks("POST", this.getBaseApiPath() + "/messages/send_batch", options, {phoneNumbers: ['to_numbers'], messageParts: true}, callback);
+};
+
+/**
+    project.sendBulkMessages(options, bulkOptions, callback)
+    
+    Sends an SMS message to a list of any number of phone numbers, by splitting the list into
+    chunks of up to 500 phone numbers and calling sendMessages for each chunk.
+    
+    Chunks are sent concurrently, up to bulkOptions.concurrency at a time. If some chunks
+    fail, the others are still sent, and the result contains the failed chunks and their phone
+    numbers so that sending to them can be retried.
+    
+    Arguments:
+      - options (associative array)
+          * Required
+        
+        - to_numbers (array of strings)
+            * List of phone numbers to send the message to
+            * Required
+        
+        - (other options)
+            * Any options of sendMessages other than group_id and exclude_contact_id, e.g.
+                content, route_id, is_template and vars
+      
+      - bulkOptions (associative array)
+        
+        - chunkSize (int)
+            * Maximum number of phone numbers in each chunk (max 500)
+            * Default: 500
+        
+        - concurrency (int)
+            * Maximum number of chunks sent at the same time
+            * Default: 2
+        
+        - onProgress : function(progress)
+            * Called after each chunk has been sent or has failed, with an associative array
+                with the properties numChunks, numCompleted, numFailed and numQueued
+            * If it throws an error, no further chunks are sent, and the error is passed to
+                the callback (with the result as err.bulkResult, where the chunks that were not
+                sent are included in failedChunks and failedNumbers)
+      
+      - callback : function(err, result)
+          * Optional (a Promise is returned if omitted)
+          * result is an associative array with the properties numChunks, numQueued, results,
+              failedChunks (each with the properties index, toNumbers and error) and
+              failedNumbers; see lib/telerivet/bulksend.js
+    */
+Project.prototype.sendBulkMessages = function(options, bulkOptions, callback)
+{
+    if (typeof bulkOptions === 'function')
+    {
+        callback = bulkOptions;
+        bulkOptions = null;
+    }
+    
+    var sendBulkMessages = require('./bulksend');
+    return sendBulkMessages(this, options, bulkOptions || {}, callback);
+};
+
+/**
+    project.setPhoneNumberNormalization(options)
+    
+    Enables or disables normalizing phone numbers to E.164 format (e.g. +254712345678) before
+    sending them to the API, for the to_number and to_numbers options of sendMessage,
+    sendMessages, sendBulkMessages and scheduleMessage, and the phone_number option of
+    getOrCreateContact. Phone numbers in national format are parsed using the default country;
+    short codes are not changed. See lib/telerivet/phonenumber.js.
+    
+    Normalization only applies to this Project object (not to other objects for the same
+    project returned by initProjectById or getProjectById).
+    
+    Arguments:
+      - options (associative array)
+          * Set to null to disable phone number normalization
+        
+        - defaultCountry
+            * ISO 3166-1 alpha-2 code of the country used for phone numbers in national format
+                (e.g. KE)
+        
+        - mccmnc
+            * MCC/MNC code of a phone (e.g. phone.mccmnc), used to determine the default country
+                if defaultCountry is not set
+        
+        - invalid
+            * What to do if a phone number is invalid: 'reject' fails the request with an
+                InvalidPhoneNumberError without sending it; 'keep' sends the phone number
+                unchanged
+            * Allowed values: reject, keep
+            * Default: reject
+    
+    Returns:
+        Project
+    */
+Project.prototype.setPhoneNumberNormalization = function(options)
+{
+    this.phoneNumberOptions = options || null;
+    return this;
+};
+
+/**
+    project.setMessagePartLimit(options)
+    
+    Enables or disables checking the number of SMS parts used by the content of messages sent
+    via sendMessage, sendMessages, sendBulkMessages and scheduleMessage, before sending them to
+    the API. The number of parts is estimated with telerivet.MessageAnalysis (see
+    lib/telerivet/messageanalysis.js). Messages with a message_type other than sms are not
+    checked.
+    
+    Like setPhoneNumberNormalization, the limit only applies to this Project object.
+    
+    Arguments:
+      - options (associative array)
+          * Set to null to disable checking the number of SMS parts
+        
+        - maxParts (int)
+            * Maximum number of SMS parts allowed for each message
+            * Required
+        
+        - action
+            * What to do if a message has more parts than maxParts: 'reject' fails the request
+                with a MessagePartLimitError without sending it; 'warn' sends the message after
+                passing a MessagePartLimitError to onWarning
+            * Allowed values: reject, warn
+            * Default: reject
+        
+        - onWarning : function(err)
+            * Called with a MessagePartLimitError if action is 'warn'
+            * Default: the error is emitted as a process warning (process.emitWarning)
+    
+    Returns:
+        Project
+    */
+Project.prototype.setMessagePartLimit = function(options)
+{
+    this.messagePartLimit = options || null;
+    return this;
+};
+
+/**
+    project.estimateMessageCost(options, callback)
+    
+    Estimates the number of SMS parts and the cost of sending a message to a number of
+    recipients, using the price of recent outgoing SMS messages in this project.
+    
+    Arguments:
+      - options (associative array)
+          * Required
+        
+        - content (string)
+            * Content of the message to send
+            * Required
+        
+        - numRecipients (int)
+            * Number of recipients of the message
+            * Default: 1
+        
+        - phone_id
+            * Only use the price of recent messages sent from this phone or route
+        
+        - sampleSize (int)
+            * Maximum number of recent outgoing SMS messages to retrieve
+            * Default: 100
+      
+      - callback : function(err, estimate)
+          * Optional (a Promise is returned if omitted)
+          * estimate is an associative array with the properties numParts, numRecipients,
+              totalParts, pricePerPart, currency, estimatedCost, sampleSize and analysis; see
+              lib/telerivet/messageanalysis.js
+    */
+Project.prototype.estimateMessageCost = function(options, callback)
+{
+    return MessageAnalysis.estimateCost(this, options, callback);
+};
+
+/*
+ * Sends a request after checking its params according to the options of this
+ * project: normalizes the phone number params in checks.phoneNumbers (see
+ * setPhoneNumberNormalization), and checks the number of SMS parts of the content
+ * if checks.messageParts is true (see setMessagePartLimit). If a check fails, the
+ * error is passed to the callback without sending the request.
+ */
+Project.prototype._requestWithChecks = function(method, path, params, checks, callback)
+{
+    try
+    {
+        if (this.phoneNumberOptions && params)
+        {
+            params = PhoneNumber.normalizeParams(params, checks.phoneNumbers, this.phoneNumberOptions);
+        }
+        if (checks.messageParts)
+        {
+            this._checkMessageParts(params);
+        }
+    }
+    catch (e)
+    {
+        callback = util.promiseCallback(callback);
+        process.nextTick(function() {
+            callback(e);
+        });
+        return callback.promise;
+    }
+    return this.api.doRequest(method, path, params, callback);
+};
+
+/*
+ * Throws a MessagePartLimitError (or passes it to the onWarning function) if the
+ * content of an SMS message has more parts than allowed by setMessagePartLimit.
+ */
+Project.prototype._checkMessageParts = function(params)
+{
+    var limit = this.messagePartLimit;
+    if (!limit || !params || typeof params.content !== 'string' ||
+        (params.message_type && params.message_type != 'sms'))
+    {
+        return;
+    }
+    
+    var analysis = MessageAnalysis.analyze(params.content);
+    if (analysis.numParts <= limit.maxParts)
+    {
+        return;
+    }
+    
+    var err = new errors.MessagePartLimitError("Message content uses " + analysis.numParts +
+        " SMS parts (maximum " + limit.maxParts + ")", {
+            param: 'content',
+            numParts: analysis.numParts,
+            maxParts: limit.maxParts,
+            analysis: analysis
+        });
+    
+    if (limit.action != 'warn')
+    {
+        throw err;
+    }
+    else if (limit.onWarning)
+    {
+        limit.onWarning(err);
+    }
+    else
+    {
+        process.emitWarning(err);
+    }
 };
 
 /**
@@ -214,11 +461,11 @@ Project.prototype.sendMessages = function(options, callback)
             * Number of seconds from now until the recurring message will stop
       
       - callback : function(err, scheduled_msg)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 Project.prototype.scheduleMessage = function(options, callback)
 {
-    this.api.doRequest("POST", this.getBaseApiPath() + "/scheduled", options, this.api.wrapCallback(require('./scheduledmessage'), callback));
+    return this._requestWithChecks("POST", this.getBaseApiPath() + "/scheduled", options, {phoneNumbers: ['to_number'], messageParts: true}, this.api.wrapCallback(require('./scheduledmessage'), callback));
 };
 
 /**
@@ -254,11 +501,11 @@ Project.prototype.scheduleMessage = function(options, callback)
             * Custom variables and values to update on the contact
       
       - callback : function(err, contact)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 Project.prototype.getOrCreateContact = function(options, callback)
 {
-    this.api.doRequest("POST", this.getBaseApiPath() + "/contacts", options, this.api.wrapCallback(require('./contact'), callback));
+    return this._requestWithChecks("POST", this.getBaseApiPath() + "/contacts", options, {phoneNumbers: ['phone_number']}, this.api.wrapCallback(require('./contact'), callback));
 };
 
 /**
@@ -332,11 +579,11 @@ Project.prototype.queryContacts = function(options)
           * Required
       
       - callback : function(err, contact)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 Project.prototype.getContactById = function(id, callback)
 {
-    this.api.doRequest("GET", this.getBaseApiPath() + "/contacts/" + id, null, this.api.wrapCallback(require('./contact'), callback));
+    return this.api.doRequest("GET", this.getBaseApiPath() + "/contacts/" + id, null, this.api.wrapCallback(require('./contact'), callback));
 };
 
 /**
@@ -419,11 +666,11 @@ Project.prototype.queryPhones = function(options)
           * Required
       
       - callback : function(err, phone)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 Project.prototype.getPhoneById = function(id, callback)
 {
-    this.api.doRequest("GET", this.getBaseApiPath() + "/phones/" + id, null, this.api.wrapCallback(require('./phone'), callback));
+    return this.api.doRequest("GET", this.getBaseApiPath() + "/phones/" + id, null, this.api.wrapCallback(require('./phone'), callback));
 };
 
 /**
@@ -522,11 +769,11 @@ Project.prototype.queryMessages = function(options)
           * Required
       
       - callback : function(err, message)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 Project.prototype.getMessageById = function(id, callback)
 {
-    this.api.doRequest("GET", this.getBaseApiPath() + "/messages/" + id, null, this.api.wrapCallback(require('./message'), callback));
+    return this.api.doRequest("GET", this.getBaseApiPath() + "/messages/" + id, null, this.api.wrapCallback(require('./message'), callback));
 };
 
 /**
@@ -598,11 +845,11 @@ Project.prototype.queryGroups = function(options)
           * Required
       
       - callback : function(err, group)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 Project.prototype.getOrCreateGroup = function(name, callback)
 {
-    this.api.doRequest("POST", this.getBaseApiPath() + "/groups", {'name': name}, this.api.wrapCallback(require('./group'), callback));
+    return this.api.doRequest("POST", this.getBaseApiPath() + "/groups", {'name': name}, this.api.wrapCallback(require('./group'), callback));
 };
 
 /**
@@ -616,11 +863,11 @@ Project.prototype.getOrCreateGroup = function(name, callback)
           * Required
       
       - callback : function(err, group)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 Project.prototype.getGroupById = function(id, callback)
 {
-    this.api.doRequest("GET", this.getBaseApiPath() + "/groups/" + id, null, this.api.wrapCallback(require('./group'), callback));
+    return this.api.doRequest("GET", this.getBaseApiPath() + "/groups/" + id, null, this.api.wrapCallback(require('./group'), callback));
 };
 
 /**
@@ -692,11 +939,11 @@ Project.prototype.queryLabels = function(options)
           * Required
       
       - callback : function(err, label)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 Project.prototype.getOrCreateLabel = function(name, callback)
 {
-    this.api.doRequest("POST", this.getBaseApiPath() + "/labels", {'name': name}, this.api.wrapCallback(require('./label'), callback));
+    return this.api.doRequest("POST", this.getBaseApiPath() + "/labels", {'name': name}, this.api.wrapCallback(require('./label'), callback));
 };
 
 /**
@@ -710,11 +957,11 @@ Project.prototype.getOrCreateLabel = function(name, callback)
           * Required
       
       - callback : function(err, label)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 Project.prototype.getLabelById = function(id, callback)
 {
-    this.api.doRequest("GET", this.getBaseApiPath() + "/labels/" + id, null, this.api.wrapCallback(require('./label'), callback));
+    return this.api.doRequest("GET", this.getBaseApiPath() + "/labels/" + id, null, this.api.wrapCallback(require('./label'), callback));
 };
 
 /**
@@ -786,11 +1033,11 @@ Project.prototype.queryDataTables = function(options)
           * Required
       
       - callback : function(err, table)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 Project.prototype.getOrCreateDataTable = function(name, callback)
 {
-    this.api.doRequest("POST", this.getBaseApiPath() + "/tables", {'name': name}, this.api.wrapCallback(require('./datatable'), callback));
+    return this.api.doRequest("POST", this.getBaseApiPath() + "/tables", {'name': name}, this.api.wrapCallback(require('./datatable'), callback));
 };
 
 /**
@@ -804,11 +1051,11 @@ Project.prototype.getOrCreateDataTable = function(name, callback)
           * Required
       
       - callback : function(err, table)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 Project.prototype.getDataTableById = function(id, callback)
 {
-    this.api.doRequest("GET", this.getBaseApiPath() + "/tables/" + id, null, this.api.wrapCallback(require('./datatable'), callback));
+    return this.api.doRequest("GET", this.getBaseApiPath() + "/tables/" + id, null, this.api.wrapCallback(require('./datatable'), callback));
 };
 
 /**
@@ -888,11 +1135,11 @@ Project.prototype.queryScheduledMessages = function(options)
           * Required
       
       - callback : function(err, scheduled_msg)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 Project.prototype.getScheduledMessageById = function(id, callback)
 {
-    this.api.doRequest("GET", this.getBaseApiPath() + "/scheduled/" + id, null, this.api.wrapCallback(require('./scheduledmessage'), callback));
+    return this.api.doRequest("GET", this.getBaseApiPath() + "/scheduled/" + id, null, this.api.wrapCallback(require('./scheduledmessage'), callback));
 };
 
 /**
@@ -971,11 +1218,11 @@ Project.prototype.queryServices = function(options)
           * Required
       
       - callback : function(err, service)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 Project.prototype.getServiceById = function(id, callback)
 {
-    this.api.doRequest("GET", this.getBaseApiPath() + "/services/" + id, null, this.api.wrapCallback(require('./service'), callback));
+    return this.api.doRequest("GET", this.getBaseApiPath() + "/services/" + id, null, this.api.wrapCallback(require('./service'), callback));
 };
 
 /**
@@ -1065,11 +1312,11 @@ Project.prototype.queryReceipts = function(options)
           * Required
       
       - callback : function(err, receipt)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 Project.prototype.getReceiptById = function(id, callback)
 {
-    this.api.doRequest("GET", this.getBaseApiPath() + "/receipts/" + id, null, this.api.wrapCallback(require('./mobilemoneyreceipt'), callback));
+    return this.api.doRequest("GET", this.getBaseApiPath() + "/receipts/" + id, null, this.api.wrapCallback(require('./mobilemoneyreceipt'), callback));
 };
 
 /**
@@ -1141,11 +1388,11 @@ Project.prototype.queryRoutes = function(options)
           * Required
       
       - callback : function(err, route)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 Project.prototype.getRouteById = function(id, callback)
 {
-    this.api.doRequest("GET", this.getBaseApiPath() + "/routes/" + id, null, this.api.wrapCallback(require('./route'), callback));
+    return this.api.doRequest("GET", this.getBaseApiPath() + "/routes/" + id, null, this.api.wrapCallback(require('./route'), callback));
 };
 
 /**
@@ -1173,30 +1420,37 @@ Project.prototype.initRouteById = function(id)
     Saves any fields or custom variables that have changed for the project.
     
       - callback : function(err)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 Project.prototype.save = function(callback)
 {
-    Entity.prototype.save.call(this, callback);
+    return Entity.prototype.save.call(this, callback);
 };
 
-Object.defineProperty(Project.prototype, 'id', {
-    enumerable: true,
-    get: function() { return this.get('id'); },
-    set: function(value) { throw new Error('id is not writable'); }
-});    
-
-Object.defineProperty(Project.prototype, 'name', {
-    enumerable: true,
-    get: function() { return this.get('name'); },
-    set: function(value) { this.set('name', value); }
-});    
-
-Object.defineProperty(Project.prototype, 'timezone_id', {
-    enumerable: true,
-    get: function() { return this.get('timezone_id'); },
-    set: function(value) { throw new Error('timezone_id is not writable'); }
-});    
+Entity.defineFields(Project, {
+    id: {
+        type: 'string',
+        maxLength: 34,
+        updatable: false,
+        description: "ID of the project"
+    },
+    name: {
+        type: 'string',
+        updatable: true,
+        description: "Name of the project"
+    },
+    timezone_id: {
+        type: 'string',
+        updatable: false,
+        description: "Default TZ database timezone ID; see " +
+            "<http://en.wikipedia.org/wiki/List_of_tz_database_time_zones>"
+    },
+    vars: {
+        type: 'object',
+        updatable: true,
+        description: "Custom variables stored for this project"
+    }
+});
 
 Project.prototype.getBaseApiPath = function()
 {
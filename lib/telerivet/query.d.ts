@@ -0,0 +1,58 @@
+/**
+ * A builder for the options of query methods (e.g. project.queryContacts), which checks that
+ * filters and sort values are supported by the query before sending it to the API.
+ */
+declare class Query {
+    constructor(itemClass: string);
+
+    /** Class name of the entities being queried, e.g. 'Contact' */
+    itemClass: string;
+    options: {[name: string]: any};
+
+    /** Filters results by a field, either by value or using modifiers, e.g. {min: date1, max: date2}. */
+    where(field: string, value: any): this;
+    /** Filters results by a field using a modifier such as 'prefix' or 'min'. */
+    where(field: string, modifier: Query.Modifier, value: any): this;
+
+    /** Filters results by the value of a custom variable. */
+    whereVar(name: string, value: any): this;
+    whereVar(name: string, modifier: Query.Modifier, value: any): this;
+
+    /** Sorts the results by a field, in ascending (the default) or descending order. */
+    sortBy(field: string, dir?: 'asc' | 'desc'): this;
+
+    /** Sets the number of results returned per page (max 200). */
+    pageSize(pageSize: number): this;
+
+    /** Sets the number of items to skip from beginning of result set. */
+    offset(offset: number): this;
+
+    /** Returns the query options, which can be passed to a query method. */
+    build(): {[name: string]: any};
+
+    static projects(): Query;
+    static contacts(): Query;
+    static phones(): Query;
+    static messages(): Query;
+    static groups(): Query;
+    static labels(): Query;
+    static dataTables(): Query;
+    static rows(): Query;
+    static scheduledMessages(): Query;
+    static services(): Query;
+    static receipts(): Query;
+    static routes(): Query;
+    static contactStates(): Query;
+}
+
+declare namespace Query {
+    type Modifier = 'exists' | 'ne' | 'prefix' | 'not_prefix' | 'gte' | 'gt' | 'lt' | 'lte' | 'min' | 'max';
+
+    /**
+     * Value of a filter option of a query method: either a value the field must equal, or an
+     * object of modifiers, e.g. {prefix: 'John'} or {min: 1500000000}.
+     */
+    type Filter<T, M extends Modifier> = T | {[K in M]?: K extends 'exists' ? boolean : T};
+}
+
+export = Query;
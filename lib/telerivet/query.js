@@ -0,0 +1,448 @@
+var util = require('./util'),
+    errors = require('./errors');
+
+var STRING_MODIFIERS = ['ne', 'prefix', 'not_prefix', 'gte', 'gt', 'lt', 'lte'],
+    VARS_MODIFIERS = ['exists', 'ne', 'prefix', 'not_prefix', 'gte', 'gt', 'lt', 'lte', 'min', 'max'];
+
+var MESSAGE_TYPES = ['sms', 'mms', 'ussd', 'call'];
+
+var MAX_PAGE_SIZE = 200;
+
+function stringField(modifiers)
+{
+    return {type: 'string', modifiers: modifiers || STRING_MODIFIERS};
+}
+
+function timestampField(modifiers, noEquals)
+{
+    return {type: 'timestamp', modifiers: modifiers, noEquals: !!noEquals};
+}
+
+function enumField(values)
+{
+    return {type: 'enum', values: values, modifiers: []};
+}
+
+function boolField()
+{
+    return {type: 'bool', modifiers: []};
+}
+
+function idField()
+{
+    return {type: 'string', modifiers: []};
+}
+
+var NAME_ONLY = {
+    fields: {name: stringField()},
+    sort: ['default', 'name']
+};
+
+var MESSAGE_QUERY = {
+    fields: {
+        direction: enumField(['incoming', 'outgoing']),
+        message_type: enumField(MESSAGE_TYPES),
+        source: enumField(['phone', 'provider', 'web', 'api', 'service', 'webhook', 'scheduled']),
+        starred: boolField(),
+        status: enumField(['ignored', 'processing', 'received', 'sent', 'queued', 'failed',
+            'failed_queued', 'cancelled', 'delivered', 'not_delivered']),
+        time_created: timestampField(['min', 'max'], true),
+        contact_id: idField(),
+        phone_id: idField()
+    },
+    sort: ['default']
+};
+
+// filters and sort values supported by the query methods returning each class of entity,
+// as documented for those methods (e.g. project.queryContacts)
+var QUERY_SCHEMAS = {
+    Project: NAME_ONLY,
+    Contact: {
+        fields: {
+            name: stringField(),
+            phone_number: stringField(),
+            time_created: timestampField(['ne', 'min', 'max']),
+            last_message_time: timestampField(['exists', 'ne', 'min', 'max']),
+            vars: {type: 'vars'}
+        },
+        sort: ['default', 'name', 'phone_number', 'last_message_time']
+    },
+    Phone: {
+        fields: {
+            name: stringField(),
+            phone_number: stringField(),
+            last_active_time: timestampField(['exists', 'ne', 'min', 'max'])
+        },
+        sort: ['default', 'name', 'phone_number']
+    },
+    Message: MESSAGE_QUERY,
+    Group: NAME_ONLY,
+    Label: NAME_ONLY,
+    DataTable: NAME_ONLY,
+    Route: NAME_ONLY,
+    DataRow: {
+        fields: {
+            time_created: timestampField(['ne', 'min', 'max']),
+            vars: {type: 'vars'}
+        },
+        sort: ['default']
+    },
+    ScheduledMessage: {
+        fields: {
+            message_type: enumField(MESSAGE_TYPES),
+            time_created: timestampField(['ne', 'min', 'max']),
+            next_time: timestampField(['exists', 'ne', 'min', 'max'])
+        },
+        sort: ['default', 'name']
+    },
+    Service: {
+        fields: {
+            name: stringField(),
+            active: boolField(),
+            context: enumField(['message', 'contact', 'project', 'receipt'])
+        },
+        sort: ['default', 'priority', 'name']
+    },
+    MobileMoneyReceipt: {
+        fields: {
+            tx_id: idField(),
+            tx_type: enumField(['receive_money', 'send_money', 'pay_bill', 'deposit', 'withdrawal',
+                'airtime_purchase', 'balance_inquiry', 'reversal']),
+            tx_time: timestampField(['ne', 'min', 'max']),
+            name: stringField(),
+            phone_number: stringField()
+        },
+        sort: ['default']
+    },
+    ContactServiceState: {
+        fields: {
+            id: stringField(),
+            vars: {type: 'vars'}
+        },
+        sort: ['default']
+    }
+};
+
+function invalid(param, message)
+{
+    return new errors.InvalidQueryError(message, {param: param});
+}
+
+function isPlainObject(value)
+{
+    return value !== null && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value);
+}
+
+/*
+ * Validates a filter value for a field with the given type, and returns the
+ * value to send to the API (converting Date objects to UNIX timestamps).
+ */
+function convertValue(param, field, modifier, value)
+{
+    if (modifier == 'exists')
+    {
+        if (typeof value !== 'boolean')
+        {
+            throw invalid(param, param + " must be true or false");
+        }
+        return value;
+    }
+
+    switch (field.type)
+    {
+        case 'timestamp':
+            if (value instanceof Date)
+            {
+                if (isNaN(value.getTime()))
+                {
+                    throw invalid(param, param + " is an invalid Date");
+                }
+                return util.dateToTimestamp(value);
+            }
+            if (typeof value !== 'number' || !isFinite(value))
+            {
+                throw invalid(param, param + " must be a Date or UNIX timestamp");
+            }
+            return value;
+        case 'string':
+            if (typeof value !== 'string' && typeof value !== 'number')
+            {
+                throw invalid(param, param + " must be a string");
+            }
+            return value;
+        case 'enum':
+            if (field.values.indexOf(value) == -1)
+            {
+                throw invalid(param, param + " must be one of: " + field.values.join(', '));
+            }
+            return value;
+        case 'bool':
+            if (typeof value !== 'boolean')
+            {
+                throw invalid(param, param + " must be true or false");
+            }
+            return value;
+        case 'vars':
+            if (value instanceof Date)
+            {
+                return util.dateToTimestamp(value);
+            }
+            if (value === null || typeof value === 'object')
+            {
+                throw invalid(param, param + " must be a string, number or boolean");
+            }
+            return value;
+    }
+    return value;
+}
+
+/*
+    Query
+
+    A builder for the options of query methods (e.g. project.queryContacts), which checks
+    that filters and sort values are supported by the query before sending it to the API.
+
+    Queries are created with a factory function for the type of entity being queried:
+
+        var query = telerivet.Query.contacts()
+            .where('name', 'prefix', 'John')
+            .where('last_message_time', 'min', new Date('2024-01-01'))
+            .whereVar('age', 'gte', 18)
+            .sortBy('name', 'desc');
+
+        var cursor = project.queryContacts(query);
+
+    Invalid filters (e.g. an unknown field, an unsupported modifier, a value of the wrong
+    type, or a value not in the allowed values for the field) throw an InvalidQueryError
+    immediately. Timestamp fields accept Date objects as well as UNIX timestamps.
+
+    Factory functions: Query.projects(), Query.contacts(), Query.phones(), Query.messages(),
+    Query.groups(), Query.labels(), Query.dataTables(), Query.rows(), Query.scheduledMessages(),
+    Query.services(), Query.receipts(), Query.routes(), Query.contactStates()
+*/
+function Query(itemClass)
+{
+    if (!QUERY_SCHEMAS[itemClass])
+    {
+        throw new Error("No query schema for " + itemClass);
+    }
+
+    this.itemClass = itemClass;
+    this.schema = QUERY_SCHEMAS[itemClass];
+    this.options = {};
+}
+
+Query.prototype = {
+
+    /*
+        query.where(field, value)
+        query.where(field, modifier, value)
+        query.where(field, modifiers)
+
+        Filters results by a field, either by value, or using a modifier such as 'prefix'
+        or 'min'. Modifiers may also be passed as an object, e.g. {min: date1, max: date2}.
+
+        Returns:
+            Query
+     */
+    where: function(field, modifier, value)
+    {
+        if (arguments.length == 2)
+        {
+            value = modifier;
+            modifier = null;
+        }
+
+        if (field == 'vars')
+        {
+            throw invalid(field, "Use whereVar() to filter by custom variables");
+        }
+
+        var fieldSchema = this.schema.fields[field];
+        if (!fieldSchema)
+        {
+            throw invalid(field, "Cannot filter " + this.itemClass + " query by " + field +
+                " (allowed fields: " + Object.keys(this.schema.fields).join(', ') + ")");
+        }
+
+        this._addFilter(this.options, field, field, fieldSchema, fieldSchema.modifiers, modifier, value);
+        return this;
+    },
+
+    /*
+        query.whereVar(name, value)
+        query.whereVar(name, modifier, value)
+        query.whereVar(name, modifiers)
+
+        Filters results by the value of a custom variable.
+
+        Returns:
+            Query
+     */
+    whereVar: function(name, modifier, value)
+    {
+        if (arguments.length == 2)
+        {
+            value = modifier;
+            modifier = null;
+        }
+
+        var fieldSchema = this.schema.fields.vars;
+        if (!fieldSchema)
+        {
+            throw invalid('vars', "Cannot filter " + this.itemClass + " query by custom variables");
+        }
+
+        var vars = this.options.vars = this.options.vars || {};
+        this._addFilter(vars, name, 'vars[' + name + ']', fieldSchema, VARS_MODIFIERS, modifier, value);
+        return this;
+    },
+
+    /*
+        query.sortBy(field, dir)
+
+        Sorts the results by a field, in ascending (asc, the default) or descending (desc)
+        order.
+
+        Returns:
+            Query
+     */
+    sortBy: function(field, dir)
+    {
+        if (this.schema.sort.indexOf(field) == -1)
+        {
+            throw invalid('sort', "Cannot sort " + this.itemClass + " query by " + field +
+                " (allowed values: " + this.schema.sort.join(', ') + ")");
+        }
+        if (dir && dir != 'asc' && dir != 'desc')
+        {
+            throw invalid('sort_dir', "sort_dir must be asc or desc");
+        }
+
+        this.options.sort = field;
+        if (dir)
+        {
+            this.options.sort_dir = dir;
+        }
+        return this;
+    },
+
+    /*
+        query.pageSize(pageSize)
+
+        Sets the number of results returned per page (max 200).
+
+        Returns:
+            Query
+     */
+    pageSize: function(pageSize)
+    {
+        if (!(pageSize >= 1 && pageSize <= MAX_PAGE_SIZE && pageSize % 1 === 0))
+        {
+            throw invalid('page_size', "page_size must be an integer between 1 and " + MAX_PAGE_SIZE);
+        }
+        this.options.page_size = pageSize;
+        return this;
+    },
+
+    /*
+        query.offset(offset)
+
+        Sets the number of items to skip from beginning of result set.
+
+        Returns:
+            Query
+     */
+    offset: function(offset)
+    {
+        if (!(offset >= 0 && offset % 1 === 0))
+        {
+            throw invalid('offset', "offset must be a non-negative integer");
+        }
+        this.options.offset = offset;
+        return this;
+    },
+
+    /*
+        query.build()
+
+        Returns the query options as an associative array, which can be passed to a query
+        method.
+
+        Returns:
+            associative array
+     */
+    build: function()
+    {
+        return JSON.parse(JSON.stringify(this.options));
+    },
+
+    _addFilter: function(options, key, param, fieldSchema, allowedModifiers, modifier, value)
+    {
+        if (modifier == null && isPlainObject(value))
+        {
+            for (var name in value)
+            {
+                this._addFilter(options, key, param, fieldSchema, allowedModifiers, name, value[name]);
+            }
+            return;
+        }
+
+        if (modifier == null)
+        {
+            if (fieldSchema.noEquals)
+            {
+                throw invalid(param, param + " must be filtered with a modifier (" + allowedModifiers.join(', ') + ")");
+            }
+
+            if (options[key] !== undefined)
+            {
+                throw invalid(param, "Cannot combine a value and modifiers for " + param);
+            }
+            options[key] = convertValue(param, fieldSchema, null, value);
+            return;
+        }
+
+        var modifierParam = param + '[' + modifier + ']';
+        if (allowedModifiers.indexOf(modifier) == -1)
+        {
+            throw invalid(modifierParam, "Modifier " + modifier + " is not allowed for " + param +
+                (allowedModifiers.length ? " (allowed modifiers: " + allowedModifiers.join(', ') + ")" : ""));
+        }
+
+        if (!isPlainObject(options[key]))
+        {
+            if (options[key] !== undefined)
+            {
+                throw invalid(param, "Cannot combine a value and modifiers for " + param);
+            }
+            options[key] = {};
+        }
+        options[key][modifier] = convertValue(modifierParam, fieldSchema, modifier, value);
+    }
+};
+
+var FACTORIES = {
+    projects: 'Project',
+    contacts: 'Contact',
+    phones: 'Phone',
+    messages: 'Message',
+    groups: 'Group',
+    labels: 'Label',
+    dataTables: 'DataTable',
+    rows: 'DataRow',
+    scheduledMessages: 'ScheduledMessage',
+    services: 'Service',
+    receipts: 'MobileMoneyReceipt',
+    routes: 'Route',
+    contactStates: 'ContactServiceState'
+};
+
+Object.keys(FACTORIES).forEach(function(name) {
+    Query[name] = function()
+    {
+        return new Query(FACTORIES[name]);
+    };
+});
+
+module.exports = Query;
@@ -0,0 +1,53 @@
+/**
+ * Determines whether a failed API request should be retried, and how long to wait before the next
+ * attempt.
+ */
+declare class RetryPolicy {
+    constructor(options?: RetryPolicy.Options | false);
+
+    maxAttempts: number;
+    baseDelay: number;
+    maxDelay: number;
+    jitter: boolean;
+    methods: string[];
+    statusCodes: number[];
+    errorCodes: string[];
+    retryUnsafe: boolean;
+
+    /** Returns true if the error is a network error or an HTTP status code that may succeed later. */
+    isRetryableError(err: Error): boolean;
+
+    /** Returns true if repeating the request cannot cause an action to be performed twice. */
+    isSafeToRetry(method: string, err: Error): boolean;
+
+    /** Returns true if a request that failed with the given error on the given attempt should be retried. */
+    shouldRetry(err: Error, method: string, attempt: number): boolean;
+
+    /** Returns the number of milliseconds to wait before the next attempt. */
+    getDelay(err: Error, attempt: number): number;
+}
+
+declare namespace RetryPolicy {
+    interface Options {
+        /** Maximum number of attempts for each request, including the first one (default 3) */
+        maxAttempts?: number;
+        /** Delay in milliseconds before the first retry; doubled for each subsequent retry (default 500) */
+        baseDelay?: number;
+        /** Maximum delay in milliseconds between attempts (default 30000) */
+        maxDelay?: number;
+        /** If true, each delay is a random value between 0 and the computed delay (default true) */
+        jitter?: boolean;
+        /** HTTP methods that are retried after any retryable error (default GET, PUT and DELETE) */
+        methods?: string[];
+        /** HTTP status codes that are retryable (default 429, 500, 502, 503, 504) */
+        statusCodes?: number[];
+        /** Network error codes (err.code) that are retryable */
+        errorCodes?: string[];
+        /** If true, POST requests are retried after any retryable error, like other methods (default false) */
+        retryUnsafe?: boolean;
+        /** Custom function returning true if the request should be retried */
+        shouldRetry?: ((err: Error, method: string, attempt: number) => boolean) | null;
+    }
+}
+
+export = RetryPolicy;
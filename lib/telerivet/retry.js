@@ -0,0 +1,170 @@
+var util = require('./util');
+
+// network errors where the request may or may not have reached the server
+var NETWORK_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN', 'ESOCKETTIMEDOUT'];
+
+// network errors where the connection was never established, so the server
+// could not have processed the request
+var CONNECT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+/*
+    RetryPolicy
+
+    Determines whether a failed API request should be retried, and how long to wait
+    before the next attempt.
+
+    By default, idempotent requests (GET, PUT, DELETE) are retried after network errors and
+    server errors. POST requests (e.g. project.sendMessage) may not be idempotent, so by
+    default they are only retried when the server could not have processed the original
+    request: when the connection could not be established, or when the API responded with
+    HTTP 429 (rate limited).
+
+    Options:
+      - maxAttempts (int)
+          * Maximum number of attempts for each request, including the first one
+          * Default: 3
+
+      - baseDelay (int)
+          * Delay in milliseconds before the first retry; doubled for each subsequent retry
+          * Default: 500
+
+      - maxDelay (int)
+          * Maximum delay in milliseconds between attempts
+          * Default: 30000
+
+      - jitter (bool)
+          * If true, each delay is a random value between 0 and the computed delay, so that
+              many clients failing at once do not all retry at the same time
+          * Default: true
+
+      - methods (array)
+          * HTTP methods that are retried after any retryable error
+          * Default: ['GET', 'PUT', 'DELETE']
+
+      - statusCodes (array)
+          * HTTP status codes that are retryable
+          * Default: [429, 500, 502, 503, 504]
+
+      - errorCodes (array)
+          * Network error codes (err.code) that are retryable
+          * Default: ECONNRESET, ETIMEDOUT, ECONNREFUSED, EPIPE, ENOTFOUND, EAI_AGAIN,
+              ESOCKETTIMEDOUT
+
+      - retryUnsafe (bool)
+          * If true, POST requests are retried after any retryable error, like other methods.
+              This may result in duplicate messages being sent.
+          * Default: false
+
+      - shouldRetry : function(err, method, attempt)
+          * Custom function returning true if the request should be retried. Replaces the
+              default checks, except for maxAttempts.
+*/
+function RetryPolicy(options)
+{
+    if (options === false)
+    {
+        options = {maxAttempts: 1};
+    }
+
+    options = util.extend({
+        maxAttempts: 3,
+        baseDelay: 500,
+        maxDelay: 30000,
+        jitter: true,
+        methods: ['GET', 'PUT', 'DELETE'],
+        statusCodes: [429, 500, 502, 503, 504],
+        errorCodes: NETWORK_ERROR_CODES,
+        retryUnsafe: false,
+        shouldRetry: null
+    }, options || {});
+
+    this.maxAttempts = options.maxAttempts;
+    this.baseDelay = options.baseDelay;
+    this.maxDelay = options.maxDelay;
+    this.jitter = options.jitter;
+    this.methods = options.methods;
+    this.statusCodes = options.statusCodes;
+    this.errorCodes = options.errorCodes;
+    this.retryUnsafe = options.retryUnsafe;
+    this.customShouldRetry = options.shouldRetry;
+}
+
+RetryPolicy.prototype = {
+
+    /*
+        policy.isRetryableError(err)
+
+        Returns true if the error is a network error or an HTTP status code that may succeed
+        if the request is repeated.
+     */
+    isRetryableError: function(err)
+    {
+        if (err.status)
+        {
+            return this.statusCodes.indexOf(err.status) != -1;
+        }
+        return !!err.code && this.errorCodes.indexOf(err.code) != -1;
+    },
+
+    /*
+        policy.isSafeToRetry(method, err)
+
+        Returns true if repeating the request cannot cause an action to be performed twice.
+     */
+    isSafeToRetry: function(method, err)
+    {
+        if (this.retryUnsafe || this.methods.indexOf(method) != -1)
+        {
+            return true;
+        }
+        if (err.status)
+        {
+            return err.status == 429;
+        }
+        return CONNECT_ERROR_CODES.indexOf(err.code) != -1;
+    },
+
+    /*
+        policy.shouldRetry(err, method, attempt)
+
+        Returns true if a request that failed with the given error on the given attempt
+        (starting at 1) should be attempted again.
+     */
+    shouldRetry: function(err, method, attempt)
+    {
+        if (attempt >= this.maxAttempts)
+        {
+            return false;
+        }
+        if (this.customShouldRetry)
+        {
+            return !!this.customShouldRetry(err, method, attempt);
+        }
+        return this.isRetryableError(err) && this.isSafeToRetry(method, err);
+    },
+
+    /*
+        policy.getDelay(err, attempt)
+
+        Returns the number of milliseconds to wait before the next attempt, after the given
+        attempt (starting at 1) failed with the given error.
+     */
+    getDelay: function(err, attempt)
+    {
+        var delay = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt - 1));
+
+        if (this.jitter)
+        {
+            delay = Math.floor(Math.random() * delay);
+        }
+
+        if (err.retryAfter)
+        {
+            delay = Math.max(delay, err.retryAfter * 1000);
+        }
+
+        return delay;
+    }
+};
+
+module.exports = RetryPolicy;
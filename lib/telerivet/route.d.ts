@@ -0,0 +1,20 @@
+import Entity = require('./entity');
+
+/**
+ * Represents a custom route that can be used to send messages via one or more Phones. Note: Routing
+ * rules can currently only be configured via Telerivet's web UI.
+ */
+declare class Route extends Entity {
+    /** Telerivet's internal ID for the route */
+    readonly id: string;
+    /** The name of the route */
+    name: string;
+    /** ID of the project this route belongs to */
+    readonly project_id: string;
+
+    /** Saves any fields or custom variables that have changed for this route. */
+    save(): Promise<this>;
+    save(callback: Entity.Callback<this>): void;
+}
+
+export = Route;
@@ -35,30 +35,36 @@ var Route = util.makeClass('Route', Entity);
     Saves any fields or custom variables that have changed for this route.
     
       - callback : function(err)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 Route.prototype.save = function(callback)
 {
-    Entity.prototype.save.call(this, callback);
+    return Entity.prototype.save.call(this, callback);
 };
 
-Object.defineProperty(Route.prototype, 'id', {
-    enumerable: true,
-    get: function() { return this.get('id'); },
-    set: function(value) { throw new Error('id is not writable'); }
-});    
-
-Object.defineProperty(Route.prototype, 'name', {
-    enumerable: true,
-    get: function() { return this.get('name'); },
-    set: function(value) { this.set('name', value); }
-});    
-
-Object.defineProperty(Route.prototype, 'project_id', {
-    enumerable: true,
-    get: function() { return this.get('project_id'); },
-    set: function(value) { throw new Error('project_id is not writable'); }
-});    
+Entity.defineFields(Route, {
+    id: {
+        type: 'string',
+        maxLength: 34,
+        updatable: false,
+        description: "Telerivet's internal ID for the route"
+    },
+    name: {
+        type: 'string',
+        updatable: true,
+        description: "The name of the route"
+    },
+    vars: {
+        type: 'object',
+        updatable: true,
+        description: "Custom variables stored for this route"
+    },
+    project_id: {
+        type: 'string',
+        updatable: false,
+        description: "ID of the project this route belongs to"
+    }
+});
 
 Route.prototype.getBaseApiPath = function()
 {
@@ -0,0 +1,107 @@
+import Entity = require('./entity');
+import Contact = require('./contact');
+import Group = require('./group');
+
+/** Represents a scheduled message within Telerivet. */
+declare class ScheduledMessage extends Entity {
+    /** ID of the scheduled message */
+    readonly id: string;
+    /** Text content of the scheduled message */
+    readonly content: string;
+    /**
+     * Recurrence rule for recurring scheduled messages, e.g. 'FREQ=MONTHLY' or
+     * 'FREQ=WEEKLY;INTERVAL=2'; see <https://tools.ietf.org/html/rfc2445#section-4.3.10>
+     */
+    readonly rrule: string;
+    /**
+     * Timezone ID used to compute times for recurring messages; see
+     * <http://en.wikipedia.org/wiki/List_of_tz_database_time_zones>
+     */
+    readonly timezone_id: string;
+    /** ID of the group to send the message to (null if scheduled to an individual contact) */
+    readonly group_id: string;
+    /** ID of the contact to send the message to (null if scheduled to a group) */
+    readonly contact_id: string;
+    /** Phone number to send the message to (null if scheduled to a group) */
+    readonly to_number: string;
+    /** ID of the phone or route to the message will be sent from */
+    readonly route_id: string;
+    /** Type of scheduled message */
+    readonly message_type: 'sms' | 'ussd';
+    /** Time the scheduled message was created in Telerivet */
+    readonly time_created: number;
+    /** time_created as a Date (null if not set) */
+    readonly time_created_date: Date | null;
+    /** The time that the message will be sent (or first sent for recurring messages) */
+    readonly start_time: number;
+    /** start_time as a Date (null if not set) */
+    readonly start_time_date: Date | null;
+    /**
+     * Time after which a recurring message will stop (not applicable to non-recurring scheduled
+     * messages)
+     */
+    readonly end_time: number;
+    /** end_time as a Date (null if not set) */
+    readonly end_time_date: Date | null;
+    /**
+     * The most recent time that Telerivet has sent this scheduled message (null if it has never
+     * been sent)
+     */
+    readonly prev_time: number;
+    /** prev_time as a Date (null if not set) */
+    readonly prev_time_date: Date | null;
+    /**
+     * The next upcoming time that Telerivet will sent this scheduled message (null if it will not
+     * be sent again)
+     */
+    readonly next_time: number;
+    /** next_time as a Date (null if not set) */
+    readonly next_time_date: Date | null;
+    /** Number of times this scheduled message has already been sent */
+    readonly occurrences: number;
+    /**
+     * Set to true if Telerivet will render variables like [[contact.name]] in the message content,
+     * false otherwise
+     */
+    readonly is_template: boolean;
+    /** IDs of labels to add to the Message */
+    readonly label_ids: string[];
+    /** ID of the project this scheduled message belongs to */
+    readonly project_id: string;
+
+    /**
+     * Retrieves the group that this message is scheduled to be sent to (null if scheduled to an
+     * individual contact).
+     */
+    getGroup(): Promise<Group | null>;
+    getGroup(callback: Entity.Callback<Group | null>): void;
+
+    /**
+     * Initializes the group that this message is scheduled to be sent to without making an API
+     * request (null if scheduled to an individual contact).
+     */
+    initGroup(): Group | null;
+
+    /**
+     * Retrieves the contact that this message is scheduled to be sent to (null if scheduled to a
+     * group).
+     */
+    getContact(): Promise<Contact | null>;
+    getContact(callback: Entity.Callback<Contact | null>): void;
+
+    /**
+     * Initializes the contact that this message is scheduled to be sent to without making an API
+     * request (null if scheduled to a group).
+     */
+    initContact(): Contact | null;
+
+    /** Saves any fields or custom variables that have changed for this scheduled message. */
+    save(): Promise<this>;
+    save(callback: Entity.Callback<this>): void;
+
+    /** Cancels this scheduled message. */
+    delete(): Promise<void>;
+    delete(callback: Entity.Callback<void>): void;
+}
+
+export = ScheduledMessage;
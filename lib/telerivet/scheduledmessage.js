@@ -94,17 +94,75 @@ var util = require('./util'),
  
 var ScheduledMessage = util.makeClass('ScheduledMessage', Entity);
 
+/**
+    scheduled_msg.getGroup(callback)
+    
+    Retrieves the group that this message is scheduled to be sent to (null if scheduled to an
+    individual contact).
+    
+    Arguments:
+      - callback : function(err, group)
+          * Optional (a Promise is returned if omitted)
+    */
+ScheduledMessage.prototype.getGroup = function(callback)
+{
+    return this._getRelated('group_id', 'getGroupById', callback);
+};
+
+/**
+    scheduled_msg.initGroup()
+    
+    Initializes the group that this message is scheduled to be sent to without making an API
+    request (null if scheduled to an individual contact).
+    
+    Returns:
+        Group
+    */
+ScheduledMessage.prototype.initGroup = function()
+{
+    return this._initRelated('group_id', 'initGroupById');
+};
+
+/**
+    scheduled_msg.getContact(callback)
+    
+    Retrieves the contact that this message is scheduled to be sent to (null if scheduled to a
+    group).
+    
+    Arguments:
+      - callback : function(err, contact)
+          * Optional (a Promise is returned if omitted)
+    */
+ScheduledMessage.prototype.getContact = function(callback)
+{
+    return this._getRelated('contact_id', 'getContactById', callback);
+};
+
+/**
+    scheduled_msg.initContact()
+    
+    Initializes the contact that this message is scheduled to be sent to without making an API
+    request (null if scheduled to a group).
+    
+    Returns:
+        Contact
+    */
+ScheduledMessage.prototype.initContact = function()
+{
+    return this._initRelated('contact_id', 'initContactById');
+};
+
 /**
     scheduled_msg.save(callback)
     
     Saves any fields or custom variables that have changed for this scheduled message.
     
       - callback : function(err)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 ScheduledMessage.prototype.save = function(callback)
 {
-    Entity.prototype.save.call(this, callback);
+    return Entity.prototype.save.call(this, callback);
 };
 
 /**
@@ -113,120 +171,120 @@ ScheduledMessage.prototype.save = function(callback)
     Cancels this scheduled message.
     
       - callback : function(err)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 ScheduledMessage.prototype.delete = function(callback)
 {
-    this.api.doRequest("DELETE", this.getBaseApiPath(), null, callback);
+    return this.api.doRequest("DELETE", this.getBaseApiPath(), null, callback);
 };
 
-Object.defineProperty(ScheduledMessage.prototype, 'id', {
-    enumerable: true,
-    get: function() { return this.get('id'); },
-    set: function(value) { throw new Error('id is not writable'); }
-});    
-
-Object.defineProperty(ScheduledMessage.prototype, 'content', {
-    enumerable: true,
-    get: function() { return this.get('content'); },
-    set: function(value) { throw new Error('content is not writable'); }
-});    
-
-Object.defineProperty(ScheduledMessage.prototype, 'rrule', {
-    enumerable: true,
-    get: function() { return this.get('rrule'); },
-    set: function(value) { throw new Error('rrule is not writable'); }
-});    
-
-Object.defineProperty(ScheduledMessage.prototype, 'timezone_id', {
-    enumerable: true,
-    get: function() { return this.get('timezone_id'); },
-    set: function(value) { throw new Error('timezone_id is not writable'); }
-});    
-
-Object.defineProperty(ScheduledMessage.prototype, 'group_id', {
-    enumerable: true,
-    get: function() { return this.get('group_id'); },
-    set: function(value) { throw new Error('group_id is not writable'); }
-});    
-
-Object.defineProperty(ScheduledMessage.prototype, 'contact_id', {
-    enumerable: true,
-    get: function() { return this.get('contact_id'); },
-    set: function(value) { throw new Error('contact_id is not writable'); }
-});    
-
-Object.defineProperty(ScheduledMessage.prototype, 'to_number', {
-    enumerable: true,
-    get: function() { return this.get('to_number'); },
-    set: function(value) { throw new Error('to_number is not writable'); }
-});    
-
-Object.defineProperty(ScheduledMessage.prototype, 'route_id', {
-    enumerable: true,
-    get: function() { return this.get('route_id'); },
-    set: function(value) { throw new Error('route_id is not writable'); }
-});    
-
-Object.defineProperty(ScheduledMessage.prototype, 'message_type', {
-    enumerable: true,
-    get: function() { return this.get('message_type'); },
-    set: function(value) { throw new Error('message_type is not writable'); }
-});    
-
-Object.defineProperty(ScheduledMessage.prototype, 'time_created', {
-    enumerable: true,
-    get: function() { return this.get('time_created'); },
-    set: function(value) { throw new Error('time_created is not writable'); }
-});    
-
-Object.defineProperty(ScheduledMessage.prototype, 'start_time', {
-    enumerable: true,
-    get: function() { return this.get('start_time'); },
-    set: function(value) { throw new Error('start_time is not writable'); }
-});    
-
-Object.defineProperty(ScheduledMessage.prototype, 'end_time', {
-    enumerable: true,
-    get: function() { return this.get('end_time'); },
-    set: function(value) { throw new Error('end_time is not writable'); }
-});    
-
-Object.defineProperty(ScheduledMessage.prototype, 'prev_time', {
-    enumerable: true,
-    get: function() { return this.get('prev_time'); },
-    set: function(value) { throw new Error('prev_time is not writable'); }
-});    
-
-Object.defineProperty(ScheduledMessage.prototype, 'next_time', {
-    enumerable: true,
-    get: function() { return this.get('next_time'); },
-    set: function(value) { throw new Error('next_time is not writable'); }
-});    
-
-Object.defineProperty(ScheduledMessage.prototype, 'occurrences', {
-    enumerable: true,
-    get: function() { return this.get('occurrences'); },
-    set: function(value) { throw new Error('occurrences is not writable'); }
-});    
-
-Object.defineProperty(ScheduledMessage.prototype, 'is_template', {
-    enumerable: true,
-    get: function() { return this.get('is_template'); },
-    set: function(value) { throw new Error('is_template is not writable'); }
-});    
-
-Object.defineProperty(ScheduledMessage.prototype, 'label_ids', {
-    enumerable: true,
-    get: function() { return this.get('label_ids'); },
-    set: function(value) { throw new Error('label_ids is not writable'); }
-});    
-
-Object.defineProperty(ScheduledMessage.prototype, 'project_id', {
-    enumerable: true,
-    get: function() { return this.get('project_id'); },
-    set: function(value) { throw new Error('project_id is not writable'); }
-});    
+Entity.defineFields(ScheduledMessage, {
+    id: {
+        type: 'string',
+        maxLength: 34,
+        updatable: false,
+        description: "ID of the scheduled message"
+    },
+    content: {
+        type: 'string',
+        updatable: false,
+        description: "Text content of the scheduled message"
+    },
+    rrule: {
+        type: 'string',
+        updatable: false,
+        description: "Recurrence rule for recurring scheduled messages, e.g. 'FREQ=MONTHLY' or " +
+            "'FREQ=WEEKLY;INTERVAL=2'; see <https://tools.ietf.org/html/rfc2445#section-4.3.10>"
+    },
+    timezone_id: {
+        type: 'string',
+        updatable: false,
+        description: "Timezone ID used to compute times for recurring messages; see " +
+            "<http://en.wikipedia.org/wiki/List_of_tz_database_time_zones>"
+    },
+    group_id: {
+        type: 'string',
+        updatable: false,
+        description: "ID of the group to send the message to (null if scheduled to an individual " +
+            "contact)"
+    },
+    contact_id: {
+        type: 'string',
+        updatable: false,
+        description: "ID of the contact to send the message to (null if scheduled to a group)"
+    },
+    to_number: {
+        type: 'string',
+        updatable: false,
+        description: "Phone number to send the message to (null if scheduled to a group)"
+    },
+    route_id: {
+        type: 'string',
+        updatable: false,
+        description: "ID of the phone or route to the message will be sent from"
+    },
+    message_type: {
+        type: 'string',
+        values: ['sms', 'ussd'],
+        updatable: false,
+        description: "Type of scheduled message"
+    },
+    time_created: {
+        type: 'timestamp',
+        updatable: false,
+        description: "Time the scheduled message was created in Telerivet"
+    },
+    start_time: {
+        type: 'timestamp',
+        updatable: false,
+        description: "The time that the message will be sent (or first sent for recurring messages)"
+    },
+    end_time: {
+        type: 'timestamp',
+        updatable: false,
+        description: "Time after which a recurring message will stop (not applicable to " +
+            "non-recurring scheduled messages)"
+    },
+    prev_time: {
+        type: 'timestamp',
+        updatable: false,
+        description: "The most recent time that Telerivet has sent this scheduled message (null if " +
+            "it has never been sent)"
+    },
+    next_time: {
+        type: 'timestamp',
+        updatable: false,
+        description: "The next upcoming time that Telerivet will sent this scheduled message (null " +
+            "if it will not be sent again)"
+    },
+    occurrences: {
+        type: 'int',
+        updatable: false,
+        description: "Number of times this scheduled message has already been sent"
+    },
+    is_template: {
+        type: 'bool',
+        updatable: false,
+        description: "Set to true if Telerivet will render variables like [[contact.name]] in the " +
+            "message content, false otherwise"
+    },
+    vars: {
+        type: 'object',
+        updatable: true,
+        description: "Custom variables stored for this scheduled message (copied to Message when " +
+            "sent)"
+    },
+    label_ids: {
+        type: 'array',
+        updatable: false,
+        description: "IDs of labels to add to the Message"
+    },
+    project_id: {
+        type: 'string',
+        updatable: false,
+        description: "ID of the project this scheduled message belongs to"
+    }
+});
 
 ScheduledMessage.prototype.getBaseApiPath = function()
 {
@@ -0,0 +1,42 @@
+/**
+ * Queues API requests so that no more than a certain number of requests are sent per second, and no
+ * more than a certain number of requests are in progress at the same time.
+ */
+declare class RequestScheduler {
+    constructor(options?: RequestScheduler.Options);
+
+    requestsPerSecond: number | null;
+    burst: number;
+    maxConcurrent: number | null;
+
+    /**
+     * Adds a task to the queue. The task is called as fn(done) once the rate and concurrency limits
+     * allow it to start, and must call done() when the request has completed.
+     */
+    schedule(fn: (done: () => void) => void): void;
+
+    /**
+     * Removes a task from the queue if it has not started yet, without using any of the rate limit.
+     * Returns true if the task was removed, or false if it had already started.
+     */
+    cancel(fn: (done: () => void) => void): boolean;
+
+        /** Returns the number of requests waiting to be started. */
+    getQueueLength(): number;
+
+    /** Returns the number of requests currently in progress. */
+    getActiveCount(): number;
+}
+
+declare namespace RequestScheduler {
+    interface Options {
+        /** Maximum average number of requests started per second (default no limit) */
+        requestsPerSecond?: number | null;
+        /** Maximum number of requests that may be started at once after a period of inactivity */
+        burst?: number | null;
+        /** Maximum number of requests in progress at the same time (default no limit) */
+        maxConcurrent?: number | null;
+    }
+}
+
+export = RequestScheduler;
@@ -0,0 +1,162 @@
+var util = require('./util');
+
+/*
+    RequestScheduler
+
+    Queues API requests so that no more than a certain number of requests are sent per second,
+    and no more than a certain number of requests are in progress at the same time.
+
+    The request rate is limited with a token bucket: the bucket holds up to 'burst' tokens,
+    each request consumes one token, and tokens are added at a rate of 'requestsPerSecond'.
+
+    Options:
+      - requestsPerSecond (number)
+          * Maximum average number of requests started per second
+          * Default: no limit
+
+      - burst (int)
+          * Maximum number of requests that may be started at once after a period of
+              inactivity
+          * Default: requestsPerSecond (rounded up), or 1 if smaller
+
+      - maxConcurrent (int)
+          * Maximum number of requests in progress at the same time
+          * Default: no limit
+*/
+function RequestScheduler(options)
+{
+    options = util.extend({
+        requestsPerSecond: null,
+        burst: null,
+        maxConcurrent: null
+    }, options || {});
+
+    this.requestsPerSecond = options.requestsPerSecond;
+    this.burst = options.burst || Math.max(1, Math.ceil(options.requestsPerSecond || 0));
+    this.maxConcurrent = options.maxConcurrent;
+
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+    this.queue = [];
+    this.numActive = 0;
+    this.timer = null;
+}
+
+RequestScheduler.prototype = {
+
+    /*
+        scheduler.schedule(fn)
+
+        Adds a task to the queue. The task is called as fn(done) once the rate and concurrency
+        limits allow it to start, and must call done() when the request has completed.
+     */
+    schedule: function(fn)
+    {
+        this.queue.push(fn);
+        this._processQueue();
+    },
+
+    /*
+        scheduler.cancel(fn)
+
+        Removes a task from the queue if it has not started yet, without using any of the rate
+        limit. Returns true if the task was removed, or false if it had already started (or was
+        never scheduled).
+     */
+    cancel: function(fn)
+    {
+        var index = this.queue.indexOf(fn);
+        if (index == -1)
+        {
+            return false;
+        }
+        this.queue.splice(index, 1);
+        return true;
+    },
+
+    /*
+        scheduler.getQueueLength()
+
+        Returns the number of requests waiting to be started.
+     */
+    getQueueLength: function()
+    {
+        return this.queue.length;
+    },
+
+    /*
+        scheduler.getActiveCount()
+
+        Returns the number of requests currently in progress.
+     */
+    getActiveCount: function()
+    {
+        return this.numActive;
+    },
+
+    _refillTokens: function()
+    {
+        if (!this.requestsPerSecond)
+        {
+            return;
+        }
+
+        var now = Date.now();
+        this.tokens = Math.min(this.burst, this.tokens + (now - this.lastRefill) * this.requestsPerSecond / 1000);
+        this.lastRefill = now;
+    },
+
+    _processQueue: function()
+    {
+        var self = this;
+
+        this._refillTokens();
+
+        while (this.queue.length > 0)
+        {
+            if (this.maxConcurrent && this.numActive >= this.maxConcurrent)
+            {
+                // _finish() will process the queue again
+                return;
+            }
+
+            if (this.requestsPerSecond)
+            {
+                if (this.tokens < 1)
+                {
+                    if (!this.timer)
+                    {
+                        var wait = Math.ceil((1 - this.tokens) * 1000 / this.requestsPerSecond);
+                        this.timer = setTimeout(function() {
+                            self.timer = null;
+                            self._processQueue();
+                        }, wait);
+                    }
+                    return;
+                }
+                this.tokens -= 1;
+            }
+
+            this._start(this.queue.shift());
+        }
+    },
+
+    _start: function(fn)
+    {
+        var self = this,
+            finished = false;
+
+        this.numActive++;
+
+        fn(function() {
+            if (!finished)
+            {
+                finished = true;
+                self.numActive--;
+                self._processQueue();
+            }
+        });
+    }
+};
+
+module.exports = RequestScheduler;
@@ -0,0 +1,133 @@
+import Entity = require('./entity');
+import APICursor = require('./apicursor');
+import Query = require('./query');
+import Contact = require('./contact');
+import ContactServiceState = require('./contactservicestate');
+
+/**
+ * Represents an automated service on Telerivet, for example a poll, auto-reply, webhook service,
+ * etc. A service, generally, defines some automated behavior that can be invoked/triggered in a
+ * particular context, and may be invoked either manually or when a particular event occurs. Most
+ * commonly, services work in the context of a particular message, when the message is originally
+ * received by Telerivet.
+ */
+declare class Service extends Entity {
+    /** ID of the service */
+    readonly id: string;
+    /** Name of the service */
+    name: string;
+    /**
+     * Whether the service is active or inactive. Inactive services are not automatically triggered
+     * and cannot be invoked via the API.
+     */
+    active: boolean;
+    /**
+     * A number that determines the order that services are triggered when a particular event occurs
+     * (smaller numbers are triggered first). Any service can determine whether or not execution
+     * "falls-through" to subsequent services (with larger priority values) by setting the
+     * return_value variable within Telerivet's Rules Engine.
+     */
+    priority: number;
+    /**
+     * A key/value map where the keys are the names of contexts supported by this service (e.g.
+     * message, contact), and the values are themselves key/value maps where the keys are event
+     * names and the values are all true. (This structure makes it easy to test whether a service
+     * can be invoked for a particular context and event.)
+     */
+    readonly contexts: {[name: string]: any};
+    /** ID of the project this service belongs to */
+    readonly project_id: string;
+    /**
+     * ID of the label containing messages sent or received by this service (currently only used for
+     * polls)
+     */
+    readonly label_id: string;
+    /**
+     * ID of the data table where responses to this service will be stored (currently only used for
+     * polls)
+     */
+    readonly response_table_id: string;
+    /**
+     * ID of the group containing contacts that have been invited to interact with this service
+     * (currently only used for polls)
+     */
+    readonly sample_group_id: string;
+    /**
+     * ID of the group containing contacts that have completed an interaction with this service
+     * (currently only used for polls)
+     */
+    readonly respondent_group_id: string;
+
+    /** Manually invoke this service in a particular context. */
+    invoke(options: Service.InvokeOptions): Promise<Service.InvokeResult>;
+    invoke(options: Service.InvokeOptions, callback: Entity.Callback<Service.InvokeResult>): void;
+
+    /** Gets the current state for a particular contact for this service. */
+    getContactState(contact: Contact): Promise<ContactServiceState>;
+    getContactState(contact: Contact, callback: Entity.Callback<ContactServiceState>): void;
+
+    /**
+     * Initializes or updates the current state for a particular contact for the given service. If
+     * the state id is null, the contact's state will be reset.
+     */
+    setContactState(contact: Contact, options: Service.SetContactStateOptions): Promise<ContactServiceState>;
+    setContactState(contact: Contact, options: Service.SetContactStateOptions, callback: Entity.Callback<ContactServiceState>): void;
+
+    /** Resets the current state for a particular contact for the given service. */
+    resetContactState(contact: Contact): Promise<ContactServiceState>;
+    resetContactState(contact: Contact, callback: Entity.Callback<ContactServiceState>): void;
+
+    /** Query the current states of contacts for this service. */
+    queryContactStates(options?: Service.QueryContactStatesOptions | Query): APICursor<ContactServiceState>;
+
+    /** Saves any fields or custom variables that have changed for this service. */
+    save(): Promise<this>;
+    save(callback: Entity.Callback<this>): void;
+}
+
+declare namespace Service {
+    interface InvokeOptions {
+        /** The name of the context in which this service is invoked */
+        context: 'message' | 'contact' | 'project' | 'receipt';
+        /** The name of the event that is triggered (must be supported by this service) */
+        event?: string;
+        /** The ID of the message this service is triggered for */
+        message_id?: string;
+        /** The ID of the contact this service is triggered for */
+        contact_id?: string;
+    }
+
+    interface SetContactStateOptions {
+        /**
+         * Arbitrary string representing the contact's current state for this service, e.g. 'q1',
+         * 'q2', etc.
+         */
+        id: string;
+        /** Custom variables stored for this contact's state */
+        vars?: {[name: string]: any};
+    }
+
+    interface QueryContactStatesOptions {
+        /** Filter states by id */
+        id?: Query.Filter<string, 'ne' | 'prefix' | 'not_prefix' | 'gte' | 'gt' | 'lt' | 'lte'>;
+        /** Filter states by value of a custom variable (e.g. vars[email], vars[foo], etc.) */
+        vars?: {[name: string]: Query.Filter<string | number | boolean | Date, 'exists' | 'ne' | 'prefix' | 'not_prefix' | 'gte' | 'gt' | 'lt' | 'lte' | 'min' | 'max'>};
+        /** Sort the results based on a field */
+        sort?: 'default';
+        /** Sort the results in ascending or descending order */
+        sort_dir?: 'asc' | 'desc';
+        /** Number of results returned per page (max 200) */
+        page_size?: number;
+        /** Number of items to skip from beginning of result set */
+        offset?: number;
+    }
+
+    interface InvokeResult {
+        /** Return value of the service */
+        return_value: any;
+        /** Messages sent by the service */
+        sent_messages: any[];
+    }
+}
+
+export = Service;
@@ -110,10 +110,12 @@ var Service = util.makeClass('Service', Entity);
             * Required if context is 'contact'
       
       - callback : function(err, res)
-          * Required
+          * Optional (a Promise is returned if omitted)
  */
 Service.prototype.invoke = function(options, callback)
 {
+    callback = util.promiseCallback(callback);
+    
     var self = this;
     this.api.doRequest('POST', this.getBaseApiPath() + '/invoke', options, function(err, invokeResult) 
     {
@@ -136,6 +138,8 @@ Service.prototype.invoke = function(options, callback)
         }        
         return callback(null, invokeResult);
     });
+    
+    return callback.promise;
 };
     
 
@@ -154,11 +158,11 @@ Service.prototype.invoke = function(options, callback)
           * Required
       
       - callback : function(err, state)
-          * Required
+          * Optional (a Promise is returned if omitted)
  */
 Service.prototype.getContactState = function(contact, callback)
 {
-    this.api.doRequest('GET', this.getBaseApiPath() + '/states/' + contact.id, null, this.api.wrapCallback(require('./contactservicestate'), callback));   
+    return this.api.doRequest('GET', this.getBaseApiPath() + '/states/' + contact.id, null, this.api.wrapCallback(require('./contactservicestate'), callback));   
 };
 
 /**
@@ -184,11 +188,11 @@ Service.prototype.getContactState = function(contact, callback)
             * Custom variables stored for this contact's state
       
       - callback : function(err, state)
-          * Required
+          * Optional (a Promise is returned if omitted)
  */
 Service.prototype.setContactState = function(contact, options, callback)
 {
-    this.api.doRequest('POST', this.getBaseApiPath() + '/states/' + contact.id, options, this.api.wrapCallback(require('./contactservicestate'), callback));   
+    return this.api.doRequest('POST', this.getBaseApiPath() + '/states/' + contact.id, options, this.api.wrapCallback(require('./contactservicestate'), callback));   
 };
 
 /**
@@ -202,11 +206,11 @@ Service.prototype.setContactState = function(contact, options, callback)
           * Required
       
       - callback : function(err, state)
-          * Required
+          * Optional (a Promise is returned if omitted)
  */
 Service.prototype.resetContactState = function(contact, callback)
 {
-    this.api.doRequest('DELETE', this.getBaseApiPath() + '/states/' + contact.id, null, this.api.wrapCallback(require('./contactservicestate'), callback));   
+    return this.api.doRequest('DELETE', this.getBaseApiPath() + '/states/' + contact.id, null, this.api.wrapCallback(require('./contactservicestate'), callback));   
 };
       
 /**
@@ -260,72 +264,83 @@ Service.prototype.queryContactStates = function(options)
     Saves any fields or custom variables that have changed for this service.
     
       - callback : function(err)
-          * Required
+          * Optional (a Promise is returned if omitted)
     */
 Service.prototype.save = function(callback)
 {
-    Entity.prototype.save.call(this, callback);
+    return Entity.prototype.save.call(this, callback);
 };
 
-Object.defineProperty(Service.prototype, 'id', {
-    enumerable: true,
-    get: function() { return this.get('id'); },
-    set: function(value) { throw new Error('id is not writable'); }
-});    
-
-Object.defineProperty(Service.prototype, 'name', {
-    enumerable: true,
-    get: function() { return this.get('name'); },
-    set: function(value) { this.set('name', value); }
-});    
-
-Object.defineProperty(Service.prototype, 'active', {
-    enumerable: true,
-    get: function() { return this.get('active'); },
-    set: function(value) { this.set('active', value); }
-});    
-
-Object.defineProperty(Service.prototype, 'priority', {
-    enumerable: true,
-    get: function() { return this.get('priority'); },
-    set: function(value) { this.set('priority', value); }
-});    
-
-Object.defineProperty(Service.prototype, 'contexts', {
-    enumerable: true,
-    get: function() { return this.get('contexts'); },
-    set: function(value) { throw new Error('contexts is not writable'); }
-});    
-
-Object.defineProperty(Service.prototype, 'project_id', {
-    enumerable: true,
-    get: function() { return this.get('project_id'); },
-    set: function(value) { throw new Error('project_id is not writable'); }
-});    
-
-Object.defineProperty(Service.prototype, 'label_id', {
-    enumerable: true,
-    get: function() { return this.get('label_id'); },
-    set: function(value) { throw new Error('label_id is not writable'); }
-});    
-
-Object.defineProperty(Service.prototype, 'response_table_id', {
-    enumerable: true,
-    get: function() { return this.get('response_table_id'); },
-    set: function(value) { throw new Error('response_table_id is not writable'); }
-});    
-
-Object.defineProperty(Service.prototype, 'sample_group_id', {
-    enumerable: true,
-    get: function() { return this.get('sample_group_id'); },
-    set: function(value) { throw new Error('sample_group_id is not writable'); }
-});    
-
-Object.defineProperty(Service.prototype, 'respondent_group_id', {
-    enumerable: true,
-    get: function() { return this.get('respondent_group_id'); },
-    set: function(value) { throw new Error('respondent_group_id is not writable'); }
-});    
+Entity.defineFields(Service, {
+    id: {
+        type: 'string',
+        maxLength: 34,
+        updatable: false,
+        description: "ID of the service"
+    },
+    name: {
+        type: 'string',
+        updatable: true,
+        description: "Name of the service"
+    },
+    active: {
+        type: 'bool',
+        updatable: true,
+        description: "Whether the service is active or inactive. Inactive services are not " +
+            "automatically triggered and cannot be invoked via the API."
+    },
+    priority: {
+        type: 'int',
+        updatable: true,
+        description: "A number that determines the order that services are triggered when a " +
+            "particular event occurs (smaller numbers are triggered first). Any service can " +
+            "determine whether or not execution \"falls-through\" to subsequent services (with " +
+            "larger priority values) by setting the return_value variable within Telerivet's " +
+            "Rules Engine."
+    },
+    contexts: {
+        type: 'object',
+        updatable: false,
+        description: "A key/value map where the keys are the names of contexts supported by this " +
+            "service (e.g. message, contact), and the values are themselves key/value maps where " +
+            "the keys are event names and the values are all true. (This structure makes it easy " +
+            "to test whether a service can be invoked for a particular context and event.)"
+    },
+    vars: {
+        type: 'object',
+        updatable: true,
+        description: "Custom variables stored for this service"
+    },
+    project_id: {
+        type: 'string',
+        updatable: false,
+        description: "ID of the project this service belongs to"
+    },
+    label_id: {
+        type: 'string',
+        updatable: false,
+        description: "ID of the label containing messages sent or received by this service " +
+            "(currently only used for polls)"
+    },
+    response_table_id: {
+        type: 'string',
+        updatable: false,
+        description: "ID of the data table where responses to this service will be stored " +
+            "(currently only used for polls)"
+    },
+    sample_group_id: {
+        type: 'string',
+        updatable: false,
+        description: "ID of the group containing contacts that have been invited to interact with " +
+            "this service (currently only used for polls)"
+    },
+    respondent_group_id: {
+        type: 'string',
+        updatable: false,
+        description: "ID of the group containing contacts that have completed an interaction with " +
+            "this service (currently only used for polls)"
+    }
+});
 
 Service.prototype.getBaseApiPath = function()
 {
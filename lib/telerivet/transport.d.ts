@@ -0,0 +1,59 @@
+import { Agent } from 'http';
+
+/**
+ * The default transport used by telerivet.API to send HTTP requests, using Node's http and https
+ * modules.
+ */
+declare class HttpTransport implements HttpTransport.Transport {
+    constructor(options?: HttpTransport.Options);
+
+    agent: Agent | null;
+
+    request(request: HttpTransport.Request, callback: HttpTransport.Callback): HttpTransport.Abortable;
+}
+
+declare namespace HttpTransport {
+    interface Options {
+        /** Agent used to manage connections (default a new Agent, created with the first request) */
+        agent?: Agent;
+    }
+
+    interface Request {
+        /** HTTP method, e.g. GET or POST */
+        method: string;
+        /** Full URL of the request, including the query string */
+        url: string;
+        /** API path of the request, e.g. /projects/PJ123/contacts */
+        path: string;
+        /** Request parameters (sent in the query string or as JSON in the body) */
+        params: {[name: string]: any} | null;
+        /** HTTP request headers */
+        headers: {[name: string]: string};
+        /** Request body, or null */
+        body: string | null;
+    }
+
+    interface Response {
+        status: number;
+        /** HTTP response headers, with lowercase header names */
+        headers: {[name: string]: string | string[] | undefined};
+        body: string;
+    }
+
+    type Callback = (err: Error | null, response?: Response | null) => void;
+
+    interface Abortable {
+        abort(): void;
+    }
+
+    /**
+     * Any object with a request(request, callback) method, which sends one HTTP request and calls
+     * the callback when the response has been received. The request method may return an object
+     * with an abort() method, which is called if the request times out or is cancelled.
+     */
+    interface Transport {
+        request(request: Request, callback: Callback): Abortable | void;
+    }
+}
+
+export = HttpTransport;
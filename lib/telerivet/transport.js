@@ -0,0 +1,99 @@
+var URL = require('url'),
+    https = require('https'),
+    http = require('http');
+
+/*
+    HttpTransport
+
+    The default transport used by telerivet.API to send HTTP requests, using Node's http and
+    https modules.
+
+    A transport is any object with a request(request, callback) method, which sends one HTTP
+    request and calls the callback when the response has been received:
+
+      - request (associative array)
+          - method: HTTP method, e.g. GET or POST
+          - url: full URL of the request, including the query string
+          - path: API path of the request, e.g. /projects/PJ123/contacts
+          - params: request parameters (sent in the query string or as JSON in the body)
+          - headers: associative array of HTTP request headers
+          - body: request body (string), or null
+
+      - callback : function(err, response)
+          * err is a network error (e.g. with code ECONNRESET), if no response was received
+          * response is an associative array with the properties status (int), headers
+              (associative array with lowercase header names) and body (string)
+
+    The request method may return an object with an abort() method, which is called if the
+    request times out or is cancelled.
+
+    Options:
+      - agent (http.Agent)
+          * Agent used to manage connections
+          * Default: a new Agent, created with the first request
+*/
+function HttpTransport(options)
+{
+    options = options || {};
+    this.agent = options.agent || null;
+}
+
+HttpTransport.prototype = {
+
+    request: function(request, callback)
+    {
+        var parsedUrl = URL.parse(request.url);
+
+        var httpType = parsedUrl.protocol == 'https:' ? https : http;
+
+        if (!this.agent)
+        {
+            this.agent = new httpType.Agent({
+                hostname: parsedUrl.hostname,
+                port: parsedUrl.port
+            });
+        }
+
+        var req = httpType.request({
+            method: request.method,
+            hostname: parsedUrl.hostname,
+            port: parsedUrl.port,
+            path: parsedUrl.path,
+            headers: request.headers,
+            agent: this.agent
+        }, function(res) {
+            var body = '';
+            res.setEncoding('utf8');
+            res.on('data', function (chunk) {
+                body += chunk;
+            });
+
+            res.on('end', function() {
+                callback(null, {
+                    status: res.statusCode,
+                    headers: res.headers,
+                    body: body
+                });
+            });
+        });
+
+        req.on("error", function(e) {
+            callback(e, null);
+        });
+
+        if (request.body != null)
+        {
+            req.write(request.body);
+        }
+
+        req.end();
+
+        return {
+            abort: function() {
+                req.destroy();
+            }
+        };
+    }
+};
+
+module.exports = HttpTransport;
@@ -27,11 +27,17 @@ function extend(to, from)
     return to;
 }
 
+/*
+ * Returns a constructor for a class with the given name, base class and
+ * properties. The constructor calls the class's init method, which may return
+ * a different object to use instead of the new instance (e.g. an existing
+ * entity from an identity map).
+ */
 function makeClass(name, base, protoProps, classProps)
 {
     base = base || Class;
     
-    var cls = function() { this.init.apply(this, arguments); },
+    var cls = function() { return this.init.apply(this, arguments); },
         proto = function() 
         { 
             this._base = base; 
@@ -60,10 +66,156 @@ function timestampToDate(timestamp)
 
 function dateToTimestamp(date)
 {
-    return timestamp ? (new Date(timestamp * 1000)) : null;
+    return date ? Math.floor(date.getTime() / 1000) : null;
+}
+
+/*
+ * Returns a copy of request params where Date objects (at any depth) are
+ * replaced by UNIX timestamps, so that Dates can be passed for any timestamp
+ * parameter, e.g. start_time or time_created[min]. Also used for the params
+ * saved by cursor.getState().
+ */
+function convertDates(value, paramName)
+{
+    if (value instanceof Date)
+    {
+        if (isNaN(value.getTime()))
+        {
+            // required here, since errors.js requires this module
+            var errors = require('./errors');
+            throw new errors.InvalidParameterError("Invalid Date for parameter " + paramName, {
+                param: paramName
+            });
+        }
+        return dateToTimestamp(value);
+    }
+    
+    if (value === null || typeof value !== 'object')
+    {
+        return value;
+    }
+    
+    var res = Array.isArray(value) ? [] : {};
+    for (var key in value)
+    {
+        if (value.hasOwnProperty(key))
+        {
+            res[key] = convertDates(value[key], paramName ? paramName + '[' + key + ']' : key);
+        }
+    }
+    return res;
+}
+
+/*
+ * Returns a node-style callback function for an API method that accepts an
+ * optional callback. If a callback is provided, it is returned unchanged;
+ * otherwise the returned function settles a new Promise, which is available
+ * as its 'promise' property so the API method can return it to the caller.
+ */
+function promiseCallback(callback)
+{
+    if (callback)
+    {
+        return callback;
+    }
+    
+    if (typeof Promise === 'undefined')
+    {
+        throw new Error("Missing callback");
+    }
+    
+    var resolveFn, rejectFn;
+    var promise = new Promise(function(resolve, reject) {
+        resolveFn = resolve;
+        rejectFn = reject;
+    });
+    
+    var fn = function(err, res) {
+        if (err)
+        {
+            rejectFn(err);
+        }
+        else
+        {
+            resolveFn(res);
+        }
+    };
+    fn.promise = promise;
+    return fn;
+}
+
+/*
+ * Calls a function when an AbortSignal (or any object with the same interface)
+ * is aborted. Returns a function that removes the listener.
+ */
+function addAbortListener(signal, fn)
+{
+    signal.addEventListener('abort', fn);
+    return function() {
+        signal.removeEventListener('abort', fn);
+    };
+}
+
+/*
+ * Calls each function in 'hooks' in order with the given arguments, waiting
+ * for any Promise returned by a hook before calling the next one. Calls
+ * callback(err) with the first error thrown or rejected by a hook, or
+ * callback(null) after all hooks have completed.
+ */
+function runHooks(hooks, args, callback)
+{
+    hooks = hooks.slice();
+    
+    var i = 0;
+    var next = function(err) {
+        if (err)
+        {
+            return callback(err);
+        }
+        if (i >= hooks.length)
+        {
+            return callback(null);
+        }
+        
+        callAsync(hooks[i++], args, function(err) {
+            next(err);
+        });
+    };
+    next(null);
+}
+
+/*
+ * Calls fn with the given arguments, then calls callback(err, result) with
+ * the value returned by fn, or the value of the Promise returned by fn.
+ */
+function callAsync(fn, args, callback)
+{
+    var res;
+    try
+    {
+        res = fn.apply(null, args);
+    }
+    catch (e)
+    {
+        return callback(e);
+    }
+    
+    if (res && typeof res.then === 'function')
+    {
+        res.then(function(value) { callback(null, value); }, function(e) { callback(e || new Error("Promise rejected")); });
+    }
+    else
+    {
+        callback(null, res);
+    }
 }
 
+exports.promiseCallback = promiseCallback;
+exports.runHooks = runHooks;
+exports.callAsync = callAsync;
+exports.addAbortListener = addAbortListener;
 exports.timestampToDate = timestampToDate;
 exports.dateToTimestamp = dateToTimestamp;
+exports.convertDates = convertDates;
 exports.makeClass = makeClass;
 exports.extend = extend;
\ No newline at end of file